@@ -4,6 +4,8 @@ module.exports = {
     ...require('./mongodet/connexion'),
     ...require('./mongodet/Collection'),
     ...require('./mongodet/conversion'),
+    ...require('./mongodet/types'),
     ...require('./mongodet/settings'),
+    ...require('./mongodet/migrations'),
     ...require('./mongodet/errors')
 }
@@ -5,17 +5,41 @@ const { ObjectId, Decimal128, Int32, Long } = require('mongodb') // To export ty
 
 const {
     getClient,
-    connectionEmitter,
-    getConnectionStatus
+    getConnectionEmitter,
+    getConnectionStatus,
+    getAmbientSession
 } = require('./connexion')
 
 const conversion = require('./conversion')
-const { MongolError } = require('./errors')
+const { createTypeRegistry, getTypeRegistry } = require('./types')
+const { checkGeometry } = require('./geojson')
+const {
+    ConfigurationError,
+    ConnectionError,
+    VersionConflictError,
+    fromDriverError
+} = require('./errors')
 
 const {
     validateDocument,
+    validateUpdate,
     getValidationData
 } = require('./Collection/validateDocument')
+const { MongodetCursor } = require('./Collection/MongodetCursor')
+const { getJsonSchema, diffJsonSchemas } = require('./Collection/jsonSchema')
+const { getIndexesPlan, getGeoIndexPaths } = require('./Collection/indexes')
+const { getPopulatePaths, populateDocuments } = require('./Collection/populate')
+const {
+    hookedMethods,
+    addMiddleware,
+    getMiddlewares,
+    runMiddlewares
+} = require('./Collection/hooks')
+const {
+    historyOperations,
+    diffDocuments,
+    getIdKey
+} = require('./Collection/history')
 
 const EventEmitter = require('events')
 
@@ -26,47 +50,212 @@ class Collection {
      * @param {object} [parameters={}] A set of parameters required to build an instance of this class.
      * @param {object} [parameters.schema] An object defining a JSON schema.
      * @param {object} [parameter.indexes] An object defining the indexes. The key will be the name of the index, and the value is the set of parameters passed to the createIndex() function.
+     * For instance, **{ location: [{ location: '2dsphere' }, {}] }** declares the '2dsphere' index used by the findNear() and findWithin() functions.
      * @param {object} [parameter.methods] An object defining the methods to append to the instance of this class. An object is a better than array option because you can easily change the function name of each element.
      * @param {object} [parameter.settings] An object defining the settings of this collection. Contains all the parameters (capped, size ...) required to build it.
      * @param {object} [parameter.properties] An object containing several options.
      * @param {object} [parameter.properties.dropCollection=false] If set to true, the collection will be dropped.
      * @param {object} [parameter.properties.createCollection=false] If set to true, the collection will be created with the parameter "settings" passed to the constructor. The collection is dropped (only if requested) before creating it.
      * @param {object} [parameter.properties.dropIndexes=false] If set to true, all the indexes defined in "parameters.indexes" will be removed.
-     * @param {object} [parameter.properties.createIndexes=false] If set to true, all the indexes defined in "parameters.indexes" will be created. Note that if the option "dropIndexes" is also set, indexes will be removed before creating them.
+     * @param {object} [parameter.properties.createIndexes=false] If set to true, the indexes of an existing collection are synchronized with the ones defined in "parameters.indexes" (see the syncIndexes() function):
+     * missing indexes are created and changed indexes are rebuilt. The indexes of a new collection are always created.
+     * @param {object} [parameter.properties.dropRemovedIndexes=false] If set to true, the synchronization of the indexes drops the existing indexes not defined in "parameters.indexes".
      * @param {object} [parameter.properties.printInitializationData=false] If set to true, several initialization messages will be printed to the standard output.
+     * @param {(boolean|object)} [parameter.properties.serverValidation=false] If set, the schema is translated into a $jsonSchema validator and applied by the server
+     * when the collection is created, or with the collMod command if it already exists. It can be an object containing the **validationLevel** ('off', 'strict' or 'moderate')
+     * and **validationAction** ('error' or 'warn') options of the validator.
      * @param {object[function]} [parameters.methods={}] An object containing methods that will be added to the instance of this class.
+     * @param {object} [parameters.hooks={}] An object whose keys are operations (see the use() function) and values are a middleware or an array of middlewares.
+     * @param {Array} [parameters.plugins=[]] The plugins applied to this collection, after the global ones (see the Collection.plugin() function).
+     * Each element is a plugin function, or an array containing the plugin function and its options. The plugins can extend the other parameters, including the "types" parameter.
+     * @param {string} [parameters.connection='default'] The name of the connection (see the connect() function) this collection is bound to.
+     * @param {object} [parameters.types] The types of this collection, by name. They override or extend the types of its connection and the global types
+     * (see the addType() function). Each definition contains the **toDb** and **fromDb** functions and the optional **check**, **schema**, **bsonType** and **format** settings.
+     * For instance, **{ money: { toDb: (v) => Decimal128.fromString(v), fromDb: (v) => v.toString(), bsonType: 'decimal' } }**.
+     * @param {(boolean|object)} [parameters.timestamps] If set, the creation and last modification dates of the documents are written automatically, using the 'date' mongoType:
+     * - insertOne() and insertMany() set both fields.
+     * - updateOne(), updateMany() and findOneAndUpdate() set the **updatedAt** field, and the **createdAt** field with $setOnInsert if the **upsert** option is set.
+     * - replaceOne() and findOneAndReplace() set the **updatedAt** field, and keep the stored **createdAt** field (the one of the replacement is ignored). They use
+     * an aggregation pipeline for that purpose.
+     *
+     * It can be set to true, or to an object defining the names of the **createdAt** and **updatedAt** fields (false to disable one of them).
+     * The fields not declared by the schema are added to it. The **createdAt** field can be declared unmodifiable in update mode.
+     * @param {(boolean|object)} [parameters.softDelete] If set, the documents are not removed by deleteOne(), deleteMany(), findOneAndDelete() and the delete operations of bulkWrite(): their
+     * **deletedAt** field is set to the current date, and their **deletedBy** field to the value of the **deletedBy** option, if passed. The other methods
+     * (find(), findOne(), findMany(), countDocuments(), distinct(), aggregate(), the updates, replacements and deletions) ignore the deleted documents,
+     * unless the **withDeleted** option (all the documents) or the **onlyDeleted** option (only the deleted documents) is set.
+     * It can be set to true, or to an object defining the names of the **deletedAt** and **deletedBy** fields (false to disable the **deletedBy** field).
+     * The fields not declared by the schema are added to it. See also the restoreOne(), restoreMany() and purgeDeleted() functions.
+     * @param {(boolean|string)} [parameters.versionKey] If set, each document stores a version number, used for optimistic concurrency control:
+     * - insertOne() and insertMany() set the version to 0.
+     * - The updates and replacements increment it. The replacements without expected version read the stored version with an aggregation pipeline.
+     * - replaceOne(), findOneAndReplace(), updateOne() and findOneAndUpdate() called with the **version** option (or, for the replacements, with a
+     * document containing the version) modify the document only if its version is the expected one. Otherwise, they throw a **VersionConflictError**.
+     *
+     * It can be set to true (to use the '__v' field) or to the name of the field. The field is added to the schema if it is not declared.
+     * @param {(boolean|object)} [parameters.history] If set, replaceOne(), updateOne(), updateMany(), the findOneAnd*() functions, the delete functions,
+     * restoreOne(), restoreMany() and purgeDeleted() write the prior state of each modified document to a companion collection, with the **operation**, its **date**, the **actor** (taken from the
+     * **actor** option of the operation) and the **diff** of the changes. The entries are written in the session of the operation, if passed.
+     * It can be set to true, or to an object containing the **collectionName** of the history (default: the name of this collection followed by '_history').
+     * bulkWrite() can then only insert documents. See also the history() and asOf() functions.
+     * @param {boolean} [parameters.coerceTypes=false] If set to true, the values of the documents inserted or replaced with the 'json' input are coerced to the
+     * type declared in the schema before their validation ("42" becomes 42 for an integer, 42 becomes "42" for a string ...). See the prepareDocument() function.
+     * The default values declared in the schema are always set to the missing properties of the inserted documents.
+     * @param {object} [parameters.schemaVersion] If set, each document stores the version of the schema it was written with, and older documents are upgraded when they are read.
+     * @param {number} parameters.schemaVersion.version The current version of the schema. It is set to the documents inserted or replaced with the 'json' input.
+     * @param {string} [parameters.schemaVersion.field='schemaVersion'] The field that stores the version. Documents without this field have the version 0.
+     * @param {object} [parameters.schemaVersion.upgrades] An object whose keys are versions and values are functions that receive a document in db format, in the previous version, and return it in that version.
+     * The upgraded document is then converted to JSON format with the current schema.
+     * A function can also modify the document it receives and return nothing.
      */
     constructor(name, parameters = {}) {
-        if (Collection.collections[name]) {
+        const existing = Collection.getCollections(parameters.connection)[name]
+        if (existing) {
             console.log(
-                `An instance of Collection class called "${name}" exists. Sending its reference instead of creating a new instance.`
+                `An instance of Collection class called "${name}" exists on the connection "${existing.parameters.connection}". Sending its reference instead of creating a new instance.`
             )
-            return Collection.collections[name]
+            return existing
         }
 
         if (!parameters.schema) parameters.schema = {}
         if (!parameters.indexes) parameters.indexes = {}
         if (!parameters.methods) parameters.methods = {}
+        if (!parameters.hooks) parameters.hooks = {}
+        if (!parameters.plugins) parameters.plugins = []
         if (!parameters.properties) parameters.properties = {}
+        if (!parameters.connection) parameters.connection = 'default'
+        // Copied, so the plugins add their types to this collection only.
+        parameters.types = { ...parameters.types }
 
         this.name = name
         this.parameters = parameters
         this.eventEmitter = new EventEmitter()
-
-        connectionEmitter.on('connected', this.bindCollection.bind(this))
-        if (getConnectionStatus() === 'connected') this.bindCollection()
+        this.hooks = {}
+
+        // The plugins run first, so they can extend the other parameters (the
+        // types are read after them, when the type registry is created).
+        for (const p of Collection.plugins.concat(parameters.plugins)) {
+            const [plugin, options] = p instanceof Array ? p : [p, {}]
+            if (typeof plugin !== 'function')
+                throw new ConfigurationError({
+                    error: `A plugin of the collection "${name}" is not a function.`
+                })
+            plugin(this, options || {})
+        }
 
         for (let f in parameters.methods)
             if (parameters.methods.hasOwnProperty)
                 this[f] = parameters.methods[f].bind(this)
 
-        Collection.collections[name] = this
-        this.validationData = getValidationData(this.parameters.schema)
+        for (let op in parameters.hooks)
+            if (Object.prototype.hasOwnProperty.call(parameters.hooks, op))
+                for (const middleware of [].concat(parameters.hooks[op]))
+                    this.use(op, middleware)
+
+        const timestamps = this.getTimestampFields()
+        if (timestamps) {
+            const schema = this.parameters.schema
+            schema.properties = { ...schema.properties }
+            for (const field of Object.values(timestamps))
+                if (field && !schema.properties[field])
+                    schema.properties[field] = { mongoType: 'date' }
+        }
+
+        const versionKey = this.getVersionKey()
+        if (
+            versionKey &&
+            !(this.parameters.schema.properties || {})[versionKey]
+        )
+            this.parameters.schema.properties = {
+                ...this.parameters.schema.properties,
+                [versionKey]: { type: 'integer', minimum: 0 }
+            }
+
+        const schemaVersion = this.parameters.schemaVersion
+        if (schemaVersion) {
+            const field = schemaVersion.field || 'schemaVersion'
+            const schema = this.parameters.schema
+            if (!(schema.properties || {})[field])
+                schema.properties = {
+                    ...schema.properties,
+                    [field]: { type: 'integer', minimum: 0 }
+                }
+        }
+
+        const softDelete = this.getSoftDeleteFields()
+        if (softDelete) {
+            const schema = this.parameters.schema
+            schema.properties = { ...schema.properties }
+            if (!schema.properties[softDelete.deletedAt])
+                schema.properties[softDelete.deletedAt] = { mongoType: 'date' }
+            if (
+                softDelete.deletedBy &&
+                !schema.properties[softDelete.deletedBy]
+            )
+                schema.properties[softDelete.deletedBy] = {}
+        }
+
+        this.typeRegistry = createTypeRegistry(
+            parameters.types,
+            getTypeRegistry(parameters.connection)
+        )
+
+        if (!Collection.collections[parameters.connection])
+            Collection.collections[parameters.connection] = {}
+        Collection.collections[parameters.connection][name] = this
+        this.validationData = getValidationData(
+            this.parameters.schema,
+            this.typeRegistry
+        )
         this.types = { ObjectId, Decimal128, Int32, Long }
+
+        const bind = () =>
+            this.bindCollection().catch((e) => {
+                if (!this.eventEmitter.emit('collection-error', e))
+                    console.error(
+                        `Collection "${this.name}" could not be initialized:`,
+                        e
+                    )
+            })
+        const connectionEmitter = getConnectionEmitter(parameters.connection)
+        connectionEmitter.on('connected', bind)
+        connectionEmitter.on('disconnected', () => {
+            this.collectionBound = false
+        })
+        if (getConnectionStatus(parameters.connection) === 'connected') bind()
     }
 
+    /**
+     * The mongodb collection this instance is bound to.
+     * @throws {ConnectionError} This property throws an exception if the collection is not bound or its connection is not available.
+     * The methods returning a Promise return a rejected one instead, or send the error to their callback.
+     */
+    get collection() {
+        const status = getConnectionStatus(this.parameters.connection)
+        if (
+            !this.mongoCollection ||
+            (status !== 'connected' && status !== 'reconnecting')
+        )
+            throw new ConnectionError({
+                error: `Collection "${this.name}" is not available: the status of the connection "${this.parameters.connection}" is "${status}".`,
+                status
+            })
+        return this.mongoCollection
+    }
+
+    set collection(collection) {
+        this.mongoCollection = collection
+    }
+
+    /**
+     * This function binds this instance to the client of its connection. It is called each time the connection is established.
+     * The collection and its indexes are created or dropped (as requested by the "properties" parameter) only the first time: if this
+     * initialization fails, it is run again on the next binding. When the binding is triggered by the connection, the error is sent
+     * with the 'collection-error' event of the eventEmitter of this instance.
+     * @returns {Promise} returns a Promise, resolved when the collection is bound.
+     */
     async bindCollection() {
-        const client = getClient()
+        const client = getClient(this.parameters.connection)
 
         const p = this.name.split(' ') // ('#')
 
@@ -75,6 +264,24 @@ class Collection {
         this.db = client.db(this.dbName)
         this.collection = client.db(this.dbName).collection(this.collName)
 
+        if (!this.collectionInitialized) {
+            // Concurrent bindings wait for the same initialization.
+            if (!this.initialization)
+                this.initialization = this.initializeCollection().finally(
+                    () => {
+                        this.initialization = null
+                    }
+                )
+            await this.initialization
+            this.collectionInitialized = true
+        }
+
+        this.eventEmitter.emit('collection-bound')
+        this.collectionBound = true
+    }
+
+    // Creates or drops the collection and its indexes, as requested by the "properties" parameter.
+    async initializeCollection() {
         let collectionExists = false
         const collections = await this.db.collections()
         for (let i = 0; i < collections.length; i++) {
@@ -103,14 +310,23 @@ class Collection {
                 await this.createCollection()
 
             if (this.parameters.properties.createIndexes)
-                await this.dropIndexes()
+                await this.syncIndexes({
+                    dropRemoved: this.parameters.properties.dropRemovedIndexes
+                })
 
-            if (this.parameters.properties.createIndexes)
-                await this.createIndexes()
+            if (
+                this.parameters.properties.serverValidation &&
+                !this.parameters.properties.dropCollection &&
+                !this.parameters.properties.createCollection
+            )
+                await this.updateServerValidator()
         }
 
-        this.eventEmitter.emit('collection-bound')
-        this.collectionBound = true
+        if (this.parameters.history)
+            await this.getHistoryCollection().createIndex({
+                documentId: 1,
+                date: 1
+            })
     }
 
     async createCollection() {
@@ -123,7 +339,70 @@ class Collection {
 
         if (this.parameters.properties.printInitializationData)
             console.log(`Creating collection "${this.dbName}.${this.collName}"`)
-        await this.db.createCollection(this.collName, this.parameters.settings)
+        await this.db.createCollection(this.collName, {
+            ...this.parameters.settings,
+            ...this.getServerValidatorOptions()
+        })
+    }
+
+    /**
+     * This function returns the schema of this collection translated into a schema that can be used by the $jsonSchema operator.
+     * @returns {object}
+     */
+    getJsonSchema() {
+        return getJsonSchema(this.parameters.schema, this.typeRegistry)
+    }
+
+    /**
+     * This function returns the validator options (validator, validationLevel and validationAction) used to create or modify this collection.
+     * @returns {object} This function returns an empty object if the "serverValidation" property is not set.
+     */
+    getServerValidatorOptions() {
+        const serverValidation = this.parameters.properties.serverValidation
+        if (!serverValidation) return {}
+
+        let options = { validator: { $jsonSchema: this.getJsonSchema() } }
+        if (serverValidation.validationLevel)
+            options.validationLevel = serverValidation.validationLevel
+        if (serverValidation.validationAction)
+            options.validationAction = serverValidation.validationAction
+        return options
+    }
+
+    /**
+     * This function applies the $jsonSchema validator of this collection to the server, using the collMod command.
+     */
+    async updateServerValidator() {
+        if (!this.db) {
+            console.error(
+                'The validator can not be updated because you are not connected to the server.'
+            )
+            return
+        }
+
+        if (this.parameters.properties.printInitializationData)
+            console.log(
+                `Updating the validator of collection "${this.dbName}.${this.collName}"`
+            )
+        await this.db.command({
+            collMod: this.collName,
+            ...this.getServerValidatorOptions()
+        })
+    }
+
+    /**
+     * This function compares the $jsonSchema validator used by the server with the one built from the local schema.
+     * @returns {Promise} returns a Promise. If resolved, it will send the list of differences found (see the diffJsonSchemas() function). The list is empty if there is no drift.
+     */
+    async diffServerValidator() {
+        const [info] = await this.db
+            .listCollections({ name: this.collName })
+            .toArray()
+        const validator = info && info.options && info.options.validator
+        return diffJsonSchemas(
+            this.getJsonSchema(),
+            validator ? validator.$jsonSchema : undefined
+        )
     }
 
     async dropCollection() {
@@ -152,7 +431,7 @@ class Collection {
     async waitForInitializaton() {
         return new Promise((resolve) => {
             if (this.collectionBound) return resolve()
-            this.eventEmitter.on('collection-bound', resolve)
+            this.eventEmitter.once('collection-bound', resolve)
         })
     }
 
@@ -204,6 +483,106 @@ class Collection {
         }
     }
 
+    /**
+     * This function synchronizes the indexes of the collection with the ones defined by the "indexes" parameter. The indexes are compared by name, key and options:
+     * - Missing indexes are created.
+     * - Indexes whose key or options have changed are dropped and created again.
+     * - Existing indexes not defined by the "indexes" parameter are dropped only if the **dropRemoved** option is set.
+     * @param {object} [options] Optional settings.
+     * @param {boolean} [options.dropRemoved=false] If set to true, the existing indexes not defined by the "indexes" parameter are dropped.
+     * @param {boolean} [options.dryRun=false] If set to true, no index is created or dropped. The plan is only returned.
+     * @returns {Promise<indexesPlan>} returns a Promise. If resolved, it will send the plan of the operations (see the getIndexesPlan() function).
+     */
+    async syncIndexes({ dropRemoved = false, dryRun = false } = {}) {
+        if (!this.db) {
+            console.error(
+                'Indexes can not be synchronized because you are not connected to the server.'
+            )
+            return
+        }
+
+        const existingIndexes = await this.listIndexes()
+            .toArray()
+            .catch((e) => {
+                // NamespaceNotFound: the collection does not exist yet.
+                if (e.code === 26) return []
+                throw e
+            })
+
+        const plan = getIndexesPlan(this.parameters.indexes, existingIndexes, {
+            dropRemoved
+        })
+        if (dryRun) return plan
+
+        if (this.parameters.properties.printInitializationData)
+            console.log(
+                `Synchronizing indexes for collection "${this.dbName}.${this.collName}"`
+            )
+
+        for (const name of plan.drop.concat(plan.rebuild.map((i) => i.name))) {
+            if (this.parameters.properties.printInitializationData)
+                console.log(`\tDropping index ${name}`)
+            await this.dropIndex(name)
+        }
+
+        for (const index of plan.create.concat(plan.rebuild)) {
+            if (this.parameters.properties.printInitializationData)
+                console.log(`\tCreating index ${index.name}`)
+            await this.createIndex(index.key, index.options)
+        }
+
+        return plan
+    }
+
+    /**
+     * This function adds a middleware to one or several operations of this collection. The middlewares run in the order
+     * they were added (the ones added to '*' first), around the operation. They receive a context and the next() function:
+     * - The context contains the **collection**, the name of the **operation**, its parameters (**filter**, **doc**,
+     * **docs**, **update**, **key**, **operations** and **options**, depending on the operation) and, once next() is resolved, its **result**.
+     * - The parameters and the result can be modified. The operation is rejected by throwing an exception.
+     *
+     * The operations are insertOne, insertMany, findOne, findMany, replaceOne, updateOne, updateMany, deleteOne,
+     * deleteMany, findOneAndReplace, findOneAndUpdate, findOneAndDelete, restoreOne, restoreMany, countDocuments, distinct and
+     * bulkWrite. The find() and aggregate() functions do not run the middlewares (not even the ones added to '*'), because
+     * they return their cursor synchronously: use findMany() instead of find().
+     *
+     * With or without middlewares, the errors of an operation, including the validation errors, reject its Promise.
+     * @param {(string|string[])} operation - The name of the operation(s), or '*' for all of them.
+     * @param {function} middleware - An async function (ctx, next).
+     * @returns {Collection} This function returns this instance, so calls can be chained.
+     * @throws {ConfigurationError}
+     */
+    use(operation, middleware) {
+        addMiddleware(this.hooks, operation, middleware)
+        return this
+    }
+
+    /**
+     * This function adds a middleware that calls the specified function before the operation(s) (see the use() function).
+     * @param {(string|string[])} operation - The name of the operation(s), or '*' for all of them.
+     * @param {function} hook - A function receiving the context. It can modify the parameters of the operation.
+     * @returns {Collection}
+     */
+    pre(operation, hook) {
+        return this.use(operation, async (ctx, next) => {
+            await hook(ctx)
+            return next()
+        })
+    }
+
+    /**
+     * This function adds a middleware that calls the specified function after the operation(s) (see the use() function).
+     * @param {(string|string[])} operation - The name of the operation(s), or '*' for all of them.
+     * @param {function} hook - A function receiving the context. It can modify its **result** property.
+     * @returns {Collection}
+     */
+    post(operation, hook) {
+        return this.use(operation, async (ctx, next) => {
+            await next()
+            await hook(ctx)
+        })
+    }
+
     dummy() {
         return new Cursor()
     } // To avoid a jshint warning.
@@ -217,63 +596,1037 @@ class Collection {
         return validateDocument(data, this.validationData[mode].validator)
     }
 
-    documentToDbFormat(doc) {
-        return conversion.documentToDbFormat(
-            doc,
-            this.parameters.schema,
-            this.validator
-        )
-    }
-    dbFormatToDocument(doc) {
-        return conversion.dbFormatToDocument(doc, this.parameters.schema)
+    /**
+     * This function validates the update operators of the specified update document.
+     * @param {object} update - An update document ({ $set: ..., $push: ... }).
+     */
+    validateUpdate(update) {
+        return validateUpdate(
+            update,
+            this.validationData,
+            this.parameters.schema
+        )
+    }
+
+    /**
+     * This function prepares one or several documents in JSON format before their validation: the values are coerced to the type
+     * declared in the schema if the "coerceTypes" parameter is set, and the default values of the schema are set in **insert** mode.
+     * @param {object} doc - A single document or an array of documents. They are not modified.
+     * @param {string} mode - 'insert' or 'replace'.
+     * @returns {object} This function returns a copy of the document(s).
+     */
+    prepareDocument(doc, mode) {
+        return conversion.prepareDocument(doc, this.parameters.schema, {
+            defaults: mode === 'insert',
+            coerceTypes: !!this.parameters.coerceTypes
+        })
+    }
+
+    documentToDbFormat(doc) {
+        return conversion.documentToDbFormat(
+            this.setSchemaVersion(doc),
+            this.parameters.schema,
+            { types: this.typeRegistry }
+        )
+    }
+    dbFormatToDocument(doc) {
+        // The old documents are upgraded before their conversion, which uses
+        // the current schema.
+        return conversion.dbFormatToDocument(
+            this.upgradeDocument(doc),
+            this.parameters.schema,
+            { types: this.typeRegistry }
+        )
+    }
+
+    /**
+     * This function sets the current schema version (see the "schemaVersion" parameter) to one or several documents.
+     * @param {object} doc - A single document or an array of documents. They are not modified.
+     * @returns {object} This function returns a copy of the document(s) containing the schema version field.
+     */
+    setSchemaVersion(doc) {
+        const schemaVersion = this.parameters.schemaVersion
+        if (!schemaVersion || !doc) return doc
+        if (doc.constructor.name === 'Array')
+            return doc.map((d) => this.setSchemaVersion(d))
+
+        return {
+            ...doc,
+            [schemaVersion.field || 'schemaVersion']: schemaVersion.version
+        }
+    }
+
+    /**
+     * This function returns the names of the fields written by the "timestamps" parameter.
+     * @returns {object} This function returns an object containing the **createdAt** and **updatedAt** field names (false if disabled), or null if the "timestamps" parameter is not set.
+     */
+    getTimestampFields() {
+        const timestamps = this.parameters.timestamps
+        if (!timestamps) return null
+        return {
+            createdAt: 'createdAt',
+            updatedAt: 'updatedAt',
+            ...(timestamps === true ? {} : timestamps)
+        }
+    }
+
+    /**
+     * This function sets the timestamps (see the "timestamps" parameter) to one or several documents.
+     * @param {object} doc - A single document or an array of documents. They are not modified.
+     * @param {string} [mode='insert'] - 'insert' to set both fields, or 'replace' to set only the **updatedAt** field. In 'replace' mode, the
+     * **createdAt** field is removed: the replacements keep the stored value (see the replaceOne() function).
+     * @returns {object} This function returns a copy of the document(s) containing the timestamps.
+     */
+    setTimestamps(doc, mode = 'insert') {
+        const timestamps = this.getTimestampFields()
+        if (!timestamps || !doc) return doc
+        if (doc.constructor.name === 'Array')
+            return doc.map((d) => this.setTimestamps(d, mode))
+
+        const now = new Date()
+        let ret = { ...doc }
+        if (timestamps.createdAt) {
+            if (mode === 'insert') ret[timestamps.createdAt] = now
+            else delete ret[timestamps.createdAt]
+        }
+        if (timestamps.updatedAt) ret[timestamps.updatedAt] = now
+        return ret
+    }
+
+    /**
+     * This function adds the timestamps (see the "timestamps" parameter) to an update document: **updatedAt** with $set, and
+     * **createdAt** with $setOnInsert if the **upsert** option is set and the update does not already write it.
+     * An aggregation pipeline receives a final $set stage using the $$NOW variable.
+     * @param {(object|object[])} update - An update document or an aggregation pipeline. It is not modified.
+     * @param {object} [options] - The options of the update.
+     * @returns {(object|object[])} This function returns a copy of the update containing the timestamps.
+     */
+    setUpdateTimestamps(update, options) {
+        const timestamps = this.getTimestampFields()
+        if (!timestamps || !update) return update
+
+        if (update.constructor.name === 'Array')
+            return timestamps.updatedAt
+                ? update.concat({ $set: { [timestamps.updatedAt]: '$$NOW' } })
+                : update
+
+        const now = new Date()
+        let ret = { ...update }
+        if (timestamps.updatedAt)
+            ret.$set = { ...ret.$set, [timestamps.updatedAt]: now }
+        if (
+            timestamps.createdAt &&
+            options &&
+            options.upsert &&
+            !(ret.$set && timestamps.createdAt in ret.$set) &&
+            !(ret.$setOnInsert && timestamps.createdAt in ret.$setOnInsert)
+        )
+            ret.$setOnInsert = {
+                ...ret.$setOnInsert,
+                [timestamps.createdAt]: now
+            }
+        return ret
+    }
+
+    /**
+     * This function returns the name of the field storing the version of the documents (see the "versionKey" parameter).
+     * @returns {string} This function returns null if the "versionKey" parameter is not set.
+     */
+    getVersionKey() {
+        const versionKey = this.parameters.versionKey
+        if (!versionKey) return null
+        return versionKey === true ? '__v' : versionKey
+    }
+
+    /**
+     * This function sets the version (see the "versionKey" parameter) of one or several documents.
+     * @param {object} doc - A single document or an array of documents. They are not modified.
+     * @param {number} [version] - The version. The documents are returned as is if it is undefined.
+     * @returns {object} This function returns a copy of the document(s) containing the version.
+     */
+    setVersion(doc, version) {
+        const versionKey = this.getVersionKey()
+        if (!versionKey || !doc || version === undefined) return doc
+        if (doc.constructor.name === 'Array')
+            return doc.map((d) => this.setVersion(d, version))
+        return { ...doc, [versionKey]: version }
+    }
+
+    /**
+     * This function adds the increment of the version (see the "versionKey" parameter) to an update document.
+     * An aggregation pipeline receives a final $set stage.
+     * @param {(object|object[])} update - An update document or an aggregation pipeline. It is not modified.
+     * @returns {(object|object[])} This function returns a copy of the update incrementing the version.
+     */
+    setUpdateVersion(update) {
+        const versionKey = this.getVersionKey()
+        if (!versionKey || !update) return update
+
+        if (update.constructor.name === 'Array')
+            return update.concat({
+                $set: {
+                    [versionKey]: {
+                        $add: [{ $ifNull: [`$${versionKey}`, 0] }, 1]
+                    }
+                }
+            })
+
+        return { ...update, $inc: { ...update.$inc, [versionKey]: 1 } }
+    }
+
+    /**
+     * This function returns the names of the fields written by the "softDelete" parameter.
+     * @returns {object} This function returns an object containing the **deletedAt** and **deletedBy** field names (false if disabled), or null if the "softDelete" parameter is not set.
+     */
+    getSoftDeleteFields() {
+        const softDelete = this.parameters.softDelete
+        if (!softDelete) return null
+        return {
+            deletedAt: 'deletedAt',
+            deletedBy: 'deletedBy',
+            ...(softDelete === true ? {} : softDelete)
+        }
+    }
+
+    /**
+     * This function restores a soft deleted document (see the "softDelete" parameter) by removing its **deletedAt** and **deletedBy** fields.
+     * @param {object} filter - The filter used to select the document. Only the deleted documents are selected.
+     * @param {object} [options] - The options of the updateOne() function of the driver, and the mongodet specific parameters:
+     * @param {string} [options.filterInput='json'] - The format of the **filter** parameter: 'json' or 'db'.
+     * @param {string} [options.output='nb'] - The data returned: 'nb' (the number of restored documents) or 'raw' (the response received from the server).
+     * @returns {Promise}
+     * @throws {ConfigurationError} This function throws an exception if the "softDelete" parameter is not set.
+     */
+    restoreOne(filter, options) {
+        return restoreDocuments(this, 'updateOne', filter, options)
+    }
+
+    /**
+     * This function restores the soft deleted documents (see the "softDelete" parameter) matching a filter. See the restoreOne() function.
+     * @param {object} filter - The filter used to select the documents. Only the deleted documents are selected.
+     * @param {object} [options] - The same options as the restoreOne() function.
+     * @returns {Promise}
+     */
+    restoreMany(filter, options) {
+        return restoreDocuments(this, 'updateMany', filter, options)
+    }
+
+    /**
+     * This function removes definitively the soft deleted documents (see the "softDelete" parameter).
+     * @param {(Date|number)} [olderThan] - If set, only the documents deleted before this date, or this number of seconds ago, are removed.
+     * @param {object} [options] - The options of the deleteMany() function of the driver. If the "history" parameter is set, the removed documents
+     * are written to the history, with the 'purgeDeleted' operation and the **actor** option.
+     * @returns {Promise} returns a Promise. If resolved, it will send the number of removed documents.
+     * @throws {ConfigurationError} This function throws an exception if the "softDelete" parameter is not set.
+     */
+    async purgeDeleted(olderThan, options) {
+        const fields = this.getSoftDeleteFields()
+        if (!fields)
+            throw new ConfigurationError({
+                error: `Collection "${this.name}" does not use the soft delete.`
+            })
+
+        let condition = { $ne: null }
+        if (olderThan !== undefined && olderThan !== null)
+            condition = {
+                $lt:
+                    olderThan instanceof Date
+                        ? olderThan
+                        : new Date(Date.now() - olderThan * 1000)
+            }
+
+        const filter = { [fields.deletedAt]: condition }
+        const actor = getActor(options)
+        if (!this.parameters.history)
+            return this.collection
+                .deleteMany(filter, options)
+                .then((r) => r.result.n, throwDriverError)
+
+        // The removed documents are written to the history, like the ones
+        // removed by deleteMany().
+        const session = options && options.session
+        const before = await this.collection.find(filter, { session }).toArray()
+        if (!before.length) return 0
+
+        const ids = before.map((d) => d._id)
+        const n = await this.collection
+            .deleteMany({ $and: [filter, { _id: { $in: ids } }] }, options)
+            .then((r) => r.result.n, throwDriverError)
+
+        const date = new Date()
+        await this.getHistoryCollection().insertMany(
+            before.map((b) => ({
+                documentId: b._id,
+                operation: 'purgeDeleted',
+                date,
+                actor,
+                before: b,
+                diff: null
+            })),
+            { session }
+        )
+        return n
+    }
+
+    /**
+     * This function replaces the references of one or several documents by the referenced documents. The schema of each populated path
+     * must contain the **ref** keyword, set to the name of a collection bound to the same connection (see the Collection.getCollections() function), for instance
+     * **{ mongoType: 'objectId', ref: 'users' }**. Nested paths ('comments.author') and arrays of references are supported.
+     * The referenced documents are read with a single $in query per path, and converted to JSON format by the referenced collection.
+     * @param {(object|object[])} docs - A single document or an array of documents, in JSON format. They are modified.
+     * @param {(string|Array|object)} populate - A path, an array of paths or of objects containing the **path** and the **projection** used to read
+     * the referenced documents, or an object whose keys are the paths and values the projections (or true).
+     * @param {object} [options] - Optional settings.
+     * @param {ClientSession} [options.session] - The session used to read the referenced documents.
+     * @returns {Promise} returns a Promise. If resolved, it will send the populated document(s). A reference to a missing document is set to null.
+     * @throws {ConfigurationError}
+     */
+    async populate(docs, populate, options) {
+        if (!docs) return docs
+        const array = docs.constructor.name === 'Array'
+        await populateDocuments(
+            array ? docs : [docs],
+            this.parameters.schema,
+            getPopulatePaths(populate),
+            Collection.getCollections(this.parameters.connection),
+            options
+        )
+        return docs
+    }
+
+    /**
+     * This function returns the documents near a point, from the nearest to the farthest, using the $near operator. The field containing the
+     * locations must have a '2dsphere' index (see the "indexes" parameter), and its schema can use the 'Point' mongoType.
+     * @param {(object|number[])} point - A GeoJSON point, or its coordinates: [longitude, latitude].
+     * @param {object} [options] - The options of the findMany() function, and:
+     * @param {string} [options.path] - The field containing the locations. It is required if several '2dsphere' indexes are declared.
+     * @param {object} [options.filter={}] - A filter selecting the documents, in the format set by the **filterInput** option.
+     * @param {number} [options.maxDistance] - The maximum distance from the point, in meters.
+     * @param {number} [options.minDistance] - The minimum distance from the point, in meters.
+     * @param {string} [options.distanceField] - If set, the documents are read with a $geoNear aggregation, and this field of the returned documents
+     * contains their distance from the point, in meters. Only the **skip**, **limit**, **session**, **populate**, **withDeleted** and **onlyDeleted**
+     * options of the findMany() function are then used.
+     * @returns {Promise} returns a Promise. If resolved, it will send the documents, in JSON format.
+     * @throws {ConfigurationError} This function throws an exception if the point is not valid or the field containing the locations is not found.
+     */
+    findNear(point, options = {}) {
+        const {
+            path,
+            filter = {},
+            maxDistance,
+            minDistance,
+            distanceField,
+            ...findOptions
+        } = options
+        const key = getGeoPath(this, path)
+        const near = getGeoPoint(point)
+
+        if (!distanceField) {
+            let $near = { $geometry: near }
+            if (maxDistance !== undefined) $near.$maxDistance = maxDistance
+            if (minDistance !== undefined) $near.$minDistance = minDistance
+            return this.findMany({ ...filter, [key]: { $near } }, findOptions)
+        }
+
+        const populate = getPopulate(findOptions, 'json')
+        const query =
+            getFilterInput(findOptions) === 'json'
+                ? this.filterToDbFormat(filter)
+                : filter
+        let $geoNear = { near, key, distanceField, spherical: true, query }
+        if (maxDistance !== undefined) $geoNear.maxDistance = maxDistance
+        if (minDistance !== undefined) $geoNear.minDistance = minDistance
+
+        let pipeline = [{ $geoNear }]
+        if (findOptions.skip) pipeline.push({ $skip: findOptions.skip })
+        if (findOptions.limit) pipeline.push({ $limit: findOptions.limit })
+
+        const session = findOptions.session
+        return this.aggregate(pipeline, {
+            session,
+            withDeleted: findOptions.withDeleted,
+            onlyDeleted: findOptions.onlyDeleted
+        })
+            .toArray()
+            .then(
+                (docs) => docs.map((d) => this.dbFormatToDocument(d)),
+                throwDriverError
+            )
+            .then((d) =>
+                populate ? this.populate(d, populate, { session }) : d
+            )
+    }
+
+    /**
+     * This function returns the documents whose location is inside a geometry, using the $geoWithin operator. See the findNear() function.
+     * @param {object} geometry - A GeoJSON Polygon or MultiPolygon.
+     * @param {object} [options] - The options of the findMany() function, and:
+     * @param {string} [options.path] - The field containing the locations. It is required if several '2dsphere' indexes are declared.
+     * @param {object} [options.filter={}] - A filter selecting the documents, in the format set by the **filterInput** option.
+     * @returns {Promise} returns a Promise. If resolved, it will send the documents, in JSON format.
+     * @throws {ConfigurationError} This function throws an exception if the geometry is not valid or the field containing the locations is not found.
+     */
+    findWithin(geometry, options = {}) {
+        const { path, filter = {}, ...findOptions } = options
+        const key = getGeoPath(this, path)
+        const error = checkGeometry(geometry, ['Polygon', 'MultiPolygon'])
+        if (error) throw new ConfigurationError({ error, geometry })
+
+        return this.findMany(
+            { ...filter, [key]: { $geoWithin: { $geometry: geometry } } },
+            findOptions
+        )
+    }
+
+    /**
+     * This function returns the mongodb collection storing the history of the documents (see the "history" parameter).
+     * @returns {Collection}
+     * @throws {ConfigurationError} This function throws an exception if the "history" parameter is not set.
+     */
+    getHistoryCollection() {
+        const history = this.parameters.history
+        if (!history)
+            throw new ConfigurationError({
+                error: `Collection "${this.name}" does not keep the history of its documents.`
+            })
+        this.collection // Throws if the collection is not available.
+        return this.db.collection(
+            history.collectionName || `${this.collName}_history`
+        )
+    }
+
+    /**
+     * This function returns the history of a document (see the "history" parameter), from the oldest to the newest change.
+     * @param {any} id - The _id of the document, in JSON format.
+     * @param {object} [options] - The options of the find() function of the driver (session ...).
+     * @returns {Promise} returns a Promise. If resolved, it will send the entries of the history. Each entry contains the **documentId**,
+     * the **operation**, its **date** and **actor**, the prior state of the document (**before**), converted to JSON format, and the **diff** of the changes (null for the deletions).
+     */
+    async history(id, options) {
+        const documentId = this.filterToDbFormat({ _id: id })._id
+        const entries = await this.getHistoryCollection()
+            .find({ documentId }, options)
+            .sort({ date: 1, _id: 1 })
+            .toArray()
+        return entries.map((e) => ({
+            ...e,
+            documentId: id,
+            before: this.dbFormatToDocument(e.before)
+        }))
+    }
+
+    /**
+     * This function reconstructs the state of a document at a given date, using its history (see the "history" parameter): the prior
+     * state of the first change made after this date, or the current state if there is none.
+     * The inserts are not recorded: if the "timestamps" parameter sets the **createdAt** field, null is returned for a date earlier than the
+     * creation of the document. Otherwise, the oldest known state is returned.
+     * @param {any} id - The _id of the document, in JSON format.
+     * @param {Date} date - The date.
+     * @param {object} [options] - The options of the find() function of the driver (session ...).
+     * @returns {Promise} returns a Promise. If resolved, it will send the document converted to JSON format, or null if it did not exist.
+     */
+    async asOf(id, date, options) {
+        const documentId = this.filterToDbFormat({ _id: id })._id
+        const [entry] = await this.getHistoryCollection()
+            .find({ documentId, date: { $gt: date } }, options)
+            .sort({ date: 1, _id: 1 })
+            .limit(1)
+            .toArray()
+        const doc = entry
+            ? entry.before
+            : await this.collection.findOne({ _id: documentId }, options)
+        if (!doc) return null
+
+        const timestamps = this.getTimestampFields()
+        if (
+            timestamps &&
+            timestamps.createdAt &&
+            doc[timestamps.createdAt] > date
+        )
+            return null
+        return this.dbFormatToDocument(doc)
+    }
+
+    /**
+     * This function upgrades, in memory, the documents whose schema version is older than the current one (see the "schemaVersion" parameter).
+     * The upgrade functions newer than the version of the document are called in order. When a function returns nothing, the document it modified is used.
+     * The documents stored in the database are not modified. The documents are upgraded before their conversion to JSON format, which uses the current schema.
+     * @param {object} doc - A single document or an array of documents in db format.
+     * @returns {object} This function returns the upgraded document(s).
+     */
+    upgradeDocument(doc) {
+        const schemaVersion = this.parameters.schemaVersion
+        if (!schemaVersion || !doc) return doc
+        if (doc.constructor.name === 'Array')
+            return doc.map((d) => this.upgradeDocument(d))
+
+        const field = schemaVersion.field || 'schemaVersion'
+        const docVersion = doc[field] || 0
+        if (docVersion >= schemaVersion.version) return doc
+
+        const upgrades = schemaVersion.upgrades || {}
+        const versions = Object.keys(upgrades)
+            .map(Number)
+            .filter((v) => v > docVersion && v <= schemaVersion.version)
+            .sort((a, b) => a - b)
+        for (const v of versions) {
+            // The functions that modify the document in place may return nothing.
+            const upgraded = upgrades[v](doc)
+            if (upgraded !== undefined) doc = upgraded
+        }
+
+        doc[field] = schemaVersion.version
+        return doc
+    }
+
+    /**
+     * This function converts a query filter written with JSON values to db format, using the schema of this collection.
+     * @param {object} filter - The query filter to convert.
+     */
+    filterToDbFormat(filter) {
+        return conversion.filterToDbFormat(filter, this.parameters.schema, {
+            types: this.typeRegistry
+        })
+    }
+
+    /**
+     * This function converts an update document written with JSON values to db format, using the schema of this collection.
+     * @param {object} update - The update document to convert.
+     */
+    updateToDbFormat(update) {
+        return conversion.updateToDbFormat(update, this.parameters.schema, {
+            types: this.typeRegistry
+        })
+    }
+}
+
+// The instances, by connection and name.
+Collection.collections = {}
+/**
+ * This function returns the instances of the Collection class bound to a connection.
+ * @param {string} [connection='default'] - The name of the connection (see the "connection" parameter of the constructor).
+ * @returns {object} This function returns an object whose keys are the names of the collections and values the instances.
+ */
+Collection.getCollections = function (connection = 'default') {
+    return Collection.collections[connection] || {}
+}
+
+Collection.plugins = []
+/**
+ * This function adds a plugin applied to all the collections created after calling it. A plugin packages a reusable
+ * behavior: it is called by the constructor, before the schema, indexes, methods and hooks are processed, and can:
+ * - Extend the **schema**, **indexes**, **methods** and **hooks** properties of **collection.parameters**.
+ * - Add middlewares with the use(), pre() and post() functions of the collection.
+ * - Add custom types to the **types** property of **collection.parameters** (see the "types" parameter of the constructor), like
+ * **collection.parameters.types.money = { toDb, fromDb }**. The global addType() function must not be used: a plugin applied to
+ * several collections would define the same type several times.
+ * @param {function} plugin - A function receiving the collection and the options.
+ * @param {object} [options={}] - The options passed to the plugin.
+ * @throws {ConfigurationError}
+ */
+Collection.plugin = function (plugin, options = {}) {
+    if (typeof plugin !== 'function')
+        throw new ConfigurationError({ error: 'A plugin must be a function.' })
+    Collection.plugins.push([plugin, options])
+}
+
+module.exports = { Collection }
+
+////////////////////////////////////////////////////////////////////////////////
+// Redefined mongodb methods.
+////////////////////////////////////////////////////////////////////////////////
+
+// FUNCTION                        PARAMETERS                  RETURNS     NOTES
+//
+// insertOne()  / insertMany()              doc      options   JDITR
+// findOne()    / findMany()       query             options   JD          N1
+// replaceOne()                    filter   doc      options   (N)R        N2
+// updateOne()  / updateMany()     filter   update   options   (N)R
+// deleteOne()  / deleteMany()     filter            options   (N)R
+//
+// findOneAndReplace()             filter   replace  options   (J)DNR      N3
+// findOneAndUpdate()              filter   update   options   (J)DNR      N3
+// findOneAndDelete()              filter            options   (J)DNR      N3
+
+// All the functions that take a **doc**, **replace** or **update** parameter can
+// take the optional parameter 'input', and can be set to one of the following values:
+// - 'json' (default value): to validate the input parameter **doc** or **replace**
+// with the schema (insert mode for insertions, update mode for replacements) and
+// convert it to db format. The **update** parameter is validated path by path
+// with the update mode schema ($setOnInsert with the insert mode schema).
+// - 'db': no conversion is done.
+
+// All the functions that take a **query** or **filter** parameter (including
+// find(), countDocuments() and distinct()) can take the optional parameter
+// 'filterInput', and can be set to one of the following values:
+// - 'json' (default value): to convert the values of the filter to db format,
+// using the mongoType of the fields they are compared with.
+// - 'db': no conversion is done.
+
+// If the "softDelete" parameter of the collection is set, the functions that take
+// a **query** or **filter** parameter (including find(), countDocuments(),
+// distinct() and aggregate()) ignore the deleted documents, unless the option
+// 'withDeleted' (all the documents) or 'onlyDeleted' (only the deleted ones) is
+// set. The delete functions mark the documents as deleted instead of removing
+// them, and take the optional parameter 'deletedBy', stored with them.
+
+// All these functions use the ambient session (see the withTransaction()
+// function) if the 'session' option is not set.
+
+// All these functions, except find(), and bulkWrite() run the middlewares added
+// with the use(), pre() and post() functions, or the "hooks" parameter of the
+// constructor. find() returns its cursor synchronously and is not hooked.
+
+// If the "versionKey" parameter of the collection is set, replaceOne(),
+// findOneAndReplace(), updateOne() and findOneAndUpdate() take the optional
+// parameter 'version': the expected version of the document. A mismatch throws
+// a VersionConflictError instead of returning 0 or null.
+
+// If the "history" parameter of the collection is set, the functions that modify
+// or delete documents take the optional parameter 'actor', stored in the history.
+
+// Return values (specified by the parameter 'output'):
+// J ('json'): data in JSON format (converted from database format).
+// D ('db'): data in database format.
+// I ('id'): id of the inserted element(s).
+// T ('idText'): id of the inserted element(s), converted to text.
+// N ('nb'): number of modified elements.
+// R ('raw'): raw (whole) response received from the server.
+
+// Notes:
+// - N1: the new function findMany() calls to "toArray()" function. The function find() returns a cursor that converts
+//   each document to JSON format (output 'json', default value) or the original mongodb cursor (output 'db').
+//   The function aggregate() converts the documents only if the 'outputSchema' option is set.
+// - N2: J and D options have been removed intentionnaly on the mongodet library beacause they are not useful.
+// - N3: JD options return the document stored before calling this function.
+
+// Adding other mongodb methods, based on:
+// http://mongodb.github.io/node-mongodb-native/3.5/api/Collection.html#findOne
+// https://github.com/mongodb/node-mongodb-native/blob/master/lib/collection.js
+
+/**
+ * This function throws the error of this library corresponding to an error thrown by the driver (see the fromDriverError() function).
+ * @param {Error} e The error thrown by the driver.
+ * @throws {(MongoError|MongolError)}
+ */
+function throwDriverError(e) {
+    throw fromDriverError(e)
+}
+
+/**
+ * This function extracts the mongodet specific **filterInput** parameter from the options passed to a method.
+ * @param {object} [options] The options passed to the method. The **filterInput** parameter is removed from them.
+ * @returns {string} This function returns 'json' (default value) or 'db'.
+ */
+function getFilterInput(options) {
+    let filterInput = 'json'
+
+    if (options && options.filterInput) {
+        filterInput = options.filterInput
+        delete options.filterInput
+    }
+
+    if (filterInput !== 'json' && filterInput !== 'db')
+        throw new ConfigurationError({
+            error: `Incorrect filterInput parameter "${filterInput}"`
+        })
+
+    return filterInput
+}
+
+// Aggregation stages that must be the first stage of a pipeline.
+const firstStages = ['$geoNear', '$collStats', '$indexStats', '$search']
+
+/**
+ * This function extracts the mongodet specific **populate** parameter from the options passed to a method.
+ * @param {object} [options] The options passed to the method. The parameter is removed from them.
+ * @param {string} output The output of the method. The documents can be populated only with the 'json' output.
+ * @returns {object[]} This function returns the paths to populate (see the getPopulatePaths() function), or null if the parameter is not set.
+ */
+function getPopulate(options, output) {
+    if (!options || !options.populate) return null
+
+    const populate = getPopulatePaths(options.populate)
+    delete options.populate
+    if (output !== 'json')
+        throw new ConfigurationError({
+            error: `The populate parameter can not be used with the output "${output}".`
+        })
+    return populate
+}
+
+/**
+ * This function returns the field containing the locations used by the findNear() and findWithin() functions.
+ * @param {Collection} collection The collection.
+ * @param {string} [path] The field passed to the function. If not set, the field of the '2dsphere' index declared by the "indexes" parameter is used.
+ * @returns {string}
+ * @throws {ConfigurationError} This function throws an exception if no field or several fields have a '2dsphere' index.
+ */
+function getGeoPath(collection, path) {
+    if (path) return path
+
+    const paths = getGeoIndexPaths(collection.parameters.indexes)
+    if (paths.length !== 1)
+        throw new ConfigurationError({
+            error: paths.length
+                ? `Collection "${collection.name}" has several '2dsphere' indexes: the path option must be set.`
+                : `Collection "${collection.name}" has no '2dsphere' index: the path option must be set.`,
+            paths
+        })
+    return paths[0]
+}
+
+/**
+ * This function returns a GeoJSON point.
+ * @param {(object|number[])} point A GeoJSON point, or its coordinates.
+ * @returns {object}
+ * @throws {ConfigurationError} This function throws an exception if the point is not valid.
+ */
+function getGeoPoint(point) {
+    if (point instanceof Array) point = { type: 'Point', coordinates: point }
+    const error = checkGeometry(point, 'Point')
+    if (error) throw new ConfigurationError({ error, point })
+    return point
+}
+
+/**
+ * This function extracts the mongodet specific **withDeleted** and **onlyDeleted** parameters from the options passed to a method.
+ * @param {object} [options] The options passed to the method. The parameters are removed from them.
+ * @param {object} [fields] The fields used by the soft delete (see the getSoftDeleteFields() function), or null if it is disabled.
+ * @returns {object} This function returns the condition selecting the documents the method applies to, or null if all the documents are selected.
+ */
+function getSoftDeleteCondition(options, fields) {
+    let withDeleted = false,
+        onlyDeleted = false
+
+    if (options) {
+        withDeleted = !!options.withDeleted
+        onlyDeleted = !!options.onlyDeleted
+        delete options.withDeleted
+        delete options.onlyDeleted
+    }
+
+    if (!fields || withDeleted) return null
+    return { [fields.deletedAt]: onlyDeleted ? { $ne: null } : null }
+}
+
+/**
+ * This function adds the soft delete condition (see the getSoftDeleteCondition() function) to a filter.
+ * @param {object} [filter] The filter. It is not modified.
+ * @param {object} [options] The options passed to the method.
+ * @param {object} [fields] The fields used by the soft delete, or null if it is disabled.
+ * @returns {object} This function returns the filter including the condition.
+ */
+function addSoftDeleteCondition(filter, options, fields) {
+    return mergeSoftDeleteCondition(
+        filter,
+        getSoftDeleteCondition(options, fields),
+        fields
+    )
+}
+
+// Adds a condition returned by getSoftDeleteCondition() to a filter.
+function mergeSoftDeleteCondition(filter, condition, fields) {
+    if (!condition) return filter
+    if (!filter || !Object.keys(filter).length) return condition
+    if (fields.deletedAt in filter) return { $and: [filter, condition] }
+    return { ...filter, ...condition }
+}
+
+/**
+ * This function extracts the mongodet specific **deletedBy** parameter from the options passed to a delete method.
+ * @param {Collection} collection The collection.
+ * @param {object} [options] The options passed to the method. The parameter is removed from them.
+ * @param {object} [fields] The fields used by the soft delete, or null if it is disabled.
+ * @returns {object} This function returns the update (in db format) marking the documents as deleted, or null if the soft delete is disabled.
+ */
+function getSoftDeleteUpdate(collection, options, fields) {
+    let deletedBy
+
+    if (options && options.deletedBy !== undefined) {
+        deletedBy = options.deletedBy
+        delete options.deletedBy
+    }
+
+    if (!fields) return null
+
+    let $set = { [fields.deletedAt]: new Date() }
+    if (fields.deletedBy && deletedBy !== undefined)
+        $set[fields.deletedBy] = deletedBy
+    return collection.updateToDbFormat({ $set })
+}
+
+/**
+ * This function applies the soft delete (see the "softDelete" parameter) to the operations of a bulkWrite: the deleteOne and deleteMany
+ * operations mark the documents as deleted, and the filters of the updates, replacements and deletions ignore the deleted documents.
+ * @param {Collection} collection The collection.
+ * @param {object[]} operations The operations, in db format. They are not modified.
+ * @param {object} [options] The options passed to bulkWrite(). The mongodet specific parameters (**withDeleted**, **onlyDeleted**
+ * and **deletedBy**) are removed from them.
+ * @param {object} fields The fields used by the soft delete.
+ * @returns {object[]} This function returns the operations to send to the driver.
+ */
+function getSoftDeleteOperations(collection, operations, options, fields) {
+    const update = getSoftDeleteUpdate(collection, options, fields)
+    const condition = getSoftDeleteCondition(options, fields)
+    const getFilter = (filter) =>
+        mergeSoftDeleteCondition(filter, condition, fields)
+
+    return operations.map((op) => {
+        const type = Object.keys(op)[0]
+        const args = op[type]
+        switch (type) {
+            case 'deleteOne':
+            case 'deleteMany':
+                return {
+                    [type.replace('delete', 'update')]: {
+                        ...args,
+                        filter: getFilter(args.filter),
+                        update
+                    }
+                }
+            case 'updateOne':
+            case 'updateMany':
+            case 'replaceOne':
+                return { [type]: { ...args, filter: getFilter(args.filter) } }
+            default:
+                return op
+        }
+    })
+}
+
+/**
+ * This middleware writes the prior states of the documents modified by an operation to the history collection (see the "history" parameter).
+ * It runs after the other middlewares. The operations selecting a single document are restricted to the _id of the document read before them.
+ * @param {object} ctx The context of the operation (see the use() function). The mongodet specific **actor** option is removed from its options.
+ * @param {function} next
+ */
+async function recordHistory(ctx, next) {
+    const collection = ctx.collection
+    const options = ctx.options
+    const session = options.session
+    const single = !ctx.operation.endsWith('Many')
+    const actor = getActor(options)
+
+    let filter = ctx.filter
+    if (options.filterInput !== 'db')
+        filter = collection.filterToDbFormat(filter)
+    filter = addSoftDeleteCondition(
+        filter,
+        // The restorations select the deleted documents.
+        ctx.operation.startsWith('restore')
+            ? { onlyDeleted: true }
+            : { ...options },
+        collection.getSoftDeleteFields()
+    )
+
+    const before = await collection.collection
+        .find(filter, { session, sort: options.sort, limit: single ? 1 : 0 })
+        .toArray()
+    if (single && before.length) {
+        // The caller's filter is kept, so the document is not modified if it
+        // no longer matches it.
+        ctx.filter = { $and: [filter, { _id: before[0]._id }] }
+        options.filterInput = 'db'
+    }
+
+    await next()
+    if (!before.length) return
+
+    const after = await collection.collection
+        .find({ _id: { $in: before.map((d) => d._id) } }, { session })
+        .toArray()
+    const afterById = new Map(after.map((d) => [getIdKey(d._id), d]))
+
+    const date = new Date()
+    let entries = []
+    for (const b of before) {
+        const a = afterById.get(getIdKey(b._id))
+        let diff = null
+        if (a)
+            diff = diffDocuments(
+                collection.dbFormatToDocument(b),
+                collection.dbFormatToDocument(a)
+            )
+        if (diff && !diff.length) continue
+        entries.push({
+            documentId: b._id,
+            operation: ctx.operation,
+            date,
+            actor,
+            before: b,
+            diff
+        })
+    }
+
+    if (entries.length)
+        await collection.getHistoryCollection().insertMany(entries, { session })
+}
+
+/**
+ * This function extracts the mongodet specific **actor** parameter from the options passed to a method.
+ * @param {object} [options] The options passed to the method. The parameter is removed from them.
+ * @returns {any} This function returns the actor stored in the history, or null.
+ */
+function getActor(options) {
+    let actor = null
+
+    if (options && options.actor !== undefined) {
+        actor = options.actor
+        delete options.actor
+    }
+
+    return actor
+}
+
+/**
+ * This function extracts the mongodet specific **version** parameter from the options passed to a method.
+ * @param {object} [options] The options passed to the method. The parameter is removed from them.
+ * @param {string} [versionKey] The name of the version field, or null if the "versionKey" parameter is not set.
+ * @param {object} [doc] The replacement document, whose version is used if the parameter is not set.
+ * @returns {number} This function returns the expected version of the document, or undefined if it is not checked.
+ */
+function getExpectedVersion(options, versionKey, doc) {
+    let version
+
+    if (options && options.version !== undefined) {
+        version = options.version
+        delete options.version
+    }
+
+    if (!versionKey) return undefined
+    if (version === undefined && doc) version = doc[versionKey]
+    return version === null ? undefined : version
+}
+
+/**
+ * This function adds the expected version of the document to a filter.
+ * @param {Collection} collection The collection.
+ * @param {object} filter The filter, in db format. It is not modified.
+ * @param {number} [version] The expected version.
+ * @returns {object}
+ */
+function addVersionCondition(collection, filter, version) {
+    if (version === undefined) return filter
+    const versionKey = collection.getVersionKey()
+    if (filter && versionKey in filter)
+        return { $and: [filter, { [versionKey]: version }] }
+    return { ...filter, [versionKey]: version }
+}
+
+/**
+ * This function builds the replacement sent to the server. The fields maintained by the collection are computed from the
+ * stored document, using an aggregation pipeline:
+ * - The **createdAt** field of the "timestamps" parameter keeps its stored value (the current date for an upserted document).
+ * - The version of the "versionKey" parameter, when no version is expected, is incremented.
+ * @param {Collection} collection The collection.
+ * @param {object} doc The replacement, in db format.
+ * @param {number} [version] The expected version.
+ * @returns {(object|object[])} This function returns the replacement as is if no field is computed, or an aggregation pipeline.
+ */
+function getReplacement(collection, doc, version) {
+    let computed = {}
+
+    const timestamps = collection.getTimestampFields()
+    if (timestamps && timestamps.createdAt) {
+        const createdAt = timestamps.createdAt
+        computed[createdAt] = { $ifNull: [`$${createdAt}`, '$$NOW'] }
     }
+
+    const versionKey = collection.getVersionKey()
+    if (versionKey && version === undefined)
+        computed[versionKey] = { $add: [{ $ifNull: [`$${versionKey}`, 0] }, 1] }
+
+    if (!Object.keys(computed).length) return doc
+    return [
+        {
+            $replaceWith: {
+                $mergeObjects: [{ _id: '$_id' }, { $literal: doc }, computed]
+            }
+        }
+    ]
 }
 
-Collection.collections = {}
-Collection.getCollections = function () {
-    return Collection.collections
+/**
+ * This function checks, when no document has been modified with the expected version, whether the document exists with another version.
+ * @param {Collection} collection The collection.
+ * @param {number} matched The number of documents matched by the operation.
+ * @param {object} filter The filter of the operation, without the version condition.
+ * @param {number} [version] The expected version.
+ * @param {object} [options] The options of the operation.
+ * @throws {VersionConflictError} This function throws an exception if the document exists with another version.
+ */
+async function checkVersion(collection, matched, filter, version, options) {
+    if (version === undefined || matched) return
+
+    const versionKey = collection.getVersionKey()
+    const doc = await collection.collection.findOne(filter, {
+        session: options && options.session,
+        projection: { [versionKey]: 1 }
+    })
+    if (doc)
+        throw new VersionConflictError({
+            error: `The version of the document is ${doc[versionKey]} instead of ${version}.`,
+            documentId: doc._id,
+            expectedVersion: version,
+            currentVersion: doc[versionKey]
+        })
 }
 
-module.exports = { Collection }
+/**
+ * This function restores the soft deleted documents matching a filter.
+ * @param {Collection} collection The collection.
+ * @param {string} method The driver method used: 'updateOne' or 'updateMany'.
+ * @param {object} filter The filter.
+ * @param {object} [options] The options (see the restoreOne() function).
+ * @returns {Promise}
+ */
+function restoreDocuments(collection, method, filter, options = {}) {
+    const fields = collection.getSoftDeleteFields()
+    if (!fields)
+        throw new ConfigurationError({
+            error: `Collection "${collection.name}" does not use the soft delete.`
+        })
 
-////////////////////////////////////////////////////////////////////////////////
-// Redefined mongodb methods.
-////////////////////////////////////////////////////////////////////////////////
+    if (getFilterInput(options) === 'json')
+        filter = collection.filterToDbFormat(filter)
+    filter = addSoftDeleteCondition(
+        filter,
+        { ...options, onlyDeleted: true },
+        fields
+    )
+    delete options.withDeleted
+    delete options.onlyDeleted
 
-// FUNCTION                        PARAMETERS                  RETURNS     NOTES
-//
-// insertOne()  / insertMany()              doc      options   JDITR
-// findOne()    / findMany()       query             options   JD          N1
-// replaceOne()                    filter   doc      options   (N)R        N2
-// updateOne()  / updateMany()     filter   update   options   (N)R
-// deleteOne()  / deleteMany()     filter            options   (N)R
-//
-// findOneAndReplace()             filter   replace  options   (J)DNR      N3
-// findOneAndUpdate()              filter   update   options   (J)DNR      N3
-// findOneAndDelete()              filter            options   (J)DNR      N3
+    let output = 'nb',
+        outputFilter
 
-// All the functions that take a **doc** or **replace** parameter can take the
-// optional parameter 'input', and can be set to one of the following values:
-// - 'json' (default value): to convert the input parameter **doc** or **replace**
-// to db format.
-// - 'db': no conversion is done.
+    if (options.output) {
+        output = options.output
+        delete options.output
+    }
 
-// Return values (specified by the parameter 'output'):
-// J ('json'): data in JSON format (converted from database format).
-// D ('db'): data in database format.
-// I ('id'): id of the inserted element(s).
-// T ('idText'): id of the inserted element(s), converted to text.
-// N ('nb'): number of modified elements.
-// R ('raw'): raw (whole) response received from the server.
+    switch (output) {
+        case 'nb':
+            outputFilter = (r) => conversion.equal(r.result.nModified)
+            break
+        case 'raw':
+            outputFilter = conversion.equal
+            break
+        default:
+            throw new ConfigurationError({
+                error: `Incorrect output parameter "${output}"`
+            })
+    }
 
-// Notes:
-// - N1: the new function findMany() calls to "toArray()" function. The original mongodb function find() has not been changed.
-// - N2: J and D options have been removed intentionnaly on the mongodet library beacause they are not useful.
-// - N3: JD options return the document stored before calling this function.
+    let $unset = { [fields.deletedAt]: '' }
+    if (fields.deletedBy) $unset[fields.deletedBy] = ''
 
-// Adding other mongodb methods, based on:
-// http://mongodb.github.io/node-mongodb-native/3.5/api/Collection.html#findOne
-// https://github.com/mongodb/node-mongodb-native/blob/master/lib/collection.js
+    return collection.collection[method](filter, { $unset }, options).then(
+        (out) => outputFilter(out),
+        throwDriverError
+    )
+}
 
 /**
  * Inserts a single document into MongoDB. If documents passed in do not contain the **_id** field,
@@ -294,6 +1647,9 @@ module.exports = { Collection }
  * @param {boolean} [options.serializeFunctions=false] Serialize functions on any object.
  * @param {boolean} [options.ignoreUndefined=false] Specify if the BSON serializer should ignore undefined fields.
  * @param {ClientSession} [options.session] optional session to use for this operation
+ * @param {string} [options.input='json'] This optional mongodet specific parameter determines the format of the data passed to this function. Valid values are:
+ * - **'json'**: the default values of the schema are set to the missing properties, then the data is validated using the schema in **insert** mode and converted to the database format before being written.
+ * - **'db'**: the data is written as is, without validation nor conversion.
  * @param {string} [options.output='json'] This optional mongodet specific parameter determines the type of the data returned by this function. Valid values and data returned are:
  * - **'json'**: returns the data written to the database, converted to JSON format.
  * - **'db'**: returns the data written to the database.
@@ -311,6 +1667,30 @@ Collection.prototype.insertOne = function (doc, options) {
         delete options.output
     }
 
+    let input = 'json'
+
+    if (options && options.input) {
+        input = options.input
+        delete options.input
+    }
+
+    doc = this.setTimestamps(doc, 'insert')
+    doc = this.setVersion(doc, 0)
+
+    switch (input) {
+        case 'json':
+            doc = this.prepareDocument(doc, 'insert')
+            this.validateDocument(doc, 'insert')
+            doc = this.documentToDbFormat(doc)
+            break
+        case 'db':
+            break
+        default:
+            throw new ConfigurationError({
+                error: `Incorrect input parameter "${input}"`
+            })
+    }
+
     switch (output) {
         case 'json':
             outputFilter = (r) => this.dbFormatToDocument(r.ops[0])
@@ -328,12 +1708,16 @@ Collection.prototype.insertOne = function (doc, options) {
             outputFilter = conversion.equal
             break
         default:
-            throw new MongolError(`Incorrect output parameter "${output}"`)
+            throw new ConfigurationError({
+                error: `Incorrect output parameter "${output}"`
+            })
     }
 
     outputFilter = outputFilter.bind(this)
 
-    return this.collection.insertOne(doc).then((d) => outputFilter(d))
+    return this.collection
+        .insertOne(doc, options)
+        .then((d) => outputFilter(d), throwDriverError)
 }
 
 /**
@@ -356,6 +1740,9 @@ Collection.prototype.insertOne = function (doc, options) {
  * @param {boolean} [options.serializeFunctions=false] Serialize functions on any object.
  * @param {boolean} [options.ignoreUndefined=false] Specify if the BSON serializer should ignore undefined fields.
  * @param {ClientSession} [options.session] optional session to use for this operation
+ * @param {string} [options.input='json'] This optional mongodet specific parameter determines the format of the data passed to this function. Valid values are:
+ * - **'json'**: the default values of the schema are set to the missing properties, then the data is validated using the schema in **insert** mode and converted to the database format before being written.
+ * - **'db'**: the data is written as is, without validation nor conversion.
  * @param {string} [options.output='json'] This optional mongodet specific parameter determines the type of the data returned by this function. Valid values and data returned are:
  * - **'json'**: returns the data written to the database, converted to JSON format.
  * - **'db'**: returns the data written to the database.
@@ -373,6 +1760,30 @@ Collection.prototype.insertMany = function (docs, options) {
         delete options.output
     }
 
+    let input = 'json'
+
+    if (options && options.input) {
+        input = options.input
+        delete options.input
+    }
+
+    docs = this.setTimestamps(docs, 'insert')
+    docs = this.setVersion(docs, 0)
+
+    switch (input) {
+        case 'json':
+            docs = this.prepareDocument(docs, 'insert')
+            this.validateDocument(docs, 'insert')
+            docs = this.documentToDbFormat(docs)
+            break
+        case 'db':
+            break
+        default:
+            throw new ConfigurationError({
+                error: `Incorrect input parameter "${input}"`
+            })
+    }
+
     switch (output) {
         case 'json':
             outputFilter = (r) => this.dbFormatToDocument(r.ops)
@@ -393,14 +1804,16 @@ Collection.prototype.insertMany = function (docs, options) {
             outputFilter = conversion.equal
             break
         default:
-            throw new MongolError({
+            throw new ConfigurationError({
                 error: `Incorrect output parameter "${output}"`
             })
     }
 
     outputFilter = outputFilter.bind(this)
 
-    return this.collection.insertMany(docs).then((d) => outputFilter(d))
+    return this.collection
+        .insertMany(docs, options)
+        .then((d) => outputFilter(d), throwDriverError)
 }
 
 /**
@@ -437,12 +1850,20 @@ Collection.prototype.insertMany = function (docs, options) {
  * @param {number} [options.maxTimeMS] Number of milliseconds to wait before aborting the query.
  * @param {object} [options.collation] Specify collation (MongoDB 3.4 or higher) settings for update operation (see 3.4 documentation for available fields).
  * @param {ClientSession} [options.session] optional session to use for this operation
+ * @param {string} [options.filterInput='json'] This optional mongodet specific parameter determines the format of the **query** parameter. Valid values are:
+ * - **'json'**: the values of the filter are converted to the database format using the schema.
+ * - **'db'**: the filter is passed as is to the server.
+ * @param {(string|Array|object)} [options.populate] This optional mongodet specific parameter replaces the references (the fields whose schema contains
+ * the **ref** keyword) by the referenced documents, in JSON format (see the populate() function). Only available with the 'json' output.
  * @param {string} [options.output='json'] This optional mongodet specific parameter determines the type of the data returned by this function. Valid values and data returned are:
  * - **'json'**: returns matching document(s), converted to a JSON object using the schema associated to this collection.
  * - **'db'**: returns the matching document(s), as returned by the server.
  * @returns {Promise} returns a Promise. If resolved, it will send the data read from the database.
  */
 Collection.prototype.findOne = function (query, options) {
+    if (getFilterInput(options) === 'json') query = this.filterToDbFormat(query)
+    query = addSoftDeleteCondition(query, options, this.getSoftDeleteFields())
+
     let output = 'json',
         outputFilter
 
@@ -451,6 +1872,9 @@ Collection.prototype.findOne = function (query, options) {
         delete options.output
     }
 
+    const populate = getPopulate(options, output)
+    const session = options && options.session
+
     switch (output) {
         case 'json':
             outputFilter = (r) => this.dbFormatToDocument(r)
@@ -459,14 +1883,17 @@ Collection.prototype.findOne = function (query, options) {
             outputFilter = (r) => conversion.equal(r)
             break
         default:
-            throw new MongolError({
+            throw new ConfigurationError({
                 error: `Incorrect output parameter "${output}"`
             })
     }
 
     outputFilter = outputFilter.bind(this)
 
-    return this.collection.findOne(query, options).then((d) => outputFilter(d))
+    return this.collection
+        .findOne(query, options)
+        .then((d) => outputFilter(d), throwDriverError)
+        .then((d) => (populate ? this.populate(d, populate, { session }) : d))
 }
 
 /**
@@ -507,6 +1934,11 @@ Collection.prototype.findOne = function (query, options) {
  * @param {object} [options.collation] Specify collation (MongoDB 3.4 or higher) settings for update operation (see 3.4 documentation for available fields).
  * @param {boolean} [options.allowDiskUse] Enables writing to temporary files on the server.
  * @param {ClientSession} [options.session] optional session to use for this operation
+ * @param {string} [options.filterInput='json'] This optional mongodet specific parameter determines the format of the **query** parameter. Valid values are:
+ * - **'json'**: the values of the filter are converted to the database format using the schema.
+ * - **'db'**: the filter is passed as is to the server.
+ * @param {(string|Array|object)} [options.populate] This optional mongodet specific parameter replaces the references (the fields whose schema contains
+ * the **ref** keyword) by the referenced documents, in JSON format (see the populate() function). Only available with the 'json' output.
  * @param {string} [options.output='json'] This optional mongodet specific parameter determines the type of the data returned by this function. Valid values and data returned are:
  * - **'json'**: returns matching document(s), converted to a JSON object using the schema associated to this collection.
  * - **'db'**: returns the matching document(s), as returned by the server.
@@ -514,6 +1946,9 @@ Collection.prototype.findOne = function (query, options) {
  * @returns {Promise} returns a Promise. If resolved, it will send an array containing the data read from the database.
  */
 Collection.prototype.findMany = function (query, options) {
+    if (getFilterInput(options) === 'json') query = this.filterToDbFormat(query)
+    query = addSoftDeleteCondition(query, options, this.getSoftDeleteFields())
+
     let output = 'json',
         outputFilter
 
@@ -522,6 +1957,9 @@ Collection.prototype.findMany = function (query, options) {
         delete options.output
     }
 
+    const populate = getPopulate(options, output)
+    const session = options && options.session
+
     switch (output) {
         case 'json':
             outputFilter = (r) => this.dbFormatToDocument(r)
@@ -530,7 +1968,7 @@ Collection.prototype.findMany = function (query, options) {
             outputFilter = (r) => conversion.equal(r)
             break
         default:
-            throw new MongolError({
+            throw new ConfigurationError({
                 error: `Incorrect output parameter "${output}"`
             })
     }
@@ -540,7 +1978,8 @@ Collection.prototype.findMany = function (query, options) {
     return this.collection
         .find(query, options)
         .toArray()
-        .then((d) => outputFilter(d))
+        .then((d) => outputFilter(d), throwDriverError)
+        .then((d) => (populate ? this.populate(d, populate, { session }) : d))
 }
 
 /**
@@ -563,12 +2002,22 @@ Collection.prototype.findMany = function (query, options) {
  * @param {boolean} [options.serializeFunctions=false] Serialize functions on any object.
  * @param {boolean} [options.ignoreUndefined=false] Specify if the BSON serializer should ignore undefined fields.
  * @param {ClientSession} [options.session] optional session to use for this operation
+ * @param {string} [options.filterInput='json'] This optional mongodet specific parameter determines the format of the **filter** parameter. Valid values are:
+ * - **'json'**: the values of the filter are converted to the database format using the schema.
+ * - **'db'**: the filter is passed as is to the server.
+ * @param {string} [options.input='json'] This optional mongodet specific parameter determines the format of the data passed to this function. Valid values are:
+ * - **'json'**: the data is validated using the schema in **update** mode and converted to the database format before being written.
+ * - **'db'**: the data is written as is, without validation nor conversion.
  * @param {string} [options.output='nb'] This optional mongodet specific parameter determines the type of the data returned by this function. Valid values and data returned are:
  * - **'nb'**: the number of modified elements (0 or 1).
  * - **'raw'**: returns the whole response received from the server.
  * @returns {Promise<Collection~updateWriteOpResult>} returns Promise if no callback passed
  */
 Collection.prototype.replaceOne = function (filter, doc, options) {
+    if (getFilterInput(options) === 'json')
+        filter = this.filterToDbFormat(filter)
+    filter = addSoftDeleteCondition(filter, options, this.getSoftDeleteFields())
+
     let output = 'nb',
         outputFilter
 
@@ -577,6 +2026,32 @@ Collection.prototype.replaceOne = function (filter, doc, options) {
         delete options.output
     }
 
+    let input = 'json'
+
+    if (options && options.input) {
+        input = options.input
+        delete options.input
+    }
+
+    const version = getExpectedVersion(options, this.getVersionKey(), doc)
+    doc = this.setTimestamps(doc, 'replace')
+
+    switch (input) {
+        case 'json':
+            doc = this.prepareDocument(doc, 'replace')
+            this.validateDocument(doc, 'update')
+            doc = this.documentToDbFormat(doc)
+            break
+        case 'db':
+            break
+        default:
+            throw new ConfigurationError({
+                error: `Incorrect input parameter "${input}"`
+            })
+    }
+
+    doc = this.setVersion(doc, version === undefined ? undefined : version + 1)
+
     switch (output) {
         // * - **'json'**: returns the data written to the database, converted to JSON format.
         // case 'json':     outputFilter = (r) => this.dbFormatToDocument(r.ops[0]); break
@@ -589,16 +2064,27 @@ Collection.prototype.replaceOne = function (filter, doc, options) {
             outputFilter = conversion.equal
             break
         default:
-            throw new MongolError({
+            throw new ConfigurationError({
                 error: `Incorrect output parameter "${output}"`
             })
     }
 
     outputFilter = outputFilter.bind(this)
 
-    return this.collection
-        .replaceOne(filter, doc, options)
-        .then((out) => outputFilter(out))
+    const versionFilter = addVersionCondition(this, filter, version)
+    const replacement = getReplacement(this, doc, version)
+    const operation =
+        replacement instanceof Array
+            ? this.collection.updateOne(versionFilter, replacement, options)
+            : this.collection.replaceOne(versionFilter, replacement, options)
+
+    return operation.then(
+        (out) =>
+            checkVersion(this, out.result.n, filter, version, options).then(
+                () => outputFilter(out)
+            ),
+        throwDriverError
+    )
 }
 
 /**
@@ -622,12 +2108,22 @@ Collection.prototype.replaceOne = function (filter, doc, options) {
  * @param {boolean} [options.serializeFunctions=false] Serialize functions on any object.
  * @param {boolean} [options.ignoreUndefined=false] Specify if the BSON serializer should ignore undefined fields.
  * @param {ClientSession} [options.session] optional session to use for this operation
+ * @param {string} [options.filterInput='json'] This optional mongodet specific parameter determines the format of the **filter** parameter. Valid values are:
+ * - **'json'**: the values of the filter are converted to the database format using the schema.
+ * - **'db'**: the filter is passed as is to the server.
+ * @param {string} [options.input='json'] This optional mongodet specific parameter determines the format of the update passed to this function. Valid values are:
+ * - **'json'**: the update operators are validated path by path using the schema in **update** mode ($setOnInsert in **insert** mode) and their values are converted to the database format.
+ * - **'db'**: the update is sent as is, without validation nor conversion.
  * @param {string} [options.output='nb'] This optional mongodet specific parameter determines the type of the data returned by this function. Valid values and data returned are:
  * - **'nb'**: the number of modified elements (0 or 1).
  * - **'raw'**: returns the whole response received from the server.
  * @returns {Promise} returns Promise if no callback passed
  */
 Collection.prototype.updateOne = function (filter, update, options) {
+    if (getFilterInput(options) === 'json')
+        filter = this.filterToDbFormat(filter)
+    filter = addSoftDeleteCondition(filter, options, this.getSoftDeleteFields())
+
     let output = 'nb',
         outputFilter
 
@@ -638,6 +2134,31 @@ Collection.prototype.updateOne = function (filter, update, options) {
         }
     }
 
+    let input = 'json'
+
+    if (options && options.input) {
+        input = options.input
+        delete options.input
+    }
+
+    const version = getExpectedVersion(options, this.getVersionKey())
+    update = this.setUpdateTimestamps(update, options)
+
+    switch (input) {
+        case 'json':
+            this.validateUpdate(update)
+            update = this.updateToDbFormat(update)
+            break
+        case 'db':
+            break
+        default:
+            throw new ConfigurationError({
+                error: `Incorrect input parameter "${input}"`
+            })
+    }
+
+    update = this.setUpdateVersion(update)
+
     switch (output) {
         case 'nb':
             outputFilter = (r) => conversion.equal(r.result.nModified)
@@ -646,7 +2167,7 @@ Collection.prototype.updateOne = function (filter, update, options) {
             outputFilter = conversion.equal
             break
         default:
-            throw new MongolError({
+            throw new ConfigurationError({
                 error: `Incorrect output parameter "${output}"`
             })
     }
@@ -654,8 +2175,14 @@ Collection.prototype.updateOne = function (filter, update, options) {
     outputFilter = outputFilter.bind(this)
 
     return this.collection
-        .updateOne(filter, update, options)
-        .then((out) => outputFilter(out))
+        .updateOne(addVersionCondition(this, filter, version), update, options)
+        .then(
+            (out) =>
+                checkVersion(this, out.result.n, filter, version, options).then(
+                    () => outputFilter(out)
+                ),
+            throwDriverError
+        )
 }
 
 /**
@@ -679,12 +2206,22 @@ Collection.prototype.updateOne = function (filter, update, options) {
  * @param {boolean} [options.serializeFunctions=false] Serialize functions on any object.
  * @param {boolean} [options.ignoreUndefined=false] Specify if the BSON serializer should ignore undefined fields.
  * @param {ClientSession} [options.session] optional session to use for this operation
+ * @param {string} [options.filterInput='json'] This optional mongodet specific parameter determines the format of the **filter** parameter. Valid values are:
+ * - **'json'**: the values of the filter are converted to the database format using the schema.
+ * - **'db'**: the filter is passed as is to the server.
+ * @param {string} [options.input='json'] This optional mongodet specific parameter determines the format of the update passed to this function. Valid values are:
+ * - **'json'**: the update operators are validated path by path using the schema in **update** mode ($setOnInsert in **insert** mode) and their values are converted to the database format.
+ * - **'db'**: the update is sent as is, without validation nor conversion.
  * @param {string} [options.output='nb'] This optional mongodet specific parameter determines the type of the data returned by this function. Valid values and data returned are:
  * - **'nb'**: the number of modified elements.
  * - **'raw'**: returns the whole response received from the server.
  * @returns {Promise<Collection~updateWriteOpResult>} returns Promise if no callback passed
  */
 Collection.prototype.updateMany = function (filter, update, options) {
+    if (getFilterInput(options) === 'json')
+        filter = this.filterToDbFormat(filter)
+    filter = addSoftDeleteCondition(filter, options, this.getSoftDeleteFields())
+
     let output = 'nb',
         outputFilter
 
@@ -693,6 +2230,30 @@ Collection.prototype.updateMany = function (filter, update, options) {
         delete options.output
     }
 
+    let input = 'json'
+
+    if (options && options.input) {
+        input = options.input
+        delete options.input
+    }
+
+    update = this.setUpdateTimestamps(update, options)
+
+    switch (input) {
+        case 'json':
+            this.validateUpdate(update)
+            update = this.updateToDbFormat(update)
+            break
+        case 'db':
+            break
+        default:
+            throw new ConfigurationError({
+                error: `Incorrect input parameter "${input}"`
+            })
+    }
+
+    update = this.setUpdateVersion(update)
+
     switch (output) {
         case 'nb':
             outputFilter = (r) => conversion.equal(r.result.nModified)
@@ -701,7 +2262,7 @@ Collection.prototype.updateMany = function (filter, update, options) {
             outputFilter = conversion.equal
             break
         default:
-            throw new MongolError({
+            throw new ConfigurationError({
                 error: `Incorrect output parameter "${output}"`
             })
     }
@@ -710,7 +2271,7 @@ Collection.prototype.updateMany = function (filter, update, options) {
 
     return this.collection
         .updateMany(filter, update, options)
-        .then((out) => outputFilter(out))
+        .then((out) => outputFilter(out), throwDriverError)
 }
 
 /**
@@ -730,12 +2291,19 @@ Collection.prototype.updateMany = function (filter, update, options) {
  * @param {boolean} [options.ignoreUndefined=false] Specify if the BSON serializer should ignore undefined fields.
  * @param {ClientSession} [options.session] optional session to use for this operation
  * @param {string|object} [options.hint] optional index hint for optimizing the filter query
+ * @param {string} [options.filterInput='json'] This optional mongodet specific parameter determines the format of the **filter** parameter. Valid values are:
+ * - **'json'**: the values of the filter are converted to the database format using the schema.
+ * - **'db'**: the filter is passed as is to the server.
  * @param {string} [options.output='nb'] This optional mongodet specific parameter determines the type of the data returned by this function. Valid values and data returned are:
  * - **'nb'**: the number of modified elements.
  * - **'raw'**: returns the whole response received from the server.
  * @returns {Promise} returns Promise if no callback passed
  */
 Collection.prototype.deleteOne = function (filter, options) {
+    if (getFilterInput(options) === 'json')
+        filter = this.filterToDbFormat(filter)
+    filter = addSoftDeleteCondition(filter, options, this.getSoftDeleteFields())
+
     let output = 'nb',
         outputFilter
 
@@ -752,16 +2320,23 @@ Collection.prototype.deleteOne = function (filter, options) {
             outputFilter = conversion.equal
             break
         default:
-            throw new MongolError({
+            throw new ConfigurationError({
                 error: `Incorrect output parameter "${output}"`
             })
     }
 
     outputFilter = outputFilter.bind(this)
 
+    const softDelete = this.getSoftDeleteFields()
+    const update = getSoftDeleteUpdate(this, options, softDelete)
+    if (softDelete)
+        return this.collection
+            .updateOne(filter, update, options)
+            .then((out) => outputFilter(out), throwDriverError)
+
     return this.collection
         .deleteOne(filter, options)
-        .then((out) => outputFilter(out))
+        .then((out) => outputFilter(out), throwDriverError)
 }
 
 /**
@@ -781,12 +2356,19 @@ Collection.prototype.deleteOne = function (filter, options) {
  * @param {boolean} [options.ignoreUndefined=false] Specify if the BSON serializer should ignore undefined fields.
  * @param {ClientSession} [options.session] optional session to use for this operation
  * @param {string|object} [options.hint] optional index hint for optimizing the filter query
+ * @param {string} [options.filterInput='json'] This optional mongodet specific parameter determines the format of the **filter** parameter. Valid values are:
+ * - **'json'**: the values of the filter are converted to the database format using the schema.
+ * - **'db'**: the filter is passed as is to the server.
  * @param {string} [options.output='nb'] This optional mongodet specific parameter determines the type of the data returned by this function. Valid values and data returned are:
  * - **'nb'**: the number of modified elements.
  * - **'raw'**: returns the whole response received from the server.
  * @returns {Promise} returns Promise if no callback passed
  */
 Collection.prototype.deleteMany = function (filter, options) {
+    if (getFilterInput(options) === 'json')
+        filter = this.filterToDbFormat(filter)
+    filter = addSoftDeleteCondition(filter, options, this.getSoftDeleteFields())
+
     let output = 'nb',
         outputFilter
 
@@ -803,16 +2385,23 @@ Collection.prototype.deleteMany = function (filter, options) {
             outputFilter = conversion.equal
             break
         default:
-            throw new MongolError({
+            throw new ConfigurationError({
                 error: `Incorrect output parameter "${output}"`
             })
     }
 
     outputFilter = outputFilter.bind(this)
 
+    const softDelete = this.getSoftDeleteFields()
+    const update = getSoftDeleteUpdate(this, options, softDelete)
+    if (softDelete)
+        return this.collection
+            .updateMany(filter, update, options)
+            .then((out) => outputFilter(out), throwDriverError)
+
     return this.collection
         .deleteMany(filter, options)
-        .then((out) => outputFilter(out))
+        .then((out) => outputFilter(out), throwDriverError)
 }
 
 /**
@@ -836,6 +2425,12 @@ Collection.prototype.deleteMany = function (filter, options) {
  * @param {boolean} [options.serializeFunctions=false] Serialize functions on any object.
  * @param {boolean} [options.ignoreUndefined=false] Specify if the BSON serializer should ignore undefined fields.
  * @param {ClientSession} [options.session] optional session to use for this operation
+ * @param {string} [options.filterInput='json'] This optional mongodet specific parameter determines the format of the **filter** parameter. Valid values are:
+ * - **'json'**: the values of the filter are converted to the database format using the schema.
+ * - **'db'**: the filter is passed as is to the server.
+ * @param {string} [options.input='json'] This optional mongodet specific parameter determines the format of the data passed to this function. Valid values are:
+ * - **'json'**: the data is validated using the schema in **update** mode and converted to the database format before being written.
+ * - **'db'**: the data is written as is, without validation nor conversion.
  * @param {string} [options.output='json'] This optional mongodet specific parameter determines the type of the data returned by this function. Valid values and data returned are:
  * - **'json'**: returns the document stored in the database before calling this function converted to JSON format.
  * - **'db'**: returns the document stored in the database before calling this function.
@@ -848,6 +2443,10 @@ Collection.prototype.findOneAndReplace = function (
     replacement,
     options
 ) {
+    if (getFilterInput(options) === 'json')
+        filter = this.filterToDbFormat(filter)
+    filter = addSoftDeleteCondition(filter, options, this.getSoftDeleteFields())
+
     let output = 'json',
         outputFilter
 
@@ -856,6 +2455,39 @@ Collection.prototype.findOneAndReplace = function (
         delete options.output
     }
 
+    let input = 'json'
+
+    if (options && options.input) {
+        input = options.input
+        delete options.input
+    }
+
+    const version = getExpectedVersion(
+        options,
+        this.getVersionKey(),
+        replacement
+    )
+    replacement = this.setTimestamps(replacement, 'replace')
+
+    switch (input) {
+        case 'json':
+            replacement = this.prepareDocument(replacement, 'replace')
+            this.validateDocument(replacement, 'update')
+            replacement = this.documentToDbFormat(replacement)
+            break
+        case 'db':
+            break
+        default:
+            throw new ConfigurationError({
+                error: `Incorrect input parameter "${input}"`
+            })
+    }
+
+    replacement = this.setVersion(
+        replacement,
+        version === undefined ? undefined : version + 1
+    )
+
     switch (output) {
         case 'json':
             outputFilter = (r) => this.dbFormatToDocument(r.value)
@@ -870,16 +2502,40 @@ Collection.prototype.findOneAndReplace = function (
             outputFilter = conversion.equal
             break
         default:
-            throw new MongolError({
+            throw new ConfigurationError({
                 error: `Incorrect output parameter "${output}"`
             })
     }
 
     outputFilter = outputFilter.bind(this)
 
-    return this.collection
-        .findOneAndReplace(filter, replacement, options)
-        .then((out) => outputFilter(out))
+    const versionFilter = addVersionCondition(this, filter, version)
+    replacement = getReplacement(this, replacement, version)
+    let operation
+    if (replacement instanceof Array)
+        operation = this.collection.findOneAndUpdate(
+            versionFilter,
+            replacement,
+            options
+        )
+    else
+        operation = this.collection.findOneAndReplace(
+            versionFilter,
+            replacement,
+            options
+        )
+
+    return operation.then(
+        (out) =>
+            checkVersion(
+                this,
+                out.lastErrorObject.n,
+                filter,
+                version,
+                options
+            ).then(() => outputFilter(out)),
+        throwDriverError
+    )
 }
 
 /**
@@ -904,6 +2560,12 @@ Collection.prototype.findOneAndReplace = function (
  * @param {boolean} [options.serializeFunctions=false] Serialize functions on any object.
  * @param {boolean} [options.ignoreUndefined=false] Specify if the BSON serializer should ignore undefined fields.
  * @param {ClientSession} [options.session] An ptional session to use for this operation
+ * @param {string} [options.filterInput='json'] This optional mongodet specific parameter determines the format of the **filter** parameter. Valid values are:
+ * - **'json'**: the values of the filter are converted to the database format using the schema.
+ * - **'db'**: the filter is passed as is to the server.
+ * @param {string} [options.input='json'] This optional mongodet specific parameter determines the format of the update passed to this function. Valid values are:
+ * - **'json'**: the update operators are validated path by path using the schema in **update** mode ($setOnInsert in **insert** mode) and their values are converted to the database format.
+ * - **'db'**: the update is sent as is, without validation nor conversion.
  * @param {string} [options.output='json'] This optional mongodet specific parameter determines the type of the data returned by this function. Valid values and data returned are:
  * - **'json'**: returns the document stored in the database before calling this function converted to JSON format.
  * - **'db'**: returns the document stored in the database before calling this function.
@@ -912,6 +2574,10 @@ Collection.prototype.findOneAndReplace = function (
  * @returns {Promise<Collection~findAndModifyWriteOpResultObject>} returns Promise if no callback passed
  */
 Collection.prototype.findOneAndUpdate = function (filter, update, options) {
+    if (getFilterInput(options) === 'json')
+        filter = this.filterToDbFormat(filter)
+    filter = addSoftDeleteCondition(filter, options, this.getSoftDeleteFields())
+
     let output = 'json',
         outputFilter
 
@@ -920,6 +2586,31 @@ Collection.prototype.findOneAndUpdate = function (filter, update, options) {
         delete options.output
     }
 
+    let input = 'json'
+
+    if (options && options.input) {
+        input = options.input
+        delete options.input
+    }
+
+    const version = getExpectedVersion(options, this.getVersionKey())
+    update = this.setUpdateTimestamps(update, options)
+
+    switch (input) {
+        case 'json':
+            this.validateUpdate(update)
+            update = this.updateToDbFormat(update)
+            break
+        case 'db':
+            break
+        default:
+            throw new ConfigurationError({
+                error: `Incorrect input parameter "${input}"`
+            })
+    }
+
+    update = this.setUpdateVersion(update)
+
     switch (output) {
         case 'json':
             outputFilter = (r) => this.dbFormatToDocument(r.value)
@@ -934,7 +2625,7 @@ Collection.prototype.findOneAndUpdate = function (filter, update, options) {
             outputFilter = conversion.equal
             break
         default:
-            throw new MongolError({
+            throw new ConfigurationError({
                 error: `Incorrect output parameter "${output}"`
             })
     }
@@ -942,8 +2633,22 @@ Collection.prototype.findOneAndUpdate = function (filter, update, options) {
     outputFilter = outputFilter.bind(this)
 
     return this.collection
-        .findOneAndUpdate(filter, update, options)
-        .then((out) => outputFilter(out))
+        .findOneAndUpdate(
+            addVersionCondition(this, filter, version),
+            update,
+            options
+        )
+        .then(
+            (out) =>
+                checkVersion(
+                    this,
+                    out.lastErrorObject.n,
+                    filter,
+                    version,
+                    options
+                ).then(() => outputFilter(out)),
+            throwDriverError
+        )
 }
 
 /**
@@ -962,6 +2667,9 @@ Collection.prototype.findOneAndUpdate = function (filter, update, options) {
  * @param {boolean} [options.serializeFunctions=false] Serialize functions on any object.
  * @param {boolean} [options.ignoreUndefined=false] Specify if the BSON serializer should ignore undefined fields.
  * @param {ClientSession} [options.session] optional session to use for this operation
+ * @param {string} [options.filterInput='json'] This optional mongodet specific parameter determines the format of the **filter** parameter. Valid values are:
+ * - **'json'**: the values of the filter are converted to the database format using the schema.
+ * - **'db'**: the filter is passed as is to the server.
  * @param {string} [options.output='json'] This optional mongodet specific parameter determines the type of the data returned by this function. Valid values and data returned are:
  * - **'json'**: returns the document stored in the database before calling this function converted to JSON format.
  * - **'db'**: returns the document stored in the database before calling this function.
@@ -970,6 +2678,10 @@ Collection.prototype.findOneAndUpdate = function (filter, update, options) {
  * @returns {Promise<Collection~findAndModifyWriteOpResultObject>} returns Promise if no callback passed
  */
 Collection.prototype.findOneAndDelete = function (filter, options) {
+    if (getFilterInput(options) === 'json')
+        filter = this.filterToDbFormat(filter)
+    filter = addSoftDeleteCondition(filter, options, this.getSoftDeleteFields())
+
     let output = 'json',
         outputFilter
 
@@ -992,16 +2704,23 @@ Collection.prototype.findOneAndDelete = function (filter, options) {
             outputFilter = conversion.equal
             break
         default:
-            throw new MongolError({
+            throw new ConfigurationError({
                 error: `Incorrect output parameter "${output}"`
             })
     }
 
     outputFilter = outputFilter.bind(this)
 
+    const softDelete = this.getSoftDeleteFields()
+    const update = getSoftDeleteUpdate(this, options, softDelete)
+    if (softDelete)
+        return this.collection
+            .findOneAndUpdate(filter, update, options)
+            .then((out) => outputFilter(out), throwDriverError)
+
     return this.collection
         .findOneAndDelete(filter, options)
-        .then((out) => outputFilter(out))
+        .then((out) => outputFilter(out), throwDriverError)
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -1044,11 +2763,46 @@ Collection.prototype.findOneAndDelete = function (filter, options) {
  * @param {object} [options.collation] Specify collation (MongoDB 3.4 or higher) settings for update operation (see 3.4 documentation for available fields).
  * @param {boolean} [options.allowDiskUse] Enables writing to temporary files on the server.
  * @param {ClientSession} [options.session] optional session to use for this operation
- * @throws {MongoError}
- * @returns {Cursor}
+ * @param {string} [options.filterInput='json'] This optional mongodet specific parameter determines the format of the **query** parameter. Valid values are:
+ * - **'json'**: the values of the filter are converted to the database format using the schema.
+ * - **'db'**: the filter is passed as is to the server.
+ * @param {(string|Array|object)} [options.populate] This optional mongodet specific parameter replaces the references (the fields whose schema contains
+ * the **ref** keyword) by the referenced documents, in JSON format (see the populate() function). Only available with the 'json' output.
+ * @param {string} [options.output='json'] This optional mongodet specific parameter determines the type of the cursor returned by this function. Valid values and data returned are:
+ * - **'json'**: returns a cursor that converts each document to a JSON object using the schema associated to this collection.
+ * - **'db'**: returns the original mongodb cursor.
+ * @throws {(MongoError|MongolError)}
+ * @returns {(MongodetCursor|Cursor)}
  */
 Collection.prototype.find = function (query, options) {
-    return this.collection.find(query, options)
+    let output = 'json'
+
+    if (getFilterInput(options) === 'json') query = this.filterToDbFormat(query)
+    query = addSoftDeleteCondition(query, options, this.getSoftDeleteFields())
+
+    if (options && options.output) {
+        output = options.output
+        delete options.output
+    }
+
+    const populate = getPopulate(options, output)
+    const session = options && options.session
+
+    switch (output) {
+        case 'json':
+            return new MongodetCursor(
+                this.collection.find(query, options),
+                (d) => this.dbFormatToDocument(d),
+                populate &&
+                    ((docs) => this.populate(docs, populate, { session }))
+            )
+        case 'db':
+            return this.collection.find(query, options)
+        default:
+            throw new ConfigurationError({
+                error: `Incorrect output parameter "${output}"`
+            })
+    }
 }
 
 /**
@@ -1122,6 +2876,9 @@ Collection.prototype.insertManyOriginal = function (docs, options, callback) {
  * If documents passed in do not contain the **_id** field,
  * one will be added to each of the documents missing it by the driver, mutating the document. This behavior
  * can be overridden by setting the **forceServerObjectId** flag.
+ *
+ * The operations are sent in db format. If the "softDelete" parameter is set, the **deleteOne** and **deleteMany** operations
+ * are sent as updates marking the documents as deleted, and the updates, replacements and deletions ignore the deleted documents.
  * https://mongodb.github.io/node-mongodb-native/3.5/api/Collection.html#bulkWrite
  * @function
  * @param {object[]} operations Bulk operations to perform.
@@ -1136,10 +2893,26 @@ Collection.prototype.insertManyOriginal = function (docs, options, callback) {
  * @param {boolean} [options.serializeFunctions=false] Serialize functions on any object.
  * @param {boolean} [options.ignoreUndefined=false] Specify if the BSON serializer should ignore undefined fields.
  * @param {ClientSession} [options.session] optional session to use for this operation
+ * @param {boolean} [options.withDeleted=false] If the "softDelete" parameter is set, the operations also apply to the deleted documents.
+ * @param {boolean} [options.onlyDeleted=false] If the "softDelete" parameter is set, the operations only apply to the deleted documents.
+ * @param {any} [options.deletedBy] If the "softDelete" parameter is set, the value stored in the **deletedBy** field of the documents deleted.
  * @param {Collection~bulkWriteOpCallback} [callback] The command result callback
  * @returns {Promise} returns Promise if no callback passed
+ * @throws {ConfigurationError} If the "history" parameter is set, the operations other than **insertOne** are rejected.
  */
 Collection.prototype.bulkWrite = function (operations, options, callback) {
+    if (
+        this.parameters.history &&
+        operations.some((op) => Object.keys(op)[0] !== 'insertOne')
+    )
+        throw new ConfigurationError({
+            error: `The history of collection "${this.name}" is recorded: bulkWrite() can only insert documents.`
+        })
+
+    const fields = this.getSoftDeleteFields()
+    if (fields)
+        operations = getSoftDeleteOperations(this, operations, options, fields)
+
     return this.collection.bulkWrite(operations, options, callback)
 }
 
@@ -1750,6 +3523,9 @@ Collection.prototype.estimatedDocumentCount = function (options, callback) {
  * @param {number} [options.limit] The maximum number of document to count.
  * @param {number} [options.maxTimeMS] The maximum amount of time to allow the operation to run.
  * @param {number} [options.skip] The number of documents to skip before counting.
+ * @param {string} [options.filterInput='json'] This optional mongodet specific parameter determines the format of the **query** parameter. Valid values are:
+ * - **'json'**: the values of the filter are converted to the database format using the schema.
+ * - **'db'**: the filter is passed as is to the server.
  * @param {Collection~countCallback} [callback] The command result callback.
  * @returns {Promise} returns Promise if no callback passed.
  * @see https://docs.mongodb.com/manual/reference/operator/query/expr/
@@ -1758,6 +3534,9 @@ Collection.prototype.estimatedDocumentCount = function (options, callback) {
  * @see https://docs.mongodb.com/manual/reference/operator/query/centerSphere/#op._S_centerSphere
  */
 Collection.prototype.countDocuments = function (query, options, callback) {
+    if (getFilterInput(options) === 'json') query = this.filterToDbFormat(query)
+    query = addSoftDeleteCondition(query, options, this.getSoftDeleteFields())
+
     return this.collection.countDocuments(query, options, callback)
 }
 
@@ -1772,10 +3551,16 @@ Collection.prototype.countDocuments = function (query, options, callback) {
  * @param {number} [options.maxTimeMS] Number of milliseconds to wait before aborting the query.
  * @param {object} [options.collation] Specify collation settings for operation. See {@link https://docs.mongodb.com/manual/reference/command/aggregate|aggregation documentation}.
  * @param {ClientSession} [options.session] optional session to use for this operation
+ * @param {string} [options.filterInput='json'] This optional mongodet specific parameter determines the format of the **query** parameter. Valid values are:
+ * - **'json'**: the values of the filter are converted to the database format using the schema.
+ * - **'db'**: the filter is passed as is to the server.
  * @param {Collection~resultCallback} [callback] The command result callback
  * @returns {Promise} returns Promise if no callback passed
  */
 Collection.prototype.distinct = function (key, query, options, callback) {
+    if (getFilterInput(options) === 'json') query = this.filterToDbFormat(query)
+    query = addSoftDeleteCondition(query, options, this.getSoftDeleteFields())
+
     return this.collection.distinct(key, query, options, callback)
 }
 
@@ -1978,10 +3763,40 @@ Collection.prototype.findAndRemoveDeprecated = function (
  * @param {string} [options.comment] Add a comment to an aggregation command
  * @param {string|object} [options.hint] Add an index selection hint to an aggregation command
  * @param {ClientSession} [options.session] optional session to use for this operation
- * @returns {AggregationCursor}
+ * @param {object} [options.outputSchema] This optional mongodet specific parameter defines the JSON schema of the documents returned by the pipeline.
+ * If set, the returned cursor converts each document to a JSON object using this schema. The schema of the collection is not used because the output of
+ * a pipeline usually doesn't match it.
+ * @returns {(MongodetCursor|AggregationCursor)}
  */
 Collection.prototype.aggregate = function (pipeline, options) {
-    return this.collection.aggregate(pipeline, options)
+    let outputSchema
+
+    if (options && options.outputSchema) {
+        outputSchema = options.outputSchema
+        delete options.outputSchema
+    }
+
+    const condition = getSoftDeleteCondition(
+        options,
+        this.getSoftDeleteFields()
+    )
+    if (condition) {
+        pipeline = (pipeline || []).slice()
+        const i =
+            pipeline.length && firstStages.includes(Object.keys(pipeline[0])[0])
+                ? 1
+                : 0
+        pipeline.splice(i, 0, { $match: condition })
+    }
+
+    const cursor = this.collection.aggregate(pipeline, options)
+    if (!outputSchema) return cursor
+
+    return new MongodetCursor(cursor, (d) =>
+        conversion.dbFormatToDocument(d, outputSchema, {
+            types: this.typeRegistry
+        })
+    )
 }
 
 /**
@@ -2029,6 +3844,7 @@ Collection.prototype.parallelCollectionScanDeprecated = function (
  * Execute a geo search using a geo haystack index on a collection.
  * https://mongodb.github.io/node-mongodb-native/3.5/api/Collection.html#geoHaystackSearch
  * @function
+ * @deprecated The geoHaystack indexes are deprecated by MongoDB. Use findNear() or findWithin() with a '2dsphere' index.
  * @param {number} x Point to search on the x axis, ensure the indexes are ordered in the same order.
  * @param {number} y Point to search on the y axis, ensure the indexes are ordered in the same order.
  * @param {object} [options] Optional settings.
@@ -2151,3 +3967,166 @@ Collection.prototype.initializeOrderedBulkOp = function (options) {
 Collection.prototype.getLogger = function () {
     return this.collection.getLogger()
 }
+
+////////////////////////////////////////////////////////////////////////////////
+// Middlewares and sessions.
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * This function sets the ambient session of the connection of a collection (see the withTransaction() function) to the
+ * options of a method, if they do not contain a session.
+ * @param {Collection} collection The collection.
+ * @param {Array} args The arguments passed to the method. They are not modified.
+ * @param {number} index The index of the options in the arguments. A callback found at this index is moved to the next one.
+ * @returns {Array} This function returns the arguments to pass to the method.
+ */
+function addAmbientSession(collection, args, index) {
+    const session = getAmbientSession(collection.parameters.connection)
+    if (!session) return args
+
+    args = args.slice()
+    if (typeof args[index] === 'function') args.splice(index, 0, undefined)
+    if (!args[index] || !args[index].session)
+        args[index] = { ...args[index], session }
+    return args
+}
+
+// The hooked methods run their middlewares (see the use() function) only if
+// some are registered.
+for (const name in hookedMethods) {
+    const method = Collection.prototype[name]
+    const params = hookedMethods[name]
+
+    Collection.prototype[name] = function (...args) {
+        args = addAmbientSession(this, args, params.indexOf('options'))
+
+        let middlewares = getMiddlewares(this.hooks, name)
+        if (this.parameters.history && historyOperations.includes(name))
+            middlewares = middlewares.concat(recordHistory)
+        if (!middlewares.length) return method.apply(this, args)
+
+        let ctx = { collection: this, operation: name }
+        params.forEach((p, i) => (ctx[p] = args[i]))
+        if (!ctx.options) ctx.options = {}
+        const rest = args.slice(params.length)
+
+        return runMiddlewares(middlewares, ctx, (c) =>
+            method.apply(this, params.map((p) => c[p]).concat(rest))
+        )
+    }
+}
+
+// Other methods using the ambient session, and the index of their options.
+const sessionMethods = {
+    insertOneOriginal: 1,
+    insertManyOriginal: 1,
+    updateOneOriginal: 2,
+    replaceOneOriginal: 2,
+    updateManyOriginal: 2,
+    deleteOneOriginal: 1,
+    deleteManyOriginal: 1,
+    findOneOriginal: 1,
+    find: 1,
+    findOneAndDeleteOriginal: 1,
+    findOneAndReplaceOriginal: 2,
+    findOneAndUpdateOriginal: 2,
+    aggregate: 1,
+    purgeDeleted: 1,
+    history: 1,
+    asOf: 2,
+    populate: 2,
+    findNear: 1,
+    findWithin: 1
+}
+
+for (const name in sessionMethods) {
+    const method = Collection.prototype[name]
+
+    Collection.prototype[name] = function (...args) {
+        return method.apply(
+            this,
+            addAmbientSession(this, args, sessionMethods[name])
+        )
+    }
+}
+
+// The methods returning a Promise (or calling their callback), and the index of
+// their options. The exceptions thrown before the operation is sent, like the
+// ConnectionError of a collection not bound yet, are sent to the callback or
+// returned as a rejected Promise, like the errors of the operation.
+const asyncMethods = {
+    insertOne: 1,
+    insertMany: 1,
+    findOne: 1,
+    findMany: 1,
+    replaceOne: 2,
+    updateOne: 2,
+    updateMany: 2,
+    deleteOne: 1,
+    deleteMany: 1,
+    findOneAndReplace: 2,
+    findOneAndUpdate: 2,
+    findOneAndDelete: 1,
+    insertOneOriginal: 1,
+    insertManyOriginal: 1,
+    bulkWrite: 1,
+    insertDeprecated: 1,
+    updateOneOriginal: 2,
+    replaceOneOriginal: 2,
+    updateManyOriginal: 2,
+    updateDeprecated: 2,
+    deleteOneOriginal: 1,
+    deleteManyOriginal: 1,
+    removeDeprecated: 1,
+    saveDeprecated: 1,
+    findOneOriginal: 1,
+    rename: 1,
+    drop: 0,
+    options: 0,
+    isCapped: 0,
+    createIndex: 1,
+    createIndexesOriginal: 1,
+    dropIndex: 1,
+    dropIndexes: 0,
+    dropAllIndexesDeprecated: 0,
+    reIndex: 0,
+    ensureIndexDeprecated: 1,
+    indexExists: 1,
+    indexInformation: 0,
+    countDeprecated: 1,
+    estimatedDocumentCount: 0,
+    countDocuments: 1,
+    distinct: 2,
+    indexes: 0,
+    stats: 0,
+    findOneAndDeleteOriginal: 1,
+    findOneAndReplaceOriginal: 2,
+    findOneAndUpdateOriginal: 2,
+    findAndModifyDeprecated: 3,
+    findAndRemoveDeprecated: 2,
+    parallelCollectionScanDeprecated: 0,
+    geoHaystackSearch: 2,
+    groupDeprecated: 6,
+    mapReduce: 2,
+    restoreOne: 1,
+    restoreMany: 1,
+    findNear: 1,
+    findWithin: 1
+}
+
+for (const name in asyncMethods) {
+    const method = Collection.prototype[name]
+    const index = asyncMethods[name]
+
+    Collection.prototype[name] = function (...args) {
+        try {
+            return method.apply(this, args)
+        } catch (e) {
+            const callback = args
+                .slice(index, index + 2)
+                .find((a) => typeof a === 'function')
+            if (!callback) return Promise.reject(e)
+            callback(e)
+        }
+    }
+}
@@ -0,0 +1,220 @@
+'use strict'
+
+const { ConfigurationError } = require('../errors')
+
+// Methods of the mongodb cursors that modify the cursor and return it. The
+// wrapper calls them on the original cursor and returns itself, so they can
+// still be chained.
+const chainableMethods = [
+    // Cursor
+    'addCursorFlag',
+    'addQueryModifier',
+    'collation',
+    'comment',
+    'filter',
+    'hint',
+    'limit',
+    'max',
+    'maxAwaitTimeMS',
+    'maxTimeMS',
+    'min',
+    'project',
+    'returnKey',
+    'setReadPreference',
+    'showRecordId',
+    'skip',
+    'sort',
+    // AggregationCursor
+    'geoNear',
+    'group',
+    'lookup',
+    'match',
+    'out',
+    'redact',
+    'unwind'
+]
+
+// Methods of the mongodb cursors that do not return documents.
+const delegatedMethods = ['close', 'count', 'explain', 'isClosed']
+
+// The number of documents populated together by next(), if batchSize() is not
+// called.
+const defaultBatchSize = 100
+
+class MongodetCursor {
+    /**
+     * This class wraps a mongodb cursor (Cursor or AggregationCursor) and converts each document it returns.
+     * @param {Cursor} cursor The original mongodb cursor.
+     * @param {function} transform A function that converts a single document returned by the server.
+     * @param {function} [populate] An async function that receives an array of converted documents and populates their references.
+     * next(), forEach() and the for await loops read the documents by batches (see the batchSize() function) and call it once per batch.
+     * toArray() calls it once for all the documents. Streams are not supported.
+     */
+    constructor(cursor, transform, populate) {
+        this.cursor = cursor
+        this.transform = transform
+        this.populate = populate
+        this.maps = []
+        this.size = defaultBatchSize
+        // The documents read from the cursor and populated, not returned yet.
+        this.buffer = []
+    }
+
+    /**
+     * Set the batch size of the cursor. It is also the number of documents populated together by next() (100 by default).
+     * @param {number} size The batch size.
+     * @returns {MongodetCursor} This function returns this cursor.
+     */
+    batchSize(size) {
+        this.cursor.batchSize(size)
+        if (size > 0) this.size = size
+        return this
+    }
+
+    /**
+     * Reset the cursor to its initial state.
+     * @returns {null}
+     */
+    rewind() {
+        this.buffer = []
+        return this.cursor.rewind()
+    }
+
+    /**
+     * This function adds a transformation applied to each document after it has been converted (and populated).
+     * @param {function} fn The function that transforms the document.
+     * @returns {MongodetCursor} This function returns this cursor.
+     */
+    map(fn) {
+        this.maps.push(fn)
+        return this
+    }
+
+    // Applies the functions added with map() to a converted document.
+    applyMaps(doc) {
+        return this.maps.reduce((d, fn) => fn(d), doc)
+    }
+
+    // Converts, populates and maps several documents returned by the server.
+    async transformDocuments(docs) {
+        docs = docs.map((doc) => this.transform(doc))
+        if (this.populate) docs = await this.populate(docs)
+        return docs.map((doc) => this.applyMaps(doc))
+    }
+
+    /**
+     * Check if there is any document still available in the cursor.
+     * @returns {Promise<boolean>}
+     */
+    hasNext() {
+        if (this.buffer.length) return Promise.resolve(true)
+        return this.cursor.hasNext()
+    }
+
+    /**
+     * Get the next available document from the cursor, returns null if no more documents are available.
+     * @returns {Promise} returns a Promise. If resolved, it will send the converted document.
+     */
+    next() {
+        if (this.buffer.length) return Promise.resolve(this.buffer.shift())
+        if (!this.populate)
+            return this.cursor.next().then((doc) => {
+                if (doc === null) return null
+                return this.transformDocuments([doc]).then((docs) => docs[0])
+            })
+
+        return this.readBatch().then(() =>
+            this.buffer.length ? this.buffer.shift() : null
+        )
+    }
+
+    // Reads the next batch of documents, and converts and populates them
+    // together, so the referenced documents are read once per batch.
+    async readBatch() {
+        let docs = []
+        while (docs.length < this.size) {
+            const doc = await this.cursor.next()
+            if (doc === null) break
+            docs.push(doc)
+        }
+        if (docs.length) this.buffer = await this.transformDocuments(docs)
+    }
+
+    /**
+     * Iterates over all the documents for this cursor.
+     * @param {function} iterator The function called with each converted document.
+     * @param {function} [callback] The end callback.
+     * @returns {Promise} returns Promise if no callback passed
+     */
+    forEach(iterator, callback) {
+        if (!this.populate)
+            return this.cursor.forEach(
+                (doc) => iterator(this.applyMaps(this.transform(doc))),
+                callback
+            )
+
+        const promise = (async () => {
+            for await (const doc of this) iterator(doc)
+        })()
+        if (!callback) return promise
+        promise.then(() => callback(null), callback)
+    }
+
+    /**
+     * Returns an array of documents.
+     * @returns {Promise} returns a Promise. If resolved, it will send an array containing the converted documents.
+     */
+    toArray() {
+        const buffer = this.buffer
+        this.buffer = []
+        return this.cursor
+            .toArray()
+            .then((docs) => this.transformDocuments(docs))
+            .then((docs) => buffer.concat(docs))
+    }
+
+    /**
+     * Return a modified Readable stream including a possible transform method.
+     * @param {object} [options] Optional settings.
+     * @param {function} [options.transform] A transformation method applied to each converted document emitted by the stream.
+     * @returns {Cursor}
+     */
+    stream(options = {}) {
+        if (this.populate)
+            throw new ConfigurationError({
+                error: 'The populate option is not supported by streams.'
+            })
+
+        const transform = options.transform
+        return this.cursor.stream({
+            ...options,
+            transform: (doc) => {
+                doc = this.applyMaps(this.transform(doc))
+                return transform ? transform(doc) : doc
+            }
+        })
+    }
+
+    async *[Symbol.asyncIterator]() {
+        for (;;) {
+            const doc = await this.next()
+            if (doc === null) return
+            yield doc
+        }
+    }
+}
+
+for (const method of chainableMethods) {
+    MongodetCursor.prototype[method] = function (...args) {
+        this.cursor[method](...args)
+        return this
+    }
+}
+
+for (const method of delegatedMethods) {
+    MongodetCursor.prototype[method] = function (...args) {
+        return this.cursor[method](...args)
+    }
+}
+
+module.exports = { MongodetCursor }
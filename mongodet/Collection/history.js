@@ -0,0 +1,72 @@
+'use strict'
+
+// Operations whose prior states are written to the history collection.
+const historyOperations = [
+    'replaceOne',
+    'updateOne',
+    'updateMany',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndReplace',
+    'findOneAndUpdate',
+    'findOneAndDelete',
+    'restoreOne',
+    'restoreMany'
+]
+
+function isObject(value) {
+    return !!value && value.constructor.name === 'Object'
+}
+
+function isEqual(a, b) {
+    if (a instanceof Date && b instanceof Date)
+        return a.getTime() === b.getTime()
+    if (a instanceof Array && b instanceof Array)
+        return a.length === b.length && a.every((v, i) => isEqual(v, b[i]))
+    if (isObject(a) && isObject(b)) {
+        const keys = Object.keys(a)
+        if (keys.length !== Object.keys(b).length) return false
+        return keys.every((k) => isEqual(a[k], b[k]))
+    }
+    if (a && b && typeof a.equals === 'function') return a.equals(b)
+    return a === b
+}
+
+function diffValues(before, after, path, diff) {
+    if (isObject(before) && isObject(after)) {
+        const keys = new Set(Object.keys(before).concat(Object.keys(after)))
+        for (const key of keys)
+            diffValues(
+                before[key],
+                after[key],
+                path ? `${path}.${key}` : key,
+                diff
+            )
+    } else if (!isEqual(before, after)) {
+        diff.push({ path, before, after })
+    }
+    return diff
+}
+
+module.exports = {
+    historyOperations,
+
+    /**
+     * This function compares two states of a document. The objects are compared property by property, and the arrays as a whole.
+     * @param {object} before - The prior state of the document, in JSON format.
+     * @param {object} after - The new state of the document, in JSON format.
+     * @returns {object[]} This function returns the list of changes. Each element contains the **path** of the change and the **before** and **after** values.
+     */
+    diffDocuments(before, after) {
+        return diffValues(before, after, '', [])
+    },
+
+    /**
+     * This function returns a key identifying a document id, to compare ids of any type (ObjectId, Long ...).
+     * @param {any} id - A document id, in db format.
+     * @returns {string}
+     */
+    getIdKey(id) {
+        return JSON.stringify(id)
+    }
+}
@@ -0,0 +1,92 @@
+'use strict'
+
+const { ConfigurationError } = require('../errors')
+
+// Methods that run the middlewares, and the names of their parameters stored in
+// the context. The parameters after them (callback ...) are passed as is.
+const hookedMethods = {
+    insertOne: ['doc', 'options'],
+    insertMany: ['docs', 'options'],
+    findOne: ['filter', 'options'],
+    findMany: ['filter', 'options'],
+    replaceOne: ['filter', 'doc', 'options'],
+    updateOne: ['filter', 'update', 'options'],
+    updateMany: ['filter', 'update', 'options'],
+    deleteOne: ['filter', 'options'],
+    deleteMany: ['filter', 'options'],
+    findOneAndReplace: ['filter', 'doc', 'options'],
+    findOneAndUpdate: ['filter', 'update', 'options'],
+    findOneAndDelete: ['filter', 'options'],
+    restoreOne: ['filter', 'options'],
+    restoreMany: ['filter', 'options'],
+    countDocuments: ['filter', 'options'],
+    distinct: ['key', 'filter', 'options'],
+    bulkWrite: ['operations', 'options']
+}
+
+function getOperations(operation) {
+    const operations = [].concat(operation)
+    for (const op of operations)
+        if (op !== '*' && !hookedMethods[op])
+            throw new ConfigurationError({
+                error: `Middlewares can not be added to the operation "${op}".`,
+                operations: Object.keys(hookedMethods)
+            })
+    return operations
+}
+
+function runMiddlewares(middlewares, ctx, last) {
+    let index = -1
+    const dispatch = async (i) => {
+        if (i <= index)
+            throw new ConfigurationError({
+                error: `next() called several times by a middleware of the operation "${ctx.operation}".`
+            })
+        index = i
+        if (i === middlewares.length) ctx.result = await last(ctx)
+        else await middlewares[i](ctx, () => dispatch(i + 1))
+    }
+    return dispatch(0).then(() => ctx.result)
+}
+
+module.exports = {
+    hookedMethods,
+
+    /**
+     * This function adds a middleware to one or several operations of a collection.
+     * @param {object} hooks - The middlewares of the collection, by operation. It is modified by this function.
+     * @param {(string|string[])} operation - The name of the operation(s), or '*' for all of them.
+     * @param {function} middleware - An async function receiving the context and the next() function.
+     * @throws {ConfigurationError} This function throws an exception if an operation can not be hooked or the middleware is not a function.
+     */
+    addMiddleware(hooks, operation, middleware) {
+        if (typeof middleware !== 'function')
+            throw new ConfigurationError({
+                error: `The middleware of the operation "${operation}" is not a function.`
+            })
+        for (const op of getOperations(operation)) {
+            if (!hooks[op]) hooks[op] = []
+            hooks[op].push(middleware)
+        }
+    },
+
+    /**
+     * This function returns the middlewares to run for an operation: the ones added with '*' first, then the ones of the operation.
+     * @param {object} hooks - The middlewares of the collection, by operation.
+     * @param {string} operation - The name of the operation.
+     * @returns {function[]}
+     */
+    getMiddlewares(hooks, operation) {
+        return (hooks['*'] || []).concat(hooks[operation] || [])
+    },
+
+    /**
+     * This function runs the middlewares in order, then the operation itself. Each middleware can modify the context before
+     * calling next(), and its **result** property after it. A middleware rejects the operation by throwing an exception.
+     * @param {function[]} middlewares - The middlewares to run.
+     * @param {object} ctx - The context of the operation.
+     * @param {function} last - An async function receiving the context and running the operation.
+     * @returns {Promise} returns a Promise. If resolved, it will send the **result** property of the context.
+     */
+    runMiddlewares
+}
@@ -0,0 +1,192 @@
+'use strict'
+
+// Index options compared with the ones returned by listIndexes(). Other
+// options (background, v, ns ...) do not change the behaviour of the index.
+const comparedOptions = [
+    'unique',
+    'sparse',
+    'expireAfterSeconds',
+    'partialFilterExpression',
+    'collation',
+    'default_language',
+    'language_override',
+    'bits',
+    'min',
+    'max',
+    'bucketSize',
+    'hidden',
+    'wildcardProjection'
+]
+
+// Options whose value is false when they are not set.
+const booleanOptions = ['unique', 'sparse', 'hidden']
+
+// Values set by the server when the options of a text index are not set.
+const serverDefaults = {
+    default_language: 'english',
+    language_override: 'language'
+}
+
+function isEqual(a, b) {
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        const keys = Object.keys(a)
+        if (keys.length !== Object.keys(b).length) return false
+        return keys.every((k) => isEqual(a[k], b[k]))
+    }
+    return a === b
+}
+
+// The server completes the collation with default values, so only the
+// declared fields are compared.
+function isSubset(a, b) {
+    if (!a || !b) return a === b
+    return Object.keys(a).every((k) => isEqual(a[k], b[k]))
+}
+
+function normalizeKey(fieldOrSpec) {
+    if (typeof fieldOrSpec === 'string') return { [fieldOrSpec]: 1 }
+    if (!(fieldOrSpec instanceof Array)) return { ...fieldOrSpec }
+
+    let key = {}
+    for (const f of fieldOrSpec) {
+        if (typeof f === 'string') key[f] = 1
+        else if (f instanceof Array) key[f[0]] = f[1]
+        else Object.assign(key, f)
+    }
+    return key
+}
+
+// Text indexes are listed by the server as { _fts: 'text', _ftsx: 1 } and
+// their fields are stored in the "weights" option.
+function getServerKey(key) {
+    let ret = {}
+    let textAdded = false
+    for (const f in key) {
+        if (key[f] === 'text') {
+            if (!textAdded) {
+                ret._fts = 'text'
+                ret._ftsx = 1
+                textAdded = true
+            }
+        } else {
+            ret[f] = key[f]
+        }
+    }
+    return ret
+}
+
+function getTextWeights(key, options) {
+    let weights
+    for (const f in key) {
+        if (key[f] === 'text') {
+            if (!weights) weights = {}
+            weights[f] = (options.weights && options.weights[f]) || 1
+        }
+    }
+    return weights
+}
+
+function getDeclaredIndexes(indexes) {
+    let ret = []
+    for (const name in indexes) {
+        if (Object.prototype.hasOwnProperty.call(indexes, name)) {
+            let ixp = indexes[name]
+            if (ixp.constructor.name === 'Object') ixp = [ixp, {}]
+            ret.push({
+                name,
+                key: normalizeKey(ixp[0]),
+                options: { ...ixp[1], name }
+            })
+        }
+    }
+    return ret
+}
+
+function isIndexChanged(declared, existing) {
+    if (
+        JSON.stringify(getServerKey(declared.key)) !==
+        JSON.stringify(existing.key)
+    )
+        return true
+
+    const weights = getTextWeights(declared.key, declared.options)
+    if (weights && !isEqual(weights, existing.weights)) return true
+
+    return comparedOptions.some((o) => {
+        let d = declared.options[o]
+        let e = existing[o]
+        if (d === undefined && e === serverDefaults[o]) return false
+        if (booleanOptions.indexOf(o) >= 0) {
+            d = !!d
+            e = !!e
+        }
+        if (o === 'collation') return !isSubset(d, e)
+        return !isEqual(d, e)
+    })
+}
+
+module.exports = {
+    /**
+     * This function returns the paths indexed by the '2dsphere' indexes declared for a collection.
+     * @param {object} indexes - The indexes declared by the "indexes" parameter of a collection.
+     * @returns {string[]}
+     */
+    getGeoIndexPaths(indexes) {
+        let ret = []
+        for (const { key } of getDeclaredIndexes(indexes))
+            for (const path in key)
+                if (key[path] === '2dsphere' && !ret.includes(path))
+                    ret.push(path)
+        return ret
+    },
+
+    /**
+     * @typedef {Object} indexesPlan
+     * @property {Object[]} create - The declared indexes that do not exist. Each element contains the **name**, **key** and **options** of the index.
+     * @property {Object[]} rebuild - The declared indexes whose key or options have changed. They will be dropped and created again.
+     * @property {string[]} drop - The names of the existing indexes that are not declared and will be dropped.
+     * @property {string[]} keep - The names of the declared indexes that have not changed.
+     * @property {string[]} unmanaged - The names of the existing indexes that are not declared and will not be dropped.
+     */
+
+    /**
+     * This function compares the indexes declared for a collection with the existing ones, by name, key and options.
+     * @param {object} indexes - The indexes declared by the "indexes" parameter of a collection.
+     * @param {object[]} existingIndexes - The indexes returned by the listIndexes() function.
+     * @param {object} [options] Optional settings.
+     * @param {boolean} [options.dropRemoved=false] If set to true, the existing indexes that are not declared will be dropped. The '_id_' index is never dropped.
+     * @returns {indexesPlan} This function returns the operations required to synchronize the indexes.
+     */
+    getIndexesPlan(indexes, existingIndexes, { dropRemoved = false } = {}) {
+        let plan = {
+            create: [],
+            rebuild: [],
+            drop: [],
+            keep: [],
+            unmanaged: []
+        }
+        const declaredIndexes = getDeclaredIndexes(indexes)
+
+        for (const declared of declaredIndexes) {
+            const existing = existingIndexes.find(
+                (e) => e.name === declared.name
+            )
+            if (!existing) plan.create.push(declared)
+            else if (isIndexChanged(declared, existing))
+                plan.rebuild.push(declared)
+            else plan.keep.push(declared.name)
+        }
+
+        for (const existing of existingIndexes) {
+            if (
+                existing.name === '_id_' ||
+                declaredIndexes.find((d) => d.name === existing.name)
+            )
+                continue
+            if (dropRemoved) plan.drop.push(existing.name)
+            else plan.unmanaged.push(existing.name)
+        }
+
+        return plan
+    }
+}
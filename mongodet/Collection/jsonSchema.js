@@ -0,0 +1,200 @@
+'use strict'
+
+const { resolveRef } = require('../schema')
+const { getTypeDefinition } = require('../types')
+
+// bsonType aliases of the JSON types. The driver serializes the integers
+// outside the int32 range as doubles.
+const jsonTypes = {
+    object: 'object',
+    array: 'array',
+    string: 'string',
+    number: 'number',
+    integer: ['int', 'long', 'double'],
+    boolean: 'bool',
+    null: 'null'
+}
+
+// Keywords supported by the $jsonSchema operator. Other keywords are removed.
+const supportedKeywords = [
+    'bsonType',
+    'type',
+    'enum',
+    'multipleOf',
+    'maximum',
+    'exclusiveMaximum',
+    'minimum',
+    'exclusiveMinimum',
+    'maxLength',
+    'minLength',
+    'pattern',
+    'maxProperties',
+    'minProperties',
+    'maxItems',
+    'minItems',
+    'uniqueItems',
+    'title',
+    'description'
+]
+
+function getRequired(required) {
+    if (required instanceof Array) return required.slice()
+    if (!(required instanceof Object)) return [required]
+
+    // The server validates whole documents after inserts and updates, so only
+    // the properties required in both modes can be required.
+    const insert = [].concat(required.insert || [])
+    const update = [].concat(required.update || [])
+    return []
+        .concat(required.upsert || [])
+        .concat(insert.filter((p) => update.indexOf(p) >= 0))
+}
+
+function getBsonType(type) {
+    const types = [].concat(type).map((t) => jsonTypes[t] || t)
+    const ret = [].concat(...types)
+    return ret.length === 1 ? ret[0] : ret
+}
+
+function toJsonSchema(schema, rootSchema, registry) {
+    schema = resolveRef(schema, rootSchema, registry)
+    if (!schema || schema.constructor.name !== 'Object') return schema
+
+    let ret = {}
+    for (const key in schema) {
+        if (!Object.prototype.hasOwnProperty.call(schema, key)) continue
+
+        switch (key) {
+            case 'properties':
+            case 'patternProperties':
+                ret[key] = {}
+                for (const p in schema[key])
+                    if (Object.prototype.hasOwnProperty.call(schema[key], p))
+                        ret[key][p] = toJsonSchema(
+                            schema[key][p],
+                            rootSchema,
+                            registry
+                        )
+                break
+
+            case 'dependencies':
+                ret[key] = {}
+                for (const p in schema[key])
+                    if (Object.prototype.hasOwnProperty.call(schema[key], p)) {
+                        if (schema[key][p] instanceof Array)
+                            ret[key][p] = schema[key][p].slice()
+                        else
+                            ret[key][p] = toJsonSchema(
+                                schema[key][p],
+                                rootSchema,
+                                registry
+                            )
+                    }
+                break
+
+            case 'items':
+                if (schema[key] instanceof Array)
+                    ret[key] = schema[key].map((s) =>
+                        toJsonSchema(s, rootSchema, registry)
+                    )
+                else ret[key] = toJsonSchema(schema[key], rootSchema, registry)
+                break
+
+            case 'allOf':
+            case 'anyOf':
+            case 'oneOf':
+                ret[key] = schema[key].map((s) =>
+                    toJsonSchema(s, rootSchema, registry)
+                )
+                break
+
+            case 'additionalItems':
+            case 'additionalProperties':
+            case 'not':
+                ret[key] = toJsonSchema(schema[key], rootSchema, registry)
+                break
+
+            case 'required':
+                ret[key] = getRequired(schema[key])
+                if (!ret[key].length) delete ret[key]
+                break
+
+            default:
+                if (supportedKeywords.indexOf(key) >= 0)
+                    ret[key] = JSON.parse(JSON.stringify(schema[key]))
+                break
+        }
+    }
+
+    if (schema.mongoType) {
+        // The JSON type describes the value before its conversion.
+        delete ret.type
+        const definition = getTypeDefinition(schema.mongoType, registry)
+        if (definition && definition.bsonType)
+            ret.bsonType = definition.bsonType
+    } else if (ret.type && [].concat(ret.type).indexOf('integer') >= 0) {
+        // The 'integer' type is not supported by $jsonSchema.
+        ret.bsonType = getBsonType(ret.type)
+        delete ret.type
+    }
+
+    return ret
+}
+
+function diffValues(local, server, path, differences) {
+    if (
+        local &&
+        server &&
+        typeof local === 'object' &&
+        typeof server === 'object' &&
+        local instanceof Array === server instanceof Array
+    ) {
+        const keys = new Set(Object.keys(local).concat(Object.keys(server)))
+        for (const key of keys)
+            diffValues(
+                local[key],
+                server[key],
+                path ? `${path}.${key}` : key,
+                differences
+            )
+    } else if (local !== server) {
+        differences.push({ path, local, server })
+    }
+    return differences
+}
+
+module.exports = {
+    /**
+     * This function translates a mongodet JSON schema into a schema that can be used by the $jsonSchema operator:
+     * - The references ($ref) are resolved.
+     * - The **mongoType** keyword is replaced by the **bsonType** declared by its type.
+     * - The 'integer' type is replaced by the 'int', 'long' and 'double' bson types.
+     * - The **_id** property is declared if the root schema forbids the additional properties: it is set to every document.
+     * - The **required** keyword defined with insert and update variants keeps only the properties required in both modes.
+     * - The keywords not supported by the server (definitions, default, format, unmodifiableProperties ...) are removed.
+     * @param {object} schema - A mongodet JSON schema.
+     * @param {object} [registry] - The registry of the types, declaring their **bsonType** (see the createTypeRegistry() function of the types). By default, the global registry.
+     * @returns {object} This function returns the schema to use with the $jsonSchema operator.
+     */
+    getJsonSchema(schema, registry) {
+        let ret = toJsonSchema(schema, schema, registry)
+        if (
+            ret &&
+            ret.additionalProperties === false &&
+            !(ret.properties && ret.properties._id)
+        )
+            ret.properties = { ...ret.properties, _id: {} }
+        return ret
+    },
+
+    /**
+     * This function compares two $jsonSchema schemas.
+     * @param {object} local - The schema built from the local mongodet schema.
+     * @param {object} server - The schema used by the server.
+     * @returns {object[]} This function returns the list of differences found. Each element is an object containing
+     * the **path** of the difference and the **local** and **server** values. The list is empty if both schemas are equal.
+     */
+    diffJsonSchemas(local, server) {
+        return diffValues(local, server, '', [])
+    }
+}
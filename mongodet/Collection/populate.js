@@ -0,0 +1,123 @@
+'use strict'
+
+const { ConfigurationError } = require('../errors')
+const { resolveRef, getItemSchema, getSubSchema } = require('../schema')
+const { getIdKey } = require('./history')
+
+// Calls fn(container, key) for each reference found at the path, traversing
+// the arrays. The elements of an array of references are visited one by one.
+function forEachRef(value, parts, fn) {
+    if (!value || typeof value !== 'object') return
+    const [p, ...rest] = parts
+
+    if (value instanceof Array && !/^\d+$/.test(p)) {
+        value.forEach((v) => forEachRef(v, parts, fn))
+        return
+    }
+    if (!(p in value)) return
+
+    if (rest.length) forEachRef(value[p], rest, fn)
+    else if (value[p] instanceof Array)
+        value[p].forEach((v, i) => fn(value[p], i))
+    else fn(value, p)
+}
+
+function getRef(schema, path) {
+    const pathSchema = getSubSchema(schema, path)
+    if (pathSchema && pathSchema.ref) return pathSchema.ref
+    const itemSchema = resolveRef(getItemSchema(pathSchema), schema)
+    return itemSchema ? itemSchema.ref : undefined
+}
+
+/**
+ * This function normalizes the **populate** option.
+ * @param {(string|Array|object)} populate - A path, an array of paths or of objects containing the **path** and the **projection**, or an
+ * object whose keys are the paths and values the projections (or true).
+ * @returns {object[]} This function returns an array of objects containing the **path** and the **projection** (optional).
+ * @throws {ConfigurationError}
+ */
+function getPopulatePaths(populate) {
+    if (typeof populate === 'string') return [{ path: populate }]
+
+    if (populate instanceof Array)
+        return populate.map((p) => {
+            if (typeof p === 'string') return { path: p }
+            if (p && typeof p.path === 'string') return p
+            throw new ConfigurationError({
+                error: 'Each element of the populate option must be a path or an object containing a path.',
+                populate
+            })
+        })
+
+    if (populate && populate.constructor.name === 'Object')
+        return Object.keys(populate).map((path) =>
+            populate[path] && populate[path] !== true
+                ? { path, projection: populate[path] }
+                : { path }
+        )
+
+    throw new ConfigurationError({
+        error: 'Incorrect populate option.',
+        populate
+    })
+}
+
+module.exports = {
+    getPopulatePaths,
+
+    /**
+     * This function replaces the references of documents by the referenced documents. The schema of each path must contain the
+     * **ref** keyword, set to the name of a collection. The referenced documents are read with a single query per path, using the
+     * findMany() function of the referenced collection: they are converted to JSON format, and a reference to a missing document is set to null.
+     * @param {object[]} docs - The documents, in JSON format. They are modified.
+     * @param {object} schema - The schema of the documents.
+     * @param {object[]} paths - The paths to populate, as returned by the getPopulatePaths() function.
+     * @param {object} collections - The collections, by name (see the Collection.getCollections() function).
+     * @param {object} [options] - Optional settings.
+     * @param {ClientSession} [options.session] - The session used to read the referenced documents.
+     * @returns {Promise} returns a Promise. If resolved, it will send the documents.
+     * @throws {ConfigurationError} This function throws an exception if a path is not a reference or the referenced collection does not exist.
+     */
+    async populateDocuments(docs, schema, paths, collections, options = {}) {
+        for (const { path, projection } of paths) {
+            const ref = getRef(schema, path)
+            if (!ref)
+                throw new ConfigurationError({
+                    error: `Path "${path}" can not be populated: its schema has no "ref" keyword.`,
+                    path
+                })
+            const target = collections[ref]
+            if (!target)
+                throw new ConfigurationError({
+                    error: `Path "${path}" references the collection "${ref}", which does not exist.`,
+                    path
+                })
+
+            const parts = path.split('.')
+            let ids = new Map()
+            for (const doc of docs)
+                forEachRef(doc, parts, (container, key) => {
+                    const id = container[key]
+                    if (id !== null && id !== undefined)
+                        ids.set(getIdKey(id), id)
+                })
+            if (!ids.size) continue
+
+            let findOptions = { session: options.session }
+            if (projection) findOptions.projection = projection
+            const found = await target.findMany(
+                { _id: { $in: [...ids.values()] } },
+                findOptions
+            )
+            const byId = new Map(found.map((d) => [getIdKey(d._id), d]))
+
+            for (const doc of docs)
+                forEachRef(doc, parts, (container, key) => {
+                    const id = container[key]
+                    if (id !== null && id !== undefined)
+                        container[key] = byId.get(getIdKey(id)) || null
+                })
+        }
+        return docs
+    }
+}
@@ -1,9 +1,57 @@
 'use strict'
 
 const Ajv = require('ajv')
-const { MongolError } = require('../errors')
+const { ValidationError, ConfigurationError } = require('../errors')
+const { getEffectiveSchema, getItemSchema, getSubSchema } = require('../schema')
+const types = require('../types')
 const debug = false
 
+// Adds the formats of the types of a registry, and the mongoType keyword, which checks the values with the check function
+// of their type, then with the schema fragment declared by the type (see the addType() function of the types).
+function addKeywords(ajv, registry) {
+    const formats = types.getFormats(registry)
+    for (const name in formats) ajv.addFormat(name, formats[name])
+
+    const compile = (mongoType, parentSchema) => {
+        const definition = types.getTypeDefinition(mongoType, registry)
+        const validateSchema =
+            definition && definition.schema
+                ? ajv.compile(definition.schema)
+                : null
+
+        const validate = (data, dataPath) => {
+            validate.errors = null
+            if (data === null || data === undefined) return true
+
+            const error = types.checkValue(
+                data,
+                mongoType,
+                parentSchema,
+                registry
+            )
+            if (error)
+                validate.errors = [
+                    {
+                        keyword: 'mongoType',
+                        message: error,
+                        params: { mongoType }
+                    }
+                ]
+            else if (validateSchema && !validateSchema(data))
+                validate.errors = validateSchema.errors.map((e) => ({
+                    ...e,
+                    dataPath: `${dataPath || ''}${e.dataPath}`
+                }))
+            return !validate.errors
+        }
+        return validate
+    }
+    ajv.addKeyword('mongoType', { compile, errors: true })
+    return ajv
+}
+
+const validators = new WeakMap()
+
 function clone(obj) {
     var copy
 
@@ -37,7 +85,107 @@ function clone(obj) {
     }
 
     // eslint-disable-next-line prettier/prettier
-    throw new MongolError('Unable to copy obj! Its type isn\'t supported.')
+    throw new ConfigurationError('Unable to copy obj! Its type isn\'t supported.')
+}
+
+function getValidator(schema, ajv) {
+    let validator = validators.get(schema)
+    if (!validator) {
+        validator = ajv.compile(schema)
+        validators.set(schema, validator)
+    }
+    return validator
+}
+
+function getParentPath(path) {
+    const i = path.lastIndexOf('.')
+    return i < 0 ? '' : path.slice(0, i)
+}
+
+// Checks that a path can be modified: the path and each of its ancestors must be declared in the schema of the mode (unless the
+// schema of their parent allows additional properties), and the ancestors must be objects or arrays.
+function checkPath(operator, path, modeSchema, schema) {
+    const parts = path.split('.')
+    let pathSchema = modeSchema
+
+    for (let i = 1; i <= parts.length; i++) {
+        const parentPath = parts.slice(0, i - 1).join('.')
+        const parentSchema = getEffectiveSchema(
+            pathSchema,
+            undefined,
+            modeSchema
+        )
+        if (
+            parentPath &&
+            parentSchema &&
+            parentSchema.type &&
+            ![]
+                .concat(parentSchema.type)
+                .some((t) => t === 'object' || t === 'array')
+        )
+            throw new ValidationError({
+                error: `Property "${path}" can not be set: "${parentPath}" is not an object.`,
+                operator,
+                path
+            })
+
+        const subPath = parts.slice(0, i).join('.')
+        pathSchema = getSubSchema(modeSchema, subPath)
+        if (pathSchema) continue
+
+        if (getSubSchema(schema, subPath))
+            throw new ValidationError({
+                error:
+                    subPath === path
+                        ? `Property "${path}" can not be modified.`
+                        : `Property "${path}" can not be modified: "${subPath}" is not modifiable.`,
+                operator,
+                path
+            })
+
+        if (parentSchema && parentSchema.additionalProperties === false)
+            throw new ValidationError({
+                error: `Property "${subPath}" is not declared in the schema.`,
+                operator,
+                path
+            })
+
+        // Undeclared properties are not validated.
+        return null
+    }
+
+    return pathSchema
+}
+
+function checkRequired(operator, path, modeSchema) {
+    const parentPath = getParentPath(path)
+    const parentSchema = parentPath
+        ? getSubSchema(modeSchema, parentPath)
+        : modeSchema
+    const property = path.slice(parentPath ? parentPath.length + 1 : 0)
+
+    if (
+        parentSchema &&
+        parentSchema.required instanceof Array &&
+        parentSchema.required.indexOf(property) >= 0
+    )
+        throw new ValidationError({
+            error: `Property "${path}" is required and can not be removed.`,
+            operator,
+            path
+        })
+}
+
+function checkValue(operator, path, value, pathSchema, ajv) {
+    if (!pathSchema) return
+    const validator = getValidator(pathSchema, ajv)
+    if (!validator(value))
+        throw new ValidationError({
+            error: validator.errors,
+            operator,
+            path,
+            value
+        })
 }
 
 module.exports = {
@@ -45,7 +193,7 @@ module.exports = {
      * This function validates one or several documents.
      * @param {object} data - A single or an array of documents in JSON (not in db) format.
      * @param {Ajv} validator - The validator used to validate the data.
-     * @throws This function will throw an exception if the data is not validated (validator not set to 'skipValidation').
+     * @throws This function will throw a **ValidationError** exception if the data is not validated (validator not set to 'skipValidation').
      */
     validateDocument(data, validator) {
         if (data.constructor.name === 'Array') {
@@ -53,7 +201,7 @@ module.exports = {
             for (let i = 0; i < data.length; i++) {
                 if (validator)
                     if (!validator(data[i]))
-                        throw new MongolError({
+                        throw new ValidationError({
                             error: validator.errors,
                             document: data[i],
                             index: i
@@ -63,16 +211,141 @@ module.exports = {
         } else {
             if (validator)
                 if (!validator(data))
-                    throw new MongolError({
+                    throw new ValidationError({
                         error: validator.errors,
                         document: data
                     })
         }
     },
 
+    /**
+     * This function validates, path by path, the update operators of an update document.
+     * - **$set**, **$min** and **$max**: the path must be modifiable in update mode and the value must match its schema.
+     * - **$setOnInsert**: the path must be modifiable in insert mode and the value must match its schema.
+     * - **$push** and **$addToSet**: the path must be a modifiable array and each added value must match the schema of its elements.
+     * - **$inc** and **$mul**: the path must be modifiable and the value must be a number.
+     * - **$unset** and **$rename**: the path must be modifiable and not required.
+     * - Other operators: the path must be modifiable.
+     * A path is modifiable if none of its ancestors is unmodifiable or declared with a type other than object or array, and if it is
+     * declared in the schema, or allowed by the **additionalProperties** keyword of its parent. Aggregation pipelines are not validated.
+     * @param {object} update - An update document in JSON (not in db) format.
+     * @param {validationData} validationData - The data returned by the getValidationData() function.
+     * @param {object} schema - The schema used to build the validation data.
+     * @throws This function will throw a **ValidationError** exception if the update is not validated.
+     */
+    validateUpdate(update, validationData, schema) {
+        if (!update || update.constructor.name !== 'Object') return
+
+        const { ajv } = validationData
+        const insertSchema = validationData.insert.schema
+        const updateSchema = validationData.update.schema
+
+        for (const operator in update) {
+            if (!Object.prototype.hasOwnProperty.call(update, operator))
+                continue
+
+            const fields = update[operator]
+            if (!operator.startsWith('$'))
+                throw new ValidationError({
+                    error: `Update documents must only contain update operators. Found "${operator}".`
+                })
+
+            for (const path in fields) {
+                if (!Object.prototype.hasOwnProperty.call(fields, path))
+                    continue
+
+                const value = fields[path]
+                let pathSchema, itemSchema, values
+
+                switch (operator) {
+                    case '$set':
+                    case '$min':
+                    case '$max':
+                        pathSchema = checkPath(
+                            operator,
+                            path,
+                            updateSchema,
+                            schema
+                        )
+                        checkValue(operator, path, value, pathSchema, ajv)
+                        break
+
+                    case '$setOnInsert':
+                        pathSchema = checkPath(
+                            operator,
+                            path,
+                            insertSchema,
+                            schema
+                        )
+                        checkValue(operator, path, value, pathSchema, ajv)
+                        break
+
+                    case '$push':
+                    case '$addToSet':
+                        pathSchema = checkPath(
+                            operator,
+                            path,
+                            updateSchema,
+                            schema
+                        )
+                        if (!pathSchema) break
+                        if (
+                            pathSchema.type &&
+                            [].concat(pathSchema.type).indexOf('array') < 0
+                        )
+                            throw new ValidationError({
+                                error: `Property "${path}" is not an array.`,
+                                operator,
+                                path
+                            })
+                        itemSchema = getItemSchema(pathSchema)
+                        values =
+                            value &&
+                            value.constructor.name === 'Object' &&
+                            value.$each
+                                ? value.$each
+                                : [value]
+                        values.map((v) =>
+                            checkValue(operator, path, v, itemSchema, ajv)
+                        )
+                        break
+
+                    case '$inc':
+                    case '$mul':
+                        checkPath(operator, path, updateSchema, schema)
+                        if (typeof value !== 'number')
+                            throw new ValidationError({
+                                error: `The value of "${path}" must be a number.`,
+                                operator,
+                                path,
+                                value
+                            })
+                        break
+
+                    case '$rename':
+                        checkPath(operator, path, updateSchema, schema)
+                        checkRequired(operator, path, updateSchema)
+                        checkPath(operator, value, updateSchema, schema)
+                        break
+
+                    case '$unset':
+                        checkPath(operator, path, updateSchema, schema)
+                        checkRequired(operator, path, updateSchema)
+                        break
+
+                    default:
+                        // $currentDate, $pop, $pull, $pullAll, $bit ...
+                        checkPath(operator, path, updateSchema, schema)
+                        break
+                }
+            }
+        }
+    },
+
     /**
      *
      * @typedef {Object} validationData
+     * @property {Ajv} ajv - The Ajv instance, knowing the types of the registry passed to the getValidationData() function.
      * @property {Object} insert
      * @property {Ajv} insert.validator - The validator used in insert mode.
      * @property {Object} insert.schema - The schema used in insert mode.
@@ -95,10 +368,11 @@ module.exports = {
      * -- **unmodifiableProperties: '_id'** makes the '_id' property unmodifiable in insert and update modes.
      * -- **unmodifiableProperties: ['_id', 'createdAt']** makes the specified properties unmodifiable in insert and update modes.
      * -- **unmodifiableProperties: { upsert: '_id', insert: ['a'], update: ['createdAt', 'country' }**: to make unmodifiable the ['_id', 'a'] properties in insert mode, and the ['_id', 'createdAt'] in update mode.
-     * @throws This function trhows a **MongolError** exception if the same parameter is declared "required" and "unmodifiable" simultaneously.
+     * @param {object} [registry] - The registry of the types checked by the **mongoType** keyword (see the createTypeRegistry() function of the types). By default, the global registry.
+     * @throws This function trhows a **ConfigurationError** exception if the same parameter is declared "required" and "unmodifiable" simultaneously.
      * @returns {validationData} This function returns the data required to validate with insert and update operations.
      */
-    getValidationData(schema) {
+    getValidationData(schema, registry) {
         function getSchema(schema, mode) {
             function updateSubSchema(schema, path, level) {
                 if (schema.$ref) {
@@ -170,13 +444,13 @@ module.exports = {
 
                         required.map((r) => {
                             if (unmodifiableProperties.indexOf(r) >= 0)
-                                throw new MongolError(
+                                throw new ConfigurationError(
                                     `Property "${r}" in "${path}", can not be declared as unmodifiable and required. Current mode: "${mode}".`
                                 )
                         })
                         if (schema.additionalProperties !== false) {
                             const msg = `Error in "${path}": if the parameter "unmodifiableProperties" is set, the "additionalProperties" parameter must be set to false on the same level.`
-                            throw new MongolError(msg)
+                            throw new ConfigurationError(msg)
                         }
                     }
                 }
@@ -267,11 +541,12 @@ module.exports = {
             return updateSubSchema(schema, 'schema', 0)
         }
 
-        const ajv = new Ajv()
+        const ajv = addKeywords(new Ajv(), registry)
         const insertSchema = getSchema(schema, 'insert')
         const updateSchema = getSchema(schema, 'update')
 
         return {
+            ajv,
             insert: {
                 schema: insertSchema,
                 validator: ajv.compile(insertSchema)
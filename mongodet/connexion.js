@@ -1,35 +1,282 @@
 'use strict'
 
 const { MongoClient } = require('mongodb')
+const { AsyncLocalStorage } = require('async_hooks')
+
+const { ConnectionError } = require('./errors')
 
 const EventEmitter = require('events')
 class ConnectionEmitter extends EventEmitter {}
 const connectionEmitter = new ConnectionEmitter()
 
-let client = new MongoClient()
-let connectionStatus = ''
+const defaultConnectionName = 'default'
+
+// Driver events forwarded through the emitter of each connection. The 'error'
+// event is not forwarded because an emitter without 'error' listeners throws.
+const unifiedTopologyEvents = [
+    'serverOpening',
+    'serverClosed',
+    'serverDescriptionChanged',
+    'serverHeartbeatFailed',
+    'topologyOpening',
+    'topologyClosed',
+    'topologyDescriptionChanged'
+]
+// The driver prints a deprecation warning if these events are listened with the unified topology.
+const legacyTopologyEvents = [
+    'close',
+    'reconnect',
+    'reconnectFailed',
+    'timeout'
+]
+
+// The session of the transaction being executed by withTransaction(), stored
+// as { session, name }, so the nested calls can use it implicitly.
+const sessionStorage = new AsyncLocalStorage()
+
+// Each connection is stored as { client, status, emitter }. The default
+// connection uses the exported connectionEmitter, for backward compatibility.
+// Valid status: 'connecting', 'connected', 'reconnecting', 'disconnected' and 'failed'.
+let connections = {
+    [defaultConnectionName]: {
+        client: new MongoClient(),
+        status: 'disconnected',
+        emitter: connectionEmitter
+    }
+}
+
+function getConnection(name = defaultConnectionName) {
+    if (!connections[name])
+        connections[name] = {
+            client: null,
+            status: 'disconnected',
+            emitter: new ConnectionEmitter()
+        }
+    return connections[name]
+}
+
+function setStatus(connection, status) {
+    if (connection.status === status) return
+    connection.status = status
+    connection.emitter.emit(status)
+}
+
+function listenTopologyEvents(connection, client, options) {
+    const events =
+        options && options.useUnifiedTopology
+            ? unifiedTopologyEvents
+            : legacyTopologyEvents
+
+    for (const event of events) {
+        client.on(event, (...args) => {
+            // Events sent by a client that has been replaced or closed are ignored.
+            if (connection.client !== client) return
+
+            switch (event) {
+                case 'topologyDescriptionChanged':
+                    if (args[0].newDescription.hasDataBearingServers) {
+                        if (connection.status === 'reconnecting')
+                            setStatus(connection, 'connected')
+                    } else if (connection.status === 'connected') {
+                        setStatus(connection, 'reconnecting')
+                    }
+                    break
+                case 'close':
+                    if (connection.status === 'connected')
+                        setStatus(connection, 'reconnecting')
+                    break
+                case 'reconnect':
+                    setStatus(connection, 'connected')
+                    break
+                case 'reconnectFailed':
+                    setStatus(connection, 'failed')
+                    break
+            }
+
+            connection.emitter.emit(event, ...args)
+        })
+    }
+}
+
+/**
+ * This function connects to a mongodb server. The emitter of the connection sends an event each time its status changes
+ * ('connecting', 'connected', 'reconnecting', 'disconnected' and 'failed'), and forwards the topology events of the driver.
+ * @param {string} url The connection string.
+ * @param {object} [options] The options passed to the MongoClient constructor.
+ * @param {object} [parameters] mongodet specific parameters.
+ * @param {string} [parameters.name='default'] The name of the connection. Collections are bound to the connection with the name passed to their constructor.
+ * If this connection is already established, its client is closed before connecting the new one.
+ */
+async function connect(url, options, { name = defaultConnectionName } = {}) {
+    const connection = getConnection(name)
+
+    const previous = connection.client
+    if (previous && connection.status !== 'disconnected') {
+        connection.client = null
+        try {
+            await previous.close()
+        } catch (e) {
+            // The previous client may have failed to connect: its pool is released anyway.
+        }
+        setStatus(connection, 'disconnected')
+    }
+
+    const client = new MongoClient(url, options)
+    connection.client = client
+    setStatus(connection, 'connecting')
+    listenTopologyEvents(connection, client, options)
 
-async function connect(url, options) {
-    client = new MongoClient(url, options)
-    const r = await client.connect()
-    connectionStatus = 'connected'
-    connectionEmitter.emit('connected')
+    let r
+    try {
+        r = await client.connect()
+    } catch (e) {
+        if (connection.client === client) setStatus(connection, 'failed')
+        throw e
+    }
+
+    setStatus(connection, 'connected')
     return r
 }
 
-async function disconnect() {
-    await client.close()
-    connectionStatus = 'disconnected'
-    connectionEmitter.emit('disconnected')
-    client = null
+/**
+ * This function closes a connection.
+ * @param {string} [name='default'] The name of the connection.
+ */
+async function disconnect(name = defaultConnectionName) {
+    const connection = getConnection(name)
+    const client = connection.client
+    connection.client = null
+    if (client) await client.close()
+    setStatus(connection, 'disconnected')
+}
+
+/**
+ * This function returns the MongoClient of a connection.
+ * @param {string} [name='default'] The name of the connection.
+ * @returns {MongoClient}
+ */
+function getClient(name = defaultConnectionName) {
+    return getConnection(name).client
+}
+
+/**
+ * This function returns the status of a connection: 'connecting', 'connected', 'reconnecting', 'disconnected' or 'failed'.
+ * @param {string} [name='default'] The name of the connection.
+ * @returns {string}
+ */
+function getConnectionStatus(name = defaultConnectionName) {
+    return getConnection(name).status
+}
+
+function hasErrorLabel(e, label) {
+    const error = (e && e.driverError) || e
+    return !!error && typeof error.hasErrorLabel === 'function'
+        ? error.hasErrorLabel(label)
+        : false
+}
+
+async function runTransaction(session, fn, transactionOptions, timeout) {
+    const start = Date.now()
+    const canRetry = () => Date.now() - start < timeout * 1000
+
+    for (;;) {
+        session.startTransaction(transactionOptions)
+
+        let result
+        try {
+            result = await fn(session)
+        } catch (e) {
+            if (session.inTransaction()) await session.abortTransaction()
+            if (hasErrorLabel(e, 'TransientTransactionError') && canRetry())
+                continue
+            throw e
+        }
+
+        for (;;) {
+            try {
+                await session.commitTransaction()
+                return result
+            } catch (e) {
+                if (
+                    hasErrorLabel(e, 'UnknownTransactionCommitResult') &&
+                    e.codeName !== 'MaxTimeMSExpired' &&
+                    canRetry()
+                )
+                    continue
+                if (hasErrorLabel(e, 'TransientTransactionError') && canRetry())
+                    break
+                throw e
+            }
+        }
+    }
+}
+
+/**
+ * This function executes a function inside a transaction. The transaction is committed when the function is resolved, and
+ * aborted when it is rejected. The whole transaction is retried on 'TransientTransactionError' errors, and the commit on
+ * 'UnknownTransactionCommitResult' errors, until the timeout is reached.
+ *
+ * The session is also stored as the ambient session of the connection (see the getAmbientSession() function): the methods of
+ * the collections bound to this connection use it when no session is passed in their options. A call nested in a transaction
+ * of the same connection runs in this transaction.
+ * @param {function} fn An async function receiving the session. It may be called several times.
+ * @param {object} [parameters] Optional settings.
+ * @param {string} [parameters.name='default'] The name of the connection.
+ * @param {object} [parameters.sessionOptions] The options passed to the startSession() function of the client.
+ * @param {object} [parameters.transactionOptions] The options passed to the startTransaction() function of the session (readConcern, writeConcern ...).
+ * @param {number} [parameters.timeout=120] The time, in seconds, after which the transaction is no longer retried.
+ * @returns {Promise} returns a Promise. If resolved, it will send the value returned by the function.
+ * @throws {ConnectionError} This function throws an exception if the connection is not established.
+ */
+async function withTransaction(
+    fn,
+    {
+        name = defaultConnectionName,
+        sessionOptions,
+        transactionOptions,
+        timeout = 120
+    } = {}
+) {
+    const current = getAmbientSession(name)
+    if (current && current.inTransaction()) return fn(current)
+
+    const connection = getConnection(name)
+    if (
+        connection.status !== 'connected' &&
+        connection.status !== 'reconnecting'
+    )
+        throw new ConnectionError({
+            error: `A transaction can not be started because the connection "${name}" is not established.`,
+            status: connection.status
+        })
+
+    const session = connection.client.startSession(sessionOptions)
+    try {
+        return await sessionStorage.run({ session, name }, () =>
+            runTransaction(session, fn, transactionOptions, timeout)
+        )
+    } finally {
+        session.endSession()
+    }
 }
 
-function getClient() {
-    return client
+/**
+ * This function returns the session of the transaction being executed by withTransaction() in the current asynchronous context.
+ * @param {string} [name='default'] The name of the connection.
+ * @returns {ClientSession} This function returns undefined if there is no transaction, or if it uses another connection.
+ */
+function getAmbientSession(name = defaultConnectionName) {
+    const store = sessionStorage.getStore()
+    return store && store.name === name ? store.session : undefined
 }
 
-function getConnectionStatus() {
-    return connectionStatus
+/**
+ * This function returns the emitter that sends the status changes and the topology events of a connection.
+ * @param {string} [name='default'] The name of the connection.
+ * @returns {EventEmitter}
+ */
+function getConnectionEmitter(name = defaultConnectionName) {
+    return getConnection(name).emitter
 }
 
 module.exports = {
@@ -37,5 +284,8 @@ module.exports = {
     disconnect,
     getClient,
     getConnectionStatus,
+    getConnectionEmitter,
+    withTransaction,
+    getAmbientSession,
     connectionEmitter
 }
@@ -1,134 +1,595 @@
 'use strict'
 
 const { valueToDbFormat, dbFormatToValue } = require('./types')
+const {
+    resolveRef,
+    getEffectiveSchema,
+    getPropertySchema,
+    getItemSchema,
+    getSubSchema
+} = require('./schema')
+const { ConversionError } = require('./errors')
 
-function convertDocument(data, schema, convertValue) {
-    function convertElement(schema, data) {
-        if (schema.$ref) {
-            // '#/definitions/address'
-            let refSchema = originalSchema
-            schema.$ref
-                .replace('#/', '')
-                .split('/')
-                .map((p) => {
-                    if (refSchema) refSchema = refSchema[p]
-                })
-            schema = refSchema
-        }
+// Returns the function converting the values with the types of a registry (see the createTypeRegistry() function of the types).
+function getConverter(convert, types) {
+    return (value, mongoType, encoding, schema) =>
+        convert(value, mongoType, encoding, schema, types)
+}
 
-        if (data.constructor.name === 'Object') {
-            let ret = {}
-            for (let v in data) {
-                if (Object.prototype.hasOwnProperty.call(data, v)) {
-                    let encoding, mongoType, schemaV
-
-                    switch (data[v].constructor.name) {
-                        case 'Object':
-                        case 'Array':
-                            schemaV =
-                                schema &&
-                                schema.properties &&
-                                schema.properties[v]
-                                    ? schema.properties[v]
-                                    : null
-                            ret[v] = convertElement(schemaV, data[v])
-                            break
-
-                        default:
-                            encoding =
-                                schema &&
-                                schema.properties &&
-                                schema.properties[v]
-                                    ? schema.properties[v].encoding
-                                    : ''
-                            mongoType =
-                                schema &&
-                                schema.properties &&
-                                schema.properties[v]
-                                    ? schema.properties[v].mongoType
-                                    : ''
-                            ret[v] = convertValue(data[v], mongoType, encoding)
-                            break
-                    }
-                }
-            }
-            return ret
+function joinPath(path, key) {
+    return path ? `${path}.${key}` : `${key}`
+}
+
+function convertValueAt(convertValue, value, schema, path) {
+    const mongoType = schema ? schema.mongoType : ''
+    try {
+        return convertValue(
+            value,
+            mongoType,
+            schema ? schema.encoding : '',
+            schema
+        )
+    } catch (e) {
+        if (e instanceof ConversionError) {
+            e.path = path
+            throw e
         }
+        throw new ConversionError({
+            error: e instanceof Error ? e.message : e,
+            path,
+            value,
+            mongoType
+        })
+    }
+}
 
-        if (data.constructor.name === 'Array') {
-            let ret = []
-            for (let i = 0; i < data.length; i++) {
-                let schemaI
-                if (schema && schema.items) {
-                    if (schema.items.constructor.name === 'Object') {
-                        schemaI = schema.items
-                    } else if (schema.items.constructor.name === 'Array') {
-                        if (i < schema.items.length) schemaI = schema.items[i]
-                        else schemaI = schema.additionalItems
-                    }
-                }
+function convertItem(schema, data, convertValue, rootSchema, path, options) {
+    const s = getEffectiveSchema(schema, data, rootSchema)
 
-                let encoding, mongoType
+    if (data === null) {
+        if (
+            options.checkNull &&
+            s &&
+            s.type &&
+            ![].concat(s.type).includes('null')
+        )
+            throw new ConversionError({
+                error: 'The value can not be null.',
+                path,
+                value: data,
+                mongoType: s.mongoType
+            })
+        return data
+    }
 
-                switch (data[i].constructor.name) {
-                    case 'Object':
-                    case 'Array':
-                        ret[i] = convertElement(schemaI, data[i])
-                        break
+    // The objects are converted property by property, unless their schema declares a mongoType (like { t, i } for the 'timestamp' type).
+    if (
+        data.constructor.name === 'Array' ||
+        (data.constructor.name === 'Object' && !(s && s.mongoType))
+    )
+        return convertElement(s, data, convertValue, rootSchema, path, options)
 
-                    default:
-                        encoding = schemaI ? schemaI.encoding : ''
-                        mongoType = schemaI ? schemaI.mongoType : ''
-                        ret[i] = convertValue(data[i], mongoType, encoding)
-                        break
-                }
-            }
-            return ret
+    return convertValueAt(convertValue, data, s, path)
+}
+
+function convertElement(
+    schema,
+    data,
+    convertValue,
+    rootSchema,
+    path = '',
+    options = {}
+) {
+    schema = getEffectiveSchema(schema, data, rootSchema)
+
+    if (data.constructor.name === 'Object') {
+        let ret = {}
+        for (let v in data) {
+            // The undefined properties are omitted.
+            if (
+                Object.prototype.hasOwnProperty.call(data, v) &&
+                data[v] !== undefined
+            )
+                ret[v] = convertItem(
+                    getPropertySchema(schema, v),
+                    data[v],
+                    convertValue,
+                    rootSchema,
+                    joinPath(path, v),
+                    options
+                )
         }
+        return ret
+    }
 
-        throw new Error(
-            'This function manages directly only objects and arrays'
-        )
-    } // function convertElement (schema,data)
+    if (data.constructor.name === 'Array') {
+        let ret = []
+        for (let i = 0; i < data.length; i++) {
+            // The undefined elements and the holes are set to null, to keep the indexes.
+            if (data[i] === undefined) ret[i] = null
+            else
+                ret[i] = convertItem(
+                    getItemSchema(schema, i),
+                    data[i],
+                    convertValue,
+                    rootSchema,
+                    joinPath(path, i),
+                    options
+                )
+        }
+        return ret
+    }
 
+    throw new ConversionError({
+        error: 'This function manages directly only objects and arrays',
+        path,
+        value: data
+    })
+}
+
+function convertDocument(data, schema, convertValue, options) {
     if (!schema) return data
 
     if (!data)
         // The database may return nothing. In this case, this function must not parse the null result.
         return data
 
-    const originalSchema = schema
-
     if (data.constructor.name === 'Array') {
         let ret = []
         for (let i = 0; i < data.length; i++)
-            ret.push(convertElement(schema, data[i]))
+            ret.push(
+                convertElement(
+                    schema,
+                    data[i],
+                    convertValue,
+                    schema,
+                    '',
+                    options
+                )
+            )
         return ret
     } else {
-        return convertElement(schema, data)
+        return convertElement(schema, data, convertValue, schema, '', options)
     }
 }
 
+function matchType(value, type) {
+    switch (type) {
+        case 'null':
+            return value === null
+        case 'integer':
+            return Number.isInteger(value)
+        case 'array':
+            return value instanceof Array
+        case 'object':
+            return (
+                !!value &&
+                typeof value === 'object' &&
+                !(value instanceof Array)
+            )
+        default:
+            return typeof value === type
+    }
+}
+
+// Coerces a scalar value to the type of its schema, following the rules of the
+// coerceTypes option of Ajv. The value is kept if it can not be coerced.
+function coerceValue(value, schema) {
+    const types = [].concat(schema.type || [])
+    if (!types.length || types.some((t) => matchType(value, t))) return value
+
+    for (const type of types) {
+        switch (type) {
+            case 'number':
+            case 'integer':
+                if (typeof value === 'boolean') return +value
+                if (typeof value === 'string' && value.trim() !== '') {
+                    const n = Number(value)
+                    // Large integers are kept as strings, to avoid any loss of precision.
+                    if (
+                        type === 'number'
+                            ? Number.isFinite(n)
+                            : Number.isSafeInteger(n)
+                    )
+                        return n
+                }
+                break
+            case 'string':
+                if (typeof value === 'number' || typeof value === 'boolean')
+                    return `${value}`
+                break
+            case 'boolean':
+                if (value === 'true' || value === 1) return true
+                if (value === 'false' || value === 0) return false
+                break
+        }
+    }
+    return value
+}
+
+function prepareValue(schema, data, rootSchema, options) {
+    schema = getEffectiveSchema(schema, data, rootSchema)
+    if (!schema || schema.constructor.name !== 'Object') return data
+
+    if (data && data.constructor.name === 'Object') {
+        let ret = {}
+        for (const key in data)
+            if (Object.prototype.hasOwnProperty.call(data, key))
+                ret[key] = prepareValue(
+                    getPropertySchema(schema, key),
+                    data[key],
+                    rootSchema,
+                    options
+                )
+
+        if (options.defaults && schema.properties)
+            for (const key in schema.properties) {
+                const s = getEffectiveSchema(
+                    schema.properties[key],
+                    undefined,
+                    rootSchema
+                )
+                if (ret[key] === undefined && s && s.default !== undefined)
+                    ret[key] = prepareValue(
+                        s,
+                        JSON.parse(JSON.stringify(s.default)),
+                        rootSchema,
+                        options
+                    )
+            }
+        return ret
+    }
+
+    if (data && data.constructor.name === 'Array')
+        return data.map((d, i) =>
+            prepareValue(getItemSchema(schema, i), d, rootSchema, options)
+        )
+
+    return options.coerceTypes && data !== undefined
+        ? coerceValue(data, schema)
+        : data
+}
+
+// Query operators whose operand is a single value of the field.
+const valueOperators = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte']
+// Query operators whose operand is an array of values of the field.
+const arrayOperators = ['$in', '$nin', '$all']
+// Query operators whose operand is an array of filters.
+const logicalOperators = ['$and', '$or', '$nor']
+
+function isOperatorObject(value) {
+    if (!value || value.constructor.name !== 'Object') return false
+    const keys = Object.keys(value)
+    return keys.length > 0 && keys.every((k) => k.startsWith('$'))
+}
+
+function convertFilterValue(value, schema, rootSchema, path, convertValue) {
+    // Values already in db format (ObjectId, Long ...) and regular expressions are kept.
+    if (
+        value === null ||
+        value === undefined ||
+        value._bsontype ||
+        value.constructor.name === 'RegExp'
+    )
+        return value
+
+    // An array field can be compared with one of its elements.
+    const isArrayField = schema.items && !schema.properties
+    const isArray = value.constructor.name === 'Array'
+    const s =
+        getEffectiveSchema(
+            isArrayField && !isArray ? getItemSchema(schema) : schema,
+            value,
+            rootSchema
+        ) || {}
+
+    if (isArray || (value.constructor.name === 'Object' && !s.mongoType))
+        return convertElement(s, value, convertValue, rootSchema, path)
+    return convertValueAt(convertValue, value, s, path)
+}
+
+function convertCondition(value, schema, rootSchema, path, convertValue) {
+    if (!schema) return value
+    if (!isOperatorObject(value))
+        return convertFilterValue(value, schema, rootSchema, path, convertValue)
+
+    let ret = {}
+    for (const op in value) {
+        if (Object.prototype.hasOwnProperty.call(value, op)) {
+            if (valueOperators.includes(op)) {
+                ret[op] = convertFilterValue(
+                    value[op],
+                    schema,
+                    rootSchema,
+                    path,
+                    convertValue
+                )
+            } else if (arrayOperators.includes(op)) {
+                if (value[op] && value[op].constructor.name === 'Array')
+                    ret[op] = value[op].map((v) =>
+                        convertFilterValue(
+                            v,
+                            schema,
+                            rootSchema,
+                            path,
+                            convertValue
+                        )
+                    )
+                else ret[op] = value[op]
+            } else if (op === '$not') {
+                ret[op] = convertCondition(
+                    value[op],
+                    schema,
+                    rootSchema,
+                    path,
+                    convertValue
+                )
+            } else if (op === '$elemMatch') {
+                const itemSchema = resolveRef(getItemSchema(schema), rootSchema)
+                if (!itemSchema) ret[op] = value[op]
+                else if (isOperatorObject(value[op]))
+                    ret[op] = convertCondition(
+                        value[op],
+                        itemSchema,
+                        rootSchema,
+                        path,
+                        convertValue
+                    )
+                else
+                    ret[op] = convertFilter(
+                        value[op],
+                        itemSchema,
+                        rootSchema,
+                        convertValue
+                    )
+            } else {
+                // $exists, $type, $regex, $size, $mod ...
+                ret[op] = value[op]
+            }
+        }
+    }
+    return ret
+}
+
+function convertFilter(filter, schema, rootSchema, convertValue) {
+    let ret = {}
+    for (const key in filter) {
+        if (Object.prototype.hasOwnProperty.call(filter, key)) {
+            if (logicalOperators.includes(key)) {
+                ret[key] = filter[key].map((f) =>
+                    convertFilter(f, schema, rootSchema, convertValue)
+                )
+            } else if (key.startsWith('$')) {
+                // $expr, $text, $where, $comment ...
+                ret[key] = filter[key]
+            } else {
+                ret[key] = convertCondition(
+                    filter[key],
+                    getSubSchema(schema, key, rootSchema),
+                    rootSchema,
+                    key,
+                    convertValue
+                )
+            }
+        }
+    }
+    return ret
+}
+
+// Update operators whose operand maps the paths to values of the fields.
+const updateValueOperators = [
+    '$set',
+    '$setOnInsert',
+    '$inc',
+    '$mul',
+    '$min',
+    '$max'
+]
+// Update operators whose operand maps the paths to values added to arrays.
+const updatePushOperators = ['$push', '$addToSet']
+
+function convertUpdateValue(value, schema, rootSchema, path, convertValue) {
+    if (!schema) return value
+    return convertFilterValue(value, schema, rootSchema, path, convertValue)
+}
+
+function convertUpdateOperator(op, fields, schema, convertValue) {
+    let ret = {}
+    for (const path in fields) {
+        if (Object.prototype.hasOwnProperty.call(fields, path)) {
+            const value = fields[path]
+            const pathSchema = getSubSchema(schema, path, schema)
+            const itemSchema = resolveRef(getItemSchema(pathSchema), schema)
+
+            if (!pathSchema) {
+                ret[path] = value
+            } else if (updateValueOperators.includes(op)) {
+                ret[path] = convertUpdateValue(
+                    value,
+                    pathSchema,
+                    schema,
+                    path,
+                    convertValue
+                )
+            } else if (updatePushOperators.includes(op)) {
+                if (
+                    value &&
+                    value.constructor.name === 'Object' &&
+                    value.$each
+                ) {
+                    ret[path] = {
+                        ...value,
+                        $each: value.$each.map((v) =>
+                            convertUpdateValue(
+                                v,
+                                itemSchema,
+                                schema,
+                                path,
+                                convertValue
+                            )
+                        )
+                    }
+                } else {
+                    ret[path] = convertUpdateValue(
+                        value,
+                        itemSchema,
+                        schema,
+                        path,
+                        convertValue
+                    )
+                }
+            } else if (op === '$pull') {
+                if (
+                    itemSchema &&
+                    itemSchema.properties &&
+                    value &&
+                    value.constructor.name === 'Object' &&
+                    !isOperatorObject(value)
+                )
+                    ret[path] = convertFilter(
+                        value,
+                        itemSchema,
+                        schema,
+                        convertValue
+                    )
+                else
+                    ret[path] = convertCondition(
+                        value,
+                        pathSchema,
+                        schema,
+                        path,
+                        convertValue
+                    )
+            } else if (op === '$pullAll') {
+                ret[path] = value.map((v) =>
+                    convertUpdateValue(
+                        v,
+                        itemSchema,
+                        schema,
+                        path,
+                        convertValue
+                    )
+                )
+            } else {
+                // $unset, $rename, $currentDate, $pop, $bit ...
+                ret[path] = value
+            }
+        }
+    }
+    return ret
+}
+
+/**
+ * This function prepares a json object before its validation and conversion: the default values declared in the schema are set to the
+ * missing properties, and the values are coerced to the type declared in the schema ("42" becomes 42 for an integer, 42 becomes "42"
+ * for a string, "true" becomes true for a boolean ...).
+ * @function
+ * @param {(Object|Array)} data A JSON object or an array of them. They are not modified.
+ * @param {Object} schema A json-schema defining the parameters of the data parameter.
+ * @param {object} [options] Optional settings.
+ * @param {boolean} [options.defaults=false] If set to true, the **default** values are set to the missing (or undefined) properties.
+ * @param {boolean} [options.coerceTypes=false] If set to true, the values are coerced to the **type** of their schema. The values that can not be coerced are kept as is.
+ * @returns {Object} This function returns a copy of the "data" parameter.
+ */
+function prepareDocument(data, schema, options = {}) {
+    if (!data || !schema) return data
+    if (data.constructor.name === 'Array')
+        return data.map((d) => prepareValue(schema, d, schema, options))
+    return prepareValue(schema, data, schema, options)
+}
+
 /**
- * This function converts a json object into an equivalent containing the mongodb format.
+ * This function converts a json object into an equivalent containing the mongodb format. The undefined properties are omitted, and the
+ * undefined elements of the arrays are set to null. The null values are kept, unless the **type** of their schema does not allow null.
  * @function
  * @param {(Object|Array)} data A JSON object or an array of them containing the data to convert. The whole object or each element of the array will be validated with the validator.
  * @param {Object} schema A json-schema defining the parameters of the data parameter.
+ * @param {object} [options] Optional settings. The **defaults** and **coerceTypes** options of the prepareDocument() function can be used.
+ * @param {object} [options.types] The registry of the types (see the createTypeRegistry() function of the types). By default, the global registry.
  * @returns {Object} This function returns an image of the "data" parameter, coverted with the data type used by mongodb.
+ * @throws {ConversionError} This function throws an exception if a value can not be converted or is null while its schema does not allow it.
  */
-function documentToDbFormat(data, schema) {
-    return convertDocument(data, schema, valueToDbFormat)
+function documentToDbFormat(data, schema, options = {}) {
+    if (options.defaults || options.coerceTypes)
+        data = prepareDocument(data, schema, options)
+    return convertDocument(
+        data,
+        schema,
+        getConverter(valueToDbFormat, options.types),
+        { checkNull: true }
+    )
 }
 
 /**
- * This function converts a json object that may contain mongodb types, into an equivalent JSON object.
+ * This function converts a json object that may contain mongodb types, into an equivalent JSON object. The null values are kept.
  * @function
  * @param {(Object|Array)} data A JSON object containing the data returned by mongodb, with mongodb types.
  * @param {Object} schema A json-schema defining the parameters of the data parameter.
+ * @param {object} [options] Optional settings.
+ * @param {object} [options.types] The registry of the types. By default, the global registry.
  * @returns {Object} This function returns an image of the "data" parameter, coverted with the data type used by mongodb.
  */
-function dbFormatToDocument(data, schema) {
-    return convertDocument(data, schema, dbFormatToValue)
+function dbFormatToDocument(data, schema, options = {}) {
+    return convertDocument(
+        data,
+        schema,
+        getConverter(dbFormatToValue, options.types),
+        {}
+    )
+}
+
+/**
+ * This function converts a query filter written with JSON values into an equivalent filter containing the mongodb format.
+ * The values compared with the fields (directly or through the $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $all, $not and $elemMatch operators,
+ * and inside $and, $or and $nor) are converted using the mongoType declared in the schema. Dotted paths like 'address.zip' are supported.
+ * @function
+ * @param {Object} filter A query filter.
+ * @param {Object} schema A json-schema defining the documents the filter is applied to.
+ * @param {object} [options] Optional settings.
+ * @param {object} [options.types] The registry of the types. By default, the global registry.
+ * @returns {Object} This function returns an image of the "filter" parameter, with its values converted to the data type used by mongodb.
+ */
+function filterToDbFormat(filter, schema, options = {}) {
+    if (!schema || !filter || filter.constructor.name !== 'Object')
+        return filter
+    return convertFilter(
+        filter,
+        schema,
+        schema,
+        getConverter(valueToDbFormat, options.types)
+    )
+}
+
+/**
+ * This function converts an update document written with JSON values into an equivalent update containing the mongodb format.
+ * The values of the $set, $setOnInsert, $inc, $mul, $min, $max, $push, $addToSet, $pull and $pullAll operators are converted using
+ * the mongoType declared in the schema for their paths. Aggregation pipelines are not converted.
+ * @function
+ * @param {Object} update An update document containing update operators.
+ * @param {Object} schema A json-schema defining the documents the update is applied to.
+ * @param {object} [options] Optional settings.
+ * @param {object} [options.types] The registry of the types. By default, the global registry.
+ * @returns {Object} This function returns an image of the "update" parameter, with its values converted to the data type used by mongodb.
+ */
+function updateToDbFormat(update, schema, options = {}) {
+    if (!schema || !update || update.constructor.name !== 'Object')
+        return update
+
+    const convertValue = getConverter(valueToDbFormat, options.types)
+    let ret = {}
+    for (const op in update) {
+        if (Object.prototype.hasOwnProperty.call(update, op)) {
+            if (update[op] && update[op].constructor.name === 'Object')
+                ret[op] = convertUpdateOperator(
+                    op,
+                    update[op],
+                    schema,
+                    convertValue
+                )
+            else ret[op] = update[op]
+        }
+    }
+    return ret
 }
 
 /**
@@ -150,4 +611,12 @@ function none() {
     return
 }
 
-module.exports = { documentToDbFormat, dbFormatToDocument, equal, none }
+module.exports = {
+    prepareDocument,
+    documentToDbFormat,
+    dbFormatToDocument,
+    filterToDbFormat,
+    updateToDbFormat,
+    equal,
+    none
+}
@@ -1,17 +1,153 @@
 'use strict'
 
-class MongolError {
-    constructor(error) {
+function getMessage(error) {
+    if (error === undefined || error === null) return ''
+    if (typeof error === 'string') return error
+    if (error instanceof Error) return error.message
+    if (error instanceof Array)
+        // Ajv errors
+        return error
+            .map((e) =>
+                e && e.message ? `${e.dataPath || '/'} ${e.message}` : `${e}`
+            )
+            .join(', ')
+    return JSON.stringify(error)
+}
+
+class MongolError extends Error {
+    /**
+     * This class is the base class of all the errors thrown by this library.
+     * @param {(object|string)} [error] A message or an object whose properties are copied to the error. The **error** property
+     * of this object is used to build the message.
+     * @param {string} [code='MONGOL_ERROR'] A stable code identifying the type of the error.
+     */
+    constructor(error = {}, code = 'MONGOL_ERROR') {
+        const data =
+            error && error.constructor && error.constructor.name === 'Object'
+                ? error
+                : { error }
+        super(getMessage(data.error))
+
+        this.name = this.constructor.name
         this.errorType = this.constructor.name
-        if (error.constructor.name === 'Object') {
-            for (const p in error)
-                if (Object.prototype.hasOwnProperty.call(error, p))
-                    this[p] = error[p]
-        } else {
-            this.error = error
-        }
-        this.stack = new Error().stack.split('\n')
+        for (const p in data)
+            if (Object.prototype.hasOwnProperty.call(data, p)) this[p] = data[p]
+        this.code = code
+    }
+}
+
+class ValidationError extends MongolError {
+    /**
+     * This error is thrown when a document or an update is not validated by the schema.
+     * @param {object} error
+     * @param {(object[]|string)} error.error The errors returned by Ajv, or a message.
+     * @param {object} [error.document] The document not validated.
+     * @param {number} [error.index] The index of the document, if an array of documents was validated.
+     * @param {string} [error.path] The path of the update not validated.
+     */
+    constructor(error) {
+        super(error, 'VALIDATION_ERROR')
+
+        const path = this.path || ''
+        if (this.error instanceof Array)
+            this.errors = this.error.map((e) => ({
+                path: `${path}${e.dataPath || ''}`,
+                keyword: e.keyword,
+                message: e.message,
+                params: e.params
+            }))
+        else this.errors = [{ path, message: this.message }]
+    }
+}
+
+class ConversionError extends MongolError {
+    /**
+     * This error is thrown when a value can not be converted to or from the database format.
+     * @param {object} error
+     * @param {string} error.error The message.
+     * @param {string} [error.path] The path of the value.
+     * @param {any} [error.value] The value.
+     * @param {string} [error.mongoType] The mongoType used to convert the value.
+     */
+    constructor(error) {
+        super(error, 'CONVERSION_ERROR')
+    }
+}
+
+class ConfigurationError extends MongolError {
+    /**
+     * This error is thrown when a schema, a parameter or an option is not valid.
+     * @param {(object|string)} error
+     */
+    constructor(error) {
+        super(error, 'CONFIGURATION_ERROR')
     }
 }
 
-module.exports = { MongolError }
+class ConnectionError extends MongolError {
+    /**
+     * This error is thrown when an operation requires a connection that is not available.
+     * @param {(object|string)} error
+     */
+    constructor(error) {
+        super(error, 'CONNECTION_ERROR')
+    }
+}
+
+class DuplicateKeyError extends MongolError {
+    /**
+     * This error is thrown when a write operation violates a unique index (driver error code 11000).
+     * @param {object} error
+     * @param {string} error.error The message.
+     * @param {string} [error.index] The name of the unique index.
+     * @param {object} [error.keyValue] The conflicting key.
+     * @param {Error} [error.driverError] The error thrown by the driver.
+     */
+    constructor(error) {
+        super(error, 'DUPLICATE_KEY')
+    }
+}
+
+class VersionConflictError extends MongolError {
+    /**
+     * This error is thrown when a document is modified with an expected version (see the "versionKey" parameter of the collections) that is not its current version.
+     * @param {object} error
+     * @param {string} error.error The message.
+     * @param {any} [error.documentId] The _id of the document.
+     * @param {number} [error.expectedVersion] The version passed to the operation.
+     * @param {number} [error.currentVersion] The version stored in the database.
+     */
+    constructor(error) {
+        super(error, 'VERSION_CONFLICT')
+    }
+}
+
+/**
+ * This function maps the errors thrown by the mongodb driver to the errors of this library.
+ * @param {Error} e The error thrown by the driver.
+ * @returns {Error} This function returns a **DuplicateKeyError** for the driver errors with code 11000, or the **e** parameter.
+ */
+function fromDriverError(e) {
+    if (!e || e.code !== 11000) return e
+
+    // E11000 duplicate key error collection: db.coll index: name_1 dup key: { name: "a" }
+    const match = /index: (\S+) dup key/.exec(e.message)
+    return new DuplicateKeyError({
+        error: e.message,
+        index: match ? match[1] : undefined,
+        keyPattern: e.keyPattern,
+        keyValue: e.keyValue,
+        driverError: e
+    })
+}
+
+module.exports = {
+    MongolError,
+    ValidationError,
+    ConversionError,
+    ConfigurationError,
+    ConnectionError,
+    DuplicateKeyError,
+    VersionConflictError,
+    fromDriverError
+}
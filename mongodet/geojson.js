@@ -0,0 +1,83 @@
+'use strict'
+
+// Functions used to check the GeoJSON geometries stored in the collections.
+
+function checkPosition(position) {
+    if (
+        !(position instanceof Array) ||
+        position.length < 2 ||
+        position.length > 3 ||
+        !position.every((n) => typeof n === 'number' && Number.isFinite(n))
+    )
+        return 'A position must be an array of 2 or 3 numbers: [longitude, latitude, altitude].'
+
+    const [longitude, latitude] = position
+    if (longitude < -180 || longitude > 180)
+        return `The longitude ${longitude} is not between -180 and 180.`
+    if (latitude < -90 || latitude > 90)
+        return `The latitude ${latitude} is not between -90 and 90.`
+}
+
+function checkPositions(positions, min, name) {
+    if (!(positions instanceof Array) || positions.length < min)
+        return `A ${name} must contain at least ${min} positions.`
+    for (const position of positions) {
+        const error = checkPosition(position)
+        if (error) return error
+    }
+}
+
+function checkPolygon(rings) {
+    if (!(rings instanceof Array) || !rings.length)
+        return 'A polygon must contain at least one linear ring.'
+
+    for (const ring of rings) {
+        const error = checkPositions(ring, 4, 'linear ring')
+        if (error) return error
+
+        const first = ring[0]
+        const last = ring[ring.length - 1]
+        if (
+            first.length !== last.length ||
+            first.some((value, i) => value !== last[i])
+        )
+            return 'A linear ring must be closed: its first and last positions must be equal.'
+    }
+}
+
+// Checks of the coordinates, by geometry type.
+const coordinatesChecks = {
+    Point: checkPosition,
+    LineString: (coordinates) => checkPositions(coordinates, 2, 'line string'),
+    Polygon: checkPolygon,
+    MultiPolygon: (coordinates) => {
+        if (!(coordinates instanceof Array) || !coordinates.length)
+            return 'A multipolygon must contain at least one polygon.'
+        for (const polygon of coordinates) {
+            const error = checkPolygon(polygon)
+            if (error) return error
+        }
+    }
+}
+
+const geometryTypes = Object.keys(coordinatesChecks)
+
+/**
+ * This function checks a GeoJSON geometry: its type, the range of its coordinates (the longitudes must be between -180 and 180,
+ * and the latitudes between -90 and 90) and the closure of the rings of its polygons.
+ * @param {object} geometry A GeoJSON object, like { type: 'Point', coordinates: [2.35, 48.85] }.
+ * @param {(string|string[])} [types] The allowed geometry types. By default, all the supported types: 'Point', 'LineString', 'Polygon' and 'MultiPolygon'.
+ * @returns {string} This function returns an error message, or undefined if the geometry is valid.
+ */
+function checkGeometry(geometry, types = geometryTypes) {
+    types = [].concat(types)
+    if (
+        !geometry ||
+        geometry.constructor.name !== 'Object' ||
+        !types.includes(geometry.type)
+    )
+        return `The value must be a GeoJSON object of type ${types.join(', ')}.`
+    return coordinatesChecks[geometry.type](geometry.coordinates)
+}
+
+module.exports = { geometryTypes, checkGeometry }
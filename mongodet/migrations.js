@@ -0,0 +1,280 @@
+'use strict'
+
+const os = require('os')
+
+const { getClient, getConnectionStatus } = require('./connexion')
+const { Collection } = require('./Collection')
+const { MongolError, ConfigurationError, ConnectionError } = require('./errors')
+
+const defaultParameters = {
+    connection: 'default',
+    dbName: undefined,
+    collectionName: 'mongodetMigrations',
+    lockTimeout: 600,
+    dryRun: false
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Private functions
+////////////////////////////////////////////////////////////////////////////////
+
+function getParameters(parameters) {
+    return { ...defaultParameters, ...parameters }
+}
+
+function checkMigrations(migrations) {
+    const versions = new Set()
+    for (const m of migrations) {
+        if (m.version === undefined || typeof m.up !== 'function')
+            throw new ConfigurationError({
+                error: 'Each migration must have a "version" and an "up" function.',
+                migration: m
+            })
+        if (versions.has(m.version))
+            throw new ConfigurationError({
+                error: `Migration version "${m.version}" is declared several times.`
+            })
+        versions.add(m.version)
+    }
+}
+
+function getContext(parameters) {
+    if (getConnectionStatus(parameters.connection) !== 'connected')
+        throw new ConnectionError({
+            error: `Migrations can not be executed because the connection "${parameters.connection}" is not established.`
+        })
+    const client = getClient(parameters.connection)
+    return { client, db: client.db(parameters.dbName) }
+}
+
+async function getAppliedMigrations(db, parameters) {
+    const applied = await db
+        .collection(parameters.collectionName)
+        .find({})
+        .toArray()
+    let ret = {}
+    for (const a of applied) ret[a._id] = a
+    return ret
+}
+
+async function acquireLock(db, parameters) {
+    const lockCollection = db.collection(`${parameters.collectionName}Lock`)
+    const owner = `${os.hostname()}:${process.pid}:${Date.now()}`
+    const now = new Date()
+
+    try {
+        await lockCollection.insertOne({ _id: 'lock', owner, lockedAt: now })
+        return owner
+    } catch (e) {
+        if (e.code !== 11000) throw e
+    }
+
+    // The lock is taken, but it can be stolen if it has expired.
+    const r = await lockCollection.findOneAndUpdate(
+        {
+            _id: 'lock',
+            lockedAt: { $lt: new Date(now - parameters.lockTimeout * 1000) }
+        },
+        { $set: { owner, lockedAt: now } }
+    )
+    if (r.value) return owner
+
+    const lock = await lockCollection.findOne({ _id: 'lock' })
+    throw new MongolError({
+        error: 'Migrations are locked by another process.',
+        owner: lock ? lock.owner : undefined,
+        lockedAt: lock ? lock.lockedAt : undefined
+    })
+}
+
+// Sets the current date to the lock, if it is still owned.
+async function refreshLock(db, parameters, owner) {
+    const r = await db
+        .collection(`${parameters.collectionName}Lock`)
+        .updateOne({ _id: 'lock', owner }, { $set: { lockedAt: new Date() } })
+    if (!r.result.n)
+        throw new MongolError({
+            error: 'The lock of the migrations has been taken by another process.',
+            owner
+        })
+}
+
+// Refreshes the lock while the migrations run, so that it does not expire
+// during a migration longer than the lock timeout. Returns the function that
+// stops the refresh.
+function keepLock(db, parameters, owner) {
+    const timer = setInterval(
+        () => refreshLock(db, parameters, owner).catch(() => {}),
+        (parameters.lockTimeout * 1000) / 3
+    )
+    timer.unref()
+    return () => clearInterval(timer)
+}
+
+async function releaseLock(db, parameters, owner) {
+    await db
+        .collection(`${parameters.collectionName}Lock`)
+        .deleteOne({ _id: 'lock', owner })
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Exported functions
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * @typedef {Object} migration
+ * @property {(string|number)} version - The unique identifier of the migration.
+ * @property {string} [description] - A description of the migration, stored with it when it is applied.
+ * @property {function} up - An async function that applies the migration. It receives the instances of the Collection
+ * class bound to the connection (as returned by Collection.getCollections()) and an object containing the **client** and the **db** used.
+ * @property {function} [down] - An async function that reverts the migration. It receives the same parameters as **up**.
+ */
+
+/**
+ * This function applies, in order, the migrations that have not been applied yet. The applied migrations are stored in
+ * a dedicated collection, and a lock prevents several processes from migrating concurrently.
+ * @param {migration[]} migrations - The ordered list of migrations.
+ * @param {object} [parameters] - Optional settings.
+ * @param {string} [parameters.connection='default'] - The name of the connection used.
+ * @param {string} [parameters.dbName] - The database where the applied migrations are stored. The default database of the connection is used if not set.
+ * @param {string} [parameters.collectionName='mongodetMigrations'] - The collection where the applied migrations are stored. The lock is stored in the collection with the same name followed by 'Lock'.
+ * @param {number} [parameters.lockTimeout=600] - The time, in seconds, after which a lock is considered expired and can be taken by another process.
+ * The lock is refreshed while the migrations run. If it has been taken anyway, the migration that has just run is not recorded and a **MongolError** is thrown.
+ * @param {(string|number)} [parameters.to] - The version of the last migration to apply. All the migrations are applied if not set.
+ * @param {boolean} [parameters.dryRun=false] - If set to true, no migration is applied. The versions of the migrations that would be applied are only returned.
+ * @returns {Promise} returns a Promise. If resolved, it will send the versions of the migrations applied.
+ */
+async function runMigrations(migrations, parameters = {}) {
+    parameters = getParameters(parameters)
+    checkMigrations(migrations)
+    const context = getContext(parameters)
+    const db = context.db
+
+    let last = migrations.length
+    if (parameters.to !== undefined) {
+        last = migrations.findIndex((m) => m.version === parameters.to) + 1
+        if (!last)
+            throw new ConfigurationError({
+                error: `Unknown migration version "${parameters.to}".`
+            })
+    }
+
+    const getPending = async () => {
+        const applied = await getAppliedMigrations(db, parameters)
+        return migrations.slice(0, last).filter((m) => !applied[m.version])
+    }
+
+    if (parameters.dryRun) return (await getPending()).map((m) => m.version)
+
+    const owner = await acquireLock(db, parameters)
+    const stopRefresh = keepLock(db, parameters, owner)
+    try {
+        const pending = await getPending()
+        for (const m of pending) {
+            await m.up(
+                Collection.getCollections(parameters.connection),
+                context
+            )
+            // The migration is recorded only if the lock is still owned.
+            await refreshLock(db, parameters, owner)
+            await db.collection(parameters.collectionName).insertOne({
+                _id: m.version,
+                description: m.description,
+                appliedAt: new Date()
+            })
+        }
+        return pending.map((m) => m.version)
+    } finally {
+        stopRefresh()
+        await releaseLock(db, parameters, owner)
+    }
+}
+
+/**
+ * This function reverts, in reverse order, the last applied migrations.
+ * @param {migration[]} migrations - The ordered list of migrations.
+ * @param {object} [parameters] - Optional settings. The same settings as the runMigrations() function can be used, and:
+ * @param {number} [parameters.steps=1] - The number of migrations to revert. Ignored if the **to** parameter is set.
+ * @param {(string|number)} [parameters.to] - The version of the last migration that will remain applied. Use null to revert all the migrations.
+ * @returns {Promise} returns a Promise. If resolved, it will send the versions of the migrations reverted.
+ */
+async function rollbackMigrations(migrations, parameters = {}) {
+    parameters = getParameters({ steps: 1, ...parameters })
+    checkMigrations(migrations)
+    const context = getContext(parameters)
+    const db = context.db
+
+    let first = -1
+    if (parameters.to !== undefined && parameters.to !== null) {
+        first = migrations.findIndex((m) => m.version === parameters.to)
+        if (first < 0)
+            throw new ConfigurationError({
+                error: `Unknown migration version "${parameters.to}".`
+            })
+    }
+
+    const getToRevert = async () => {
+        const applied = await getAppliedMigrations(db, parameters)
+        const toRevert = migrations
+            .slice(first + 1)
+            .filter((m) => applied[m.version])
+            .reverse()
+        return parameters.to === undefined
+            ? toRevert.slice(0, parameters.steps)
+            : toRevert
+    }
+
+    const check = (toRevert) => {
+        for (const m of toRevert)
+            if (typeof m.down !== 'function')
+                throw new ConfigurationError({
+                    error: `Migration "${m.version}" can not be reverted: it has no "down" function.`
+                })
+        return toRevert
+    }
+
+    if (parameters.dryRun)
+        return check(await getToRevert()).map((m) => m.version)
+
+    const owner = await acquireLock(db, parameters)
+    const stopRefresh = keepLock(db, parameters, owner)
+    try {
+        const toRevert = check(await getToRevert())
+        for (const m of toRevert) {
+            await m.down(
+                Collection.getCollections(parameters.connection),
+                context
+            )
+            await refreshLock(db, parameters, owner)
+            await db
+                .collection(parameters.collectionName)
+                .deleteOne({ _id: m.version })
+        }
+        return toRevert.map((m) => m.version)
+    } finally {
+        stopRefresh()
+        await releaseLock(db, parameters, owner)
+    }
+}
+
+/**
+ * This function returns the status of each migration.
+ * @param {migration[]} migrations - The ordered list of migrations.
+ * @param {object} [parameters] - Optional settings. The same settings as the runMigrations() function can be used.
+ * @returns {Promise} returns a Promise. If resolved, it will send an array containing the **version**, **description**, **applied** and **appliedAt** properties of each migration.
+ */
+async function getMigrationsStatus(migrations, parameters = {}) {
+    parameters = getParameters(parameters)
+    checkMigrations(migrations)
+    const { db } = getContext(parameters)
+    const applied = await getAppliedMigrations(db, parameters)
+
+    return migrations.map((m) => ({
+        version: m.version,
+        description: m.description,
+        applied: !!applied[m.version],
+        appliedAt: applied[m.version] ? applied[m.version].appliedAt : null
+    }))
+}
+
+module.exports = { runMigrations, rollbackMigrations, getMigrationsStatus }
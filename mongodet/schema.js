@@ -0,0 +1,322 @@
+'use strict'
+
+// Functions used to navigate through the JSON schemas of the collections.
+
+const Ajv = require('ajv')
+
+// Used to pick the branches of oneOf, anyOf and if that match a value.
+const ajv = new Ajv({ unknownFormats: 'ignore' })
+const validators = new WeakMap()
+const schemaIds = new WeakMap()
+
+// Keywords whose value is a map of schemas.
+const schemaMapKeywords = ['properties', 'patternProperties', 'dependencies']
+// Keywords whose value is a schema or an array of schemas.
+const schemaKeywords = [
+    'items',
+    'additionalItems',
+    'additionalProperties',
+    'contains',
+    'propertyNames',
+    'not',
+    'if',
+    'then',
+    'else',
+    'allOf',
+    'anyOf',
+    'oneOf'
+]
+// Keywords selecting the subschemas that apply to a value.
+const compositionKeywords = [
+    'allOf',
+    'anyOf',
+    'oneOf',
+    'if',
+    'then',
+    'else',
+    'dependencies'
+]
+
+function isSchema(schema) {
+    return !!schema && schema.constructor.name === 'Object'
+}
+
+function getSchemaIds(rootSchema) {
+    let ids = schemaIds.get(rootSchema)
+    if (!ids) {
+        ids = new Map()
+        const visited = new Set()
+        const walk = (value) => {
+            if (!value || typeof value !== 'object' || visited.has(value))
+                return
+            visited.add(value)
+            if (typeof value.$id === 'string' && !ids.has(value.$id))
+                ids.set(value.$id, value)
+            for (const k in value)
+                if (k !== 'enum' && k !== 'const' && k !== 'default')
+                    walk(value[k])
+        }
+        walk(rootSchema)
+        schemaIds.set(rootSchema, ids)
+    }
+    return ids
+}
+
+function findById(rootSchema, id) {
+    const ids = getSchemaIds(rootSchema)
+    if (ids.has(id)) return ids.get(id)
+    // 'address.json' matches 'http://example.com/schemas/address.json', and conversely.
+    for (const [key, schema] of ids)
+        if (key.endsWith(`/${id}`) || id.endsWith(`/${key}`)) return schema
+    return undefined
+}
+
+function getPointer(schema, pointer) {
+    // '/definitions/address', where '~1' stands for '/' and '~0' for '~'
+    for (const p of pointer.split('/').slice(1)) {
+        if (!schema) return undefined
+        schema =
+            schema[
+                decodeURIComponent(p).replace(/~1/g, '/').replace(/~0/g, '~')
+            ]
+    }
+    return schema
+}
+
+/**
+ * This function resolves a reference: a JSON pointer ('#/definitions/address', '#/$defs/address'), the $id of a subschema
+ * ('address.json', '#address') or both ('address.json#/properties/zip'). A reference to another reference is resolved too.
+ * @param {object} schema The schema that may contain a $ref property.
+ * @param {object} rootSchema The schema the references are relative to.
+ * @returns {object} This function returns the referenced schema, or the **schema** parameter if it is not a reference.
+ */
+function resolveRef(schema, rootSchema) {
+    const seen = new Set()
+    while (schema && schema.$ref && !seen.has(schema)) {
+        seen.add(schema)
+        const ref = schema.$ref
+        const hash = ref.indexOf('#')
+        const base = hash < 0 ? ref : ref.slice(0, hash)
+        const fragment = hash < 0 ? '' : ref.slice(hash + 1)
+
+        let target = base ? findById(rootSchema, base) : rootSchema
+        if (target && fragment)
+            target = fragment.startsWith('/')
+                ? getPointer(target, fragment)
+                : findById(rootSchema, ref) ||
+                  findById(rootSchema, `#${fragment}`)
+        schema = target
+    }
+    return schema
+}
+
+// Returns a copy of the schema without references, used to validate the values in JSON or in db format: the fields
+// having a mongoType also accept objects (ObjectId, Long, Date ...). Recursive references are replaced by an empty schema.
+function getValidationSchema(schema, rootSchema, refs = []) {
+    const resolved = resolveRef(schema, rootSchema)
+    if (!isSchema(resolved)) return resolved === undefined ? {} : resolved
+    if (refs.includes(resolved)) return {}
+    refs = refs.concat(resolved)
+
+    let ret = {}
+    for (const key in resolved) {
+        if (!Object.prototype.hasOwnProperty.call(resolved, key)) continue
+        const value = resolved[key]
+
+        if (schemaMapKeywords.includes(key) && isSchema(value)) {
+            ret[key] = {}
+            for (const k in value)
+                ret[key][k] =
+                    value[k] instanceof Array
+                        ? value[k]
+                        : getValidationSchema(value[k], rootSchema, refs)
+        } else if (schemaKeywords.includes(key)) {
+            ret[key] =
+                value instanceof Array
+                    ? value.map((v) => getValidationSchema(v, rootSchema, refs))
+                    : getValidationSchema(value, rootSchema, refs)
+        } else if (
+            !['$ref', '$id', '$schema', 'definitions', '$defs'].includes(key)
+        ) {
+            ret[key] = value
+        }
+    }
+
+    if (ret.mongoType) {
+        delete ret.mongoType
+        return { anyOf: [ret, { type: 'object' }] }
+    }
+    return ret
+}
+
+function matchSchema(schema, data, rootSchema) {
+    if (!isSchema(schema)) return schema !== false
+
+    let byRoot = validators.get(schema)
+    if (!byRoot) {
+        byRoot = new WeakMap()
+        validators.set(schema, byRoot)
+    }
+    let validate = byRoot.get(rootSchema)
+    if (!validate) {
+        validate = ajv.compile(getValidationSchema(schema, rootSchema))
+        byRoot.set(rootSchema, validate)
+    }
+    return validate(data)
+}
+
+function mergeSchema(target, schema) {
+    if (!isSchema(schema)) return target
+    for (const key in schema) {
+        if (!Object.prototype.hasOwnProperty.call(schema, key)) continue
+
+        if (key === 'properties' || key === 'patternProperties') {
+            // The schemas of a property declared by several branches all apply.
+            target[key] = { ...target[key] }
+            for (const p in schema[key])
+                target[key][p] =
+                    target[key][p] === undefined
+                        ? schema[key][p]
+                        : { allOf: [target[key][p], schema[key][p]] }
+        } else if (target[key] === undefined) {
+            target[key] = schema[key]
+        }
+    }
+    return target
+}
+
+/**
+ * This function returns the schema applying to a value: the references are resolved, and the branches of allOf, and those of
+ * anyOf, oneOf, if/then/else and dependencies that match the value, are merged into a single schema.
+ * @param {object} schema The schema of the value.
+ * @param {any} data The value, in JSON or in db format. If undefined, only the branches of allOf are merged.
+ * @param {object} rootSchema The schema the references are relative to.
+ * @returns {object} This function returns the merged schema, or the **schema** parameter if it has no composition keyword.
+ */
+function getEffectiveSchema(schema, data, rootSchema) {
+    schema = resolveRef(schema, rootSchema)
+    if (!isSchema(schema) || !compositionKeywords.some((k) => k in schema))
+        return schema
+
+    let ret = {}
+    for (const key in schema)
+        if (
+            Object.prototype.hasOwnProperty.call(schema, key) &&
+            !compositionKeywords.includes(key)
+        )
+            ret[key] = schema[key]
+
+    let branches = [].concat(schema.allOf || [])
+    if (data !== undefined) {
+        if (schema.anyOf)
+            branches.push(
+                ...schema.anyOf.filter((s) => matchSchema(s, data, rootSchema))
+            )
+        if (schema.oneOf) {
+            const branch = schema.oneOf.find((s) =>
+                matchSchema(s, data, rootSchema)
+            )
+            if (branch) branches.push(branch)
+        }
+        if (schema.if !== undefined) {
+            const branch = matchSchema(schema.if, data, rootSchema)
+                ? schema.then
+                : schema.else
+            if (branch) branches.push(schema.if, branch)
+        }
+        if (schema.dependencies && isSchema(data))
+            for (const key in schema.dependencies)
+                if (key in data && !(schema.dependencies[key] instanceof Array))
+                    branches.push(schema.dependencies[key])
+    }
+
+    for (const branch of branches)
+        mergeSchema(ret, getEffectiveSchema(branch, data, rootSchema))
+    return ret
+}
+
+/**
+ * This function returns the schema of a property of an object: the schema declared in **properties**, or else the one of
+ * the first matching pattern of **patternProperties**, or else **additionalProperties** if it is a schema.
+ * @param {object} schema The schema of the object, without composition keywords (see the getEffectiveSchema() function).
+ * @param {string} key The name of the property.
+ * @returns {object} This function returns the schema of the property, or null if it is not defined.
+ */
+function getPropertySchema(schema, key) {
+    if (!isSchema(schema)) return null
+    if (schema.properties && schema.properties[key] !== undefined)
+        return schema.properties[key]
+    if (schema.patternProperties)
+        for (const pattern in schema.patternProperties)
+            if (new RegExp(pattern).test(key))
+                return schema.patternProperties[pattern]
+    return isSchema(schema.additionalProperties)
+        ? schema.additionalProperties
+        : null
+}
+
+/**
+ * This function returns the schema of an element of an array.
+ * @param {object} schema The schema of the array.
+ * @param {number} [index] The index of the element. If not set, the schema shared by all the elements is returned.
+ * @returns {object} This function returns the schema of the element, or null if it is not defined.
+ */
+function getItemSchema(schema, index) {
+    if (!schema || !schema.items) return null
+    if (schema.items.constructor.name === 'Array') {
+        if (Number.isInteger(index) && index < schema.items.length)
+            return schema.items[index]
+        return schema.additionalItems &&
+            schema.additionalItems.constructor.name === 'Object'
+            ? schema.additionalItems
+            : null
+    }
+    return schema.items
+}
+
+/**
+ * This function returns the schema of the element located at the specified path.
+ * @param {object} schema The schema of the document.
+ * @param {string} path A dotted path like 'address.zip'. Array indexes, positional operators ('$', '$[]' and '$[<identifier>]')
+ * and implicit traversal of arrays ('items.id') are supported, as well as the branches of allOf, patternProperties and additionalProperties.
+ * @param {object} [rootSchema=schema] The schema the references are relative to.
+ * @returns {object} This function returns the schema of the element, or null if it is not defined.
+ */
+function getSubSchema(schema, path, rootSchema = schema) {
+    const parts = path.split('.')
+    for (let i = 0; i < parts.length && schema; i++) {
+        const p = parts[i]
+        schema = getEffectiveSchema(schema, undefined, rootSchema)
+        if (!isSchema(schema)) return null
+
+        if (schema.properties && schema.properties[p]) {
+            schema = schema.properties[p]
+        } else if (schema.items) {
+            if (/^\d+$/.test(p)) {
+                schema = getItemSchema(schema, parseInt(p))
+            } else if (p === '$' || p.startsWith('$[')) {
+                // Positional operators: '$', '$[]' and '$[<identifier>]'
+                schema = getItemSchema(schema)
+            } else {
+                // Implicit traversal of the elements of an array
+                schema = getEffectiveSchema(
+                    getItemSchema(schema),
+                    undefined,
+                    rootSchema
+                )
+                schema = getPropertySchema(schema, p)
+            }
+        } else {
+            schema = getPropertySchema(schema, p)
+        }
+    }
+    return resolveRef(schema, rootSchema)
+}
+
+module.exports = {
+    resolveRef,
+    getEffectiveSchema,
+    getPropertySchema,
+    getItemSchema,
+    getSubSchema
+}
@@ -9,33 +9,153 @@ const {
     Int32,
     Long,
     Decimal128,
-    Binary
+    Binary,
+    Timestamp,
+    Double,
+    MinKey,
+    MaxKey
     // ISODate,
 } = require('mongodb')
 
+const { ConversionError, ConfigurationError } = require('./errors')
+const { geometryTypes, checkGeometry } = require('./geojson')
+
 ////////////////////////////////////////////////////////////////////////////////
 // Variables of this module
 ////////////////////////////////////////////////////////////////////////////////
 
-let toDbFunctions = {}
-let fromDbFunctions = {}
+// A registry contains the definitions of its types, by name, and its parent registry, searched for the types it does not define.
+// The global registry contains the built-in types, the registries of the connections extend it, and the registries
+// of the collections (see the "types" parameter of the collections) extend the registry of their connection.
+const globalTypes = { parent: null, types: {} }
+
+// Registries of the connections, by name of connection.
+let connectionTypes = {}
 
 ////////////////////////////////////////////////////////////////////////////////
 // Functions of this module
 ////////////////////////////////////////////////////////////////////////////////
 
+function defineType(registry, type, definition, override) {
+    if (
+        typeof definition.toDb !== 'function' ||
+        typeof definition.fromDb !== 'function'
+    )
+        throw new ConfigurationError({
+            error: `The type "${type}" must have a toDb and a fromDb function.`,
+            type
+        })
+    if (!override && Object.prototype.hasOwnProperty.call(registry.types, type))
+        throw new ConfigurationError({
+            error: `The type "${type}" is already defined. Set the override option to replace it.`,
+            type
+        })
+    registry.types[type] = definition
+}
+
 // Exported functions
 
 /**
- * This function adds a mongodb type.
+ * This function returns the type registry of a connection, created on the first call. It extends the global registry.
+ * @param {string} [connection='default'] The name of the connection.
+ * @returns {object} This function returns the registry.
+ */
+function getTypeRegistry(connection = 'default') {
+    if (!connectionTypes[connection])
+        connectionTypes[connection] = { parent: globalTypes, types: {} }
+    return connectionTypes[connection]
+}
+
+/**
+ * This function creates a type registry.
+ * @param {object} [types={}] The definitions of the types, by name. Each definition contains the **toDb** and **fromDb** functions and
+ * the optional **check**, **schema**, **bsonType** and **format** settings (see the addType() function).
+ * @param {object} [parent] The registry searched for the types not defined in this one. By default, the global registry.
+ * @returns {object} This function returns the registry.
+ * @throws {ConfigurationError}
+ */
+function createTypeRegistry(types = {}, parent = globalTypes) {
+    let registry = { parent, types: {} }
+    for (const type in types) defineType(registry, type, { ...types[type] })
+    return registry
+}
+
+/**
+ * This function adds a mongodb type to the global registry or, if the **connection** option is set, to the registry of a connection.
+ * The types of a connection override the global types with the same name, for the collections of this connection only.
  * @param {string} type The name of the type. This name must correspond with the mongoType defined in the collection schemas.
- * @param {function} toDb A function that converts a single element into a mongodb data value.
- * @param {function} fromDb A function that converts a mongodb data value into a number or string.
+ * @param {function} toDb A function that converts a single element into a mongodb data value. It receives the value, the encoding, the schema of the value
+ * and the type registry used (see the checkValue() function).
+ * @param {function} fromDb A function that converts a mongodb data value into a number or string. It receives the same parameters.
+ * @param {object} [options] Optional settings.
+ * @param {function} [options.check] A function that checks a value in JSON format. It receives the value and its schema, and returns an error
+ * message, or undefined if the value is valid. It is run by the validators through the **mongoType** keyword.
+ * @param {object} [options.schema] A JSON schema fragment that the values in JSON format must also match, like { type: 'string', maxLength: 20 }.
+ * @param {string} [options.bsonType] The BSON type of the stored values, used by the schema sent to the server (see the **serverValidation** property of the collections).
+ * @param {string} [options.format] The JSON type ('string' or 'number') of the values checked by the Ajv format named after the type. It requires the **check** function.
+ * @param {string} [options.formatName] The name of the Ajv format, if it can not be the name of the type (because Ajv defines a format with this name).
+ * @param {string} [options.connection] The name of the connection whose registry receives the type.
+ * @param {boolean} [options.override=false] Set to true to replace a type already defined in the same registry.
  * @returns {void}
+ * @throws {ConfigurationError} This function throws an exception if the type is already defined and the **override** option is not set.
  */
-function addType(type, toDb, fromDb) {
-    toDbFunctions[type] = toDb
-    fromDbFunctions[type] = fromDb
+function addType(type, toDb, fromDb, options = {}) {
+    const { connection, override, ...settings } = options
+    const registry =
+        connection === undefined ? globalTypes : getTypeRegistry(connection)
+    defineType(registry, type, { ...settings, toDb, fromDb }, override)
+}
+
+/**
+ * This function returns the definition of a type, searched in a registry and its parents.
+ * @param {string} type The name of the type.
+ * @param {object} [registry] The registry. By default, the global registry.
+ * @returns {object} This function returns the definition (see the addType() function), or undefined if the type does not exist.
+ */
+function getTypeDefinition(type, registry = globalTypes) {
+    for (let r = registry; r; r = r.parent)
+        if (Object.prototype.hasOwnProperty.call(r.types, type))
+            return r.types[type]
+}
+
+/**
+ * This function checks a value in JSON format with the check function of its type (see the addType() function).
+ * @param {any} value The value.
+ * @param {string} type The name of the type.
+ * @param {object} [schema={}] The schema of the value.
+ * @param {object} [registry] The registry of the type. By default, the global registry.
+ * @returns {string} This function returns an error message, or undefined if the value is valid or its type has no check function.
+ */
+function checkValue(value, type, schema = {}, registry = globalTypes) {
+    const definition = getTypeDefinition(type, registry)
+    if (definition && typeof definition.check === 'function')
+        return definition.check(value, schema)
+}
+
+/**
+ * This function returns the Ajv formats of the types, named after them (or their **formatName** setting). They check the strings ('uuid', 'bigint' ...)
+ * or the numbers ('double') in JSON format, like the **mongoType** keyword, so a schema can validate the values of these types without declaring their mongoType.
+ * @param {object} [registry] The registry of the types. By default, the global registry.
+ * @returns {object} This function returns an object whose keys are the names of the formats and values their definition (see ajv.addFormat()).
+ */
+function getFormats(registry = globalTypes) {
+    let registries = []
+    for (let r = registry; r; r = r.parent) registries.unshift(r)
+
+    // The types of a registry override the ones of its parents.
+    let definitions = {}
+    for (const r of registries) Object.assign(definitions, r.types)
+
+    let ret = {}
+    for (const type in definitions) {
+        const { format, formatName, check } = definitions[type]
+        if (format && typeof check === 'function')
+            ret[formatName || type] = {
+                type: format,
+                validate: (value) => !check(value, {})
+            }
+    }
+    return ret
 }
 
 /**
@@ -43,11 +163,19 @@ function addType(type, toDb, fromDb) {
  * @param {(string|number)} value
  * @param {string} type The name of the type.
  * @param {string} encoding This parameter is by now only used by the 'binary' data type and can have one of the values allowed by the Buffer.from(...,encoding) parameter ('hex', 'latin1' ...).
+ * @param {object} [schema] The schema of the value, used by the types having settings (like the **precision** and **scale** of the 'decimal' type).
+ * @param {object} [registry] The registry of the type. By default, the global registry.
  * @returns {object} This function returns an object that mongodb recognizes (ObjectId, Long ...).
  */
-function valueToDbFormat(value, type, encoding) {
-    if (typeof toDbFunctions[type] === 'function')
-        return toDbFunctions[type](value, encoding)
+function valueToDbFormat(
+    value,
+    type,
+    encoding,
+    schema,
+    registry = globalTypes
+) {
+    const definition = getTypeDefinition(type, registry)
+    if (definition) return definition.toDb(value, encoding, schema, registry)
     return value
 }
 
@@ -56,14 +184,138 @@ function valueToDbFormat(value, type, encoding) {
  * @param {Object} value A specific mongodb object (ObjectId, Long ...) that will be converted into a string or number.
  * @param {string} type The name of the type.
  * @param {string} encoding This parameter is not used.
- * @returns {(string|number)} This function returns a string or a number.
+ * @param {object} [schema] The schema of the value. The **output** keyword ('number', 'string', 'bigint' or 'hex') sets the format
+ * of the 'int64' and 'int128' values. Without it, the 'int64' values are returned as numbers when they are safe integers and
+ * as strings otherwise (5 but "9007199254740993"), and the 'int128' values as the hexadecimal string of their bytes.
+ * @param {object} [registry] The registry of the type. By default, the global registry.
+ * @returns {(string|number|bigint)} This function returns a string, a number or, with the 'bigint' output, a BigInt.
  */
-function dbFormatToValue(value, type, encoding) {
-    if (typeof fromDbFunctions[type] === 'function')
-        return fromDbFunctions[type](value, encoding)
+function dbFormatToValue(
+    value,
+    type,
+    encoding,
+    schema,
+    registry = globalTypes
+) {
+    const definition = getTypeDefinition(type, registry)
+    if (definition) return definition.fromDb(value, encoding, schema)
     return value
 }
 
+/**
+ * This function checks a decimal number against the **precision** (maximum number of digits) and the **scale** (maximum number of digits
+ * after the decimal point) of its schema. As in SQL, the integer part can have at most **precision** - **scale** digits.
+ * @param {(string|number)} value A decimal number, like "1234.56" or 1234.56.
+ * @param {number} [precision] The maximum number of digits.
+ * @param {number} [scale] The maximum number of digits after the decimal point.
+ * @returns {string} This function returns an error message, or undefined if the value is valid.
+ */
+function checkDecimal(value, precision, scale) {
+    const match =
+        typeof value === 'string' || typeof value === 'number'
+            ? /^[+-]?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(`${value}`)
+            : null
+    if (!match || !(match[1] || match[2]))
+        return `"${value}" is not a decimal number.`
+
+    const fraction = match[2] || ''
+    const shift = fraction.length - parseInt(match[3] || '0')
+    const digits = `${match[1]}${fraction}`.replace(/^0+/, '')
+    const valueScale = Math.max(0, shift)
+    const integerDigits = Math.max(0, digits.length - shift)
+
+    if (scale !== undefined && valueScale > scale)
+        return `"${value}" has more than ${scale} digits after the decimal point.`
+    if (
+        precision !== undefined &&
+        integerDigits + (scale === undefined ? valueScale : scale) > precision
+    )
+        return `"${value}" has more than ${precision} digits.`
+}
+
+function checkType(type, value, schema, registry) {
+    const error = checkValue(value, type, schema, registry)
+    if (error) throw new ConversionError({ error, value, mongoType: type })
+}
+
+const uuidPattern =
+    /^(?:urn:uuid:)?[0-9a-f]{8}-(?:[0-9a-f]{4}-){3}[0-9a-f]{12}$/i
+const regexPattern = /^\/([^]*)\/([a-z]*)$/
+
+function parseRegex(str) {
+    const match = regexPattern.exec(str)
+    return match ? new RegExp(match[1], match[2]) : new RegExp(str)
+}
+
+// Writes a Decimal128 number without exponent: Decimal128.toString() returns "1E+3" for the value stored from "1e3",
+// and "1.5E-7" for "0.00000015". The digits of the stored value are kept, so "1.50" is still returned as "1.50".
+function decimalToString(data) {
+    const str = data.toString()
+    const match = /^(-?)(\d+)(?:\.(\d+))?E([+-]\d+)$/.exec(str)
+    if (!match) return str
+
+    const [, sign, integer, fraction = '', exponent] = match
+    const digits = integer + fraction
+    const point = integer.length + parseInt(exponent)
+    if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`
+    if (point < digits.length)
+        return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`
+    // The zeros are stored with an exponent too, like "0E+3".
+    const zeros = '0'.repeat(point - digits.length)
+    return sign + `${digits}${zeros}`.replace(/^0+(?=\d)/, '')
+}
+
+// Reads the integer stored by the 'int128' type. The decimal strings are stored as Decimal128 numbers, and the other values
+// as the bytes of the integer, in little endian and two's complement on 128 bits.
+function readInt128(data) {
+    const decimal = data.toString()
+    if (/^-?\d+$/.test(decimal)) return BigInt(decimal)
+
+    let value = 0n
+    for (let i = data.bytes.length - 1; i >= 0; i--)
+        value = (value << 8n) | BigInt(data.bytes[i])
+    return BigInt.asIntN(128, value)
+}
+
+// Formats an integer read from the database, following the 'output' keyword of its schema. By default, the integers are
+// returned as numbers if they are safe (see Number.isSafeInteger()), and as strings otherwise, so no precision is lost:
+// the type of the value depends on its size, and the fields whose values can exceed Number.MAX_SAFE_INTEGER should set
+// the 'string' or 'bigint' output.
+function formatInteger(value, output, type) {
+    switch (output) {
+        case undefined:
+            return value >= Number.MIN_SAFE_INTEGER &&
+                value <= Number.MAX_SAFE_INTEGER
+                ? Number(value)
+                : value.toString()
+        case 'number':
+            if (
+                value < Number.MIN_SAFE_INTEGER ||
+                value > Number.MAX_SAFE_INTEGER
+            )
+                throw new ConversionError({
+                    error: `The value ${value} can not be returned as a number without loss of precision: it exceeds Number.MAX_SAFE_INTEGER.`,
+                    value,
+                    mongoType: type
+                })
+            return Number(value)
+        case 'string':
+            return value.toString()
+        case 'bigint':
+            return value
+        case 'hex':
+            return value < 0n
+                ? `-0x${(-value).toString(16)}`
+                : `0x${value.toString(16)}`
+        default:
+            throw new ConversionError({
+                error: `Incorrect output "${output}" for the '${type}' type. Valid values are 'number', 'string', 'bigint' and 'hex'.`,
+                value,
+                mongoType: type
+            })
+    }
+}
+
 // Conversion functions
 
 function numericStringToBuffer(str) {
@@ -77,7 +329,10 @@ function numericStringToBuffer(str) {
         radix = 2
         nb = 8
     } else {
-        throw `Invalid value ${str}. Only hexadecimal and decimal values are managed by this function`
+        throw new ConversionError({
+            error: `Invalid value ${str}. Only hexadecimal and decimal values are managed by this function`,
+            value: str
+        })
     }
 
     let buffer = Buffer.alloc((str.length + nb - 1) / nb)
@@ -95,14 +350,30 @@ function numericStringToBuffer(str) {
 
 addType(
     'objectId',
-    (data) => new ObjectId(data),
-    (data) => data.toString()
+    (data, encoding, schema, registry) => {
+        if (data && data._bsontype === 'ObjectID') return data
+        checkType('objectId', data, schema, registry)
+        return new ObjectId(data)
+    },
+    (data) => data.toString(),
+    {
+        // ObjectId.isValid() accepts any number, and any string of 12 characters.
+        check: (data) => {
+            const valid =
+                (data && data._bsontype === 'ObjectID') ||
+                (typeof data === 'string' && /^[0-9a-f]{24}$/i.test(data)) ||
+                (Buffer.isBuffer(data) && data.length === 12)
+            if (!valid) return `"${data}" is not a valid ObjectId.`
+        },
+        bsonType: 'objectId'
+    }
 )
 
 addType(
     'int32',
     (data) => new Int32(parseInt(data)),
-    (data) => data.value
+    (data) => data.value,
+    { bsonType: 'int' }
 )
 
 addType(
@@ -110,21 +381,26 @@ addType(
     (data) => {
         if (typeof data === 'string') {
             let i64 = data.toLocaleLowerCase()
+            const sign = i64.startsWith('-') ? '-' : ''
+            if (sign) i64 = i64.slice(1)
             if (i64.startsWith('0x')) {
-                return Long.fromString(i64.slice(2), 16)
-            } else if (data.startsWith('b')) {
-                return Long.fromString(i64.slice(1), 2)
+                return Long.fromString(sign + i64.slice(2), 16)
+            } else if (i64.startsWith('b')) {
+                return Long.fromString(sign + i64.slice(1), 2)
             } else {
-                return Long.fromString(i64, 10)
+                return Long.fromString(sign + i64, 10)
             }
+        } else if (typeof data === 'bigint') {
+            return Long.fromString(data.toString(), 10)
         } else {
             return Long.fromNumber(data)
         }
     },
-    (data) => {
-        // Warning: the output format should be taken into account here
-        return data.toInt()
-    }
+    // The driver returns the small values as numbers, and the others as Long objects. The 'output' keyword of the
+    // schema sets the format of the value: 'number', 'string', 'bigint' or 'hex' (see formatInteger()).
+    (data, encoding, schema = {}) =>
+        formatInteger(BigInt(data.toString()), schema.output, 'int64'),
+    { bsonType: 'long' }
 )
 
 addType(
@@ -139,16 +415,28 @@ addType(
                 return Decimal128.fromString(i128)
             }
         } else if (typeof data === 'number') {
+            // Two's complement on 128 bits: the high bytes of the negative numbers are 0xff.
+            const value = BigInt(data)
             let buf = Buffer.alloc(16)
-            buf.writeBigInt64LE(BigInt(data))
+            buf.writeBigUInt64LE(BigInt.asUintN(64, value))
+            buf.writeBigInt64LE(value < 0n ? -1n : 0n, 8)
             return new Decimal128(buf)
         } else if (data.constructor.name === 'Buffer') {
             return new Decimal128(data)
         } else {
-            throw 'Unable to convert to 128bit'
+            throw new ConversionError({
+                error: 'Unable to convert to 128bit',
+                value: data,
+                mongoType: 'int128'
+            })
         }
     },
-    (data) => {
+    // The value is returned as the hexadecimal string of the stored bytes, unless the 'output' keyword of the schema
+    // is set to 'number', 'string', 'bigint' or 'hex' (signed, like the 'int64' type: see formatInteger()).
+    (data, encoding, schema = {}) => {
+        if (schema.output !== undefined)
+            return formatInteger(readInt128(data), schema.output, 'int128')
+
         // Returs a string of type "0xffa9d01"
         let i = data.bytes.length - 1
 
@@ -162,23 +450,259 @@ addType(
             i--
         }
         return str
+    },
+    { bsonType: 'decimal' }
+)
+
+addType(
+    'decimal',
+    (data, encoding, schema, registry) => {
+        if (data && data._bsontype === 'Decimal128') return data
+        checkType('decimal', data, schema, registry)
+        return Decimal128.fromString(`${data}`)
+    },
+    // The decimal numbers are returned as strings, like "1234.56", to avoid any loss of precision. The numbers are
+    // written without exponent (see decimalToString()), so 1e3 is returned as "1000".
+    (data) => decimalToString(data),
+    {
+        check: (data, schema) =>
+            checkDecimal(data, schema.precision, schema.scale),
+        bsonType: 'decimal',
+        format: 'string'
     }
 )
 
 addType(
     'binary',
     (data, encoding) => new Binary(Buffer.from(data, encoding)),
-    (data, encoding) => data.buffer.toString(encoding)
+    (data, encoding) => data.buffer.toString(encoding),
+    { bsonType: 'binData' }
 )
 
 addType(
     'date',
-    (data) => (data ? new Date(data) : new Date()),
-    (data) => data
+    (data, encoding, schema, registry) => {
+        if (!data && data !== 0) return new Date()
+        checkType('date', data, schema, registry)
+        return new Date(data)
+    },
+    // The 'output' keyword of the schema sets the format of the dates: 'date' (Date object, default), 'string' (ISO 8601) or 'number' (epoch in ms).
+    (data, encoding, schema = {}) => {
+        if (!(data instanceof Date)) return data
+        switch (schema.output) {
+            case undefined:
+            case 'date':
+                return data
+            case 'string':
+                return data.toISOString()
+            case 'number':
+                return data.getTime()
+            default:
+                throw new ConversionError({
+                    error: `Incorrect output "${schema.output}" for the 'date' type. Valid values are 'date', 'string' and 'number'.`,
+                    value: data,
+                    mongoType: 'date'
+                })
+        }
+    },
+    {
+        check: (data) => {
+            const valid =
+                data instanceof Date
+                    ? !isNaN(data.getTime())
+                    : (typeof data === 'string' && !isNaN(Date.parse(data))) ||
+                      (typeof data === 'number' && Number.isFinite(data))
+            if (!valid) return `"${data}" is not a valid date.`
+        },
+        bsonType: 'date',
+        // Ajv already defines the 'date' format (full-date of RFC 3339).
+        format: 'string',
+        formatName: 'mongoDate'
+    }
+)
+
+addType(
+    'uuid',
+    (data, encoding, schema, registry) => {
+        if (data && data._bsontype === 'Binary') return data
+        checkType('uuid', data, schema, registry)
+        const hex = data.replace(/^urn:uuid:/i, '').replace(/-/g, '')
+        return new Binary(Buffer.from(hex, 'hex'), Binary.SUBTYPE_UUID)
+    },
+    // Returns the canonical form of the UUID: "xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx"
+    (data) => {
+        const hex = data.value(true).toString('hex')
+        return [
+            hex.slice(0, 8),
+            hex.slice(8, 12),
+            hex.slice(12, 16),
+            hex.slice(16, 20),
+            hex.slice(20)
+        ].join('-')
+    },
+    {
+        check: (data) => {
+            if (typeof data !== 'string' || !uuidPattern.test(data))
+                return `"${data}" is not a valid UUID.`
+        },
+        bsonType: 'binData',
+        format: 'string'
+    }
+)
+
+addType(
+    'bigint',
+    (data, encoding, schema, registry) => {
+        if (data && data._bsontype === 'Long') return data
+        checkType('bigint', data, schema, registry)
+        return Long.fromString(`${data}`, 10)
+    },
+    // The driver returns the small values as numbers, and the others as Long objects.
+    (data) => BigInt(data.toString()),
+    {
+        check: (data) => {
+            const valid =
+                typeof data === 'bigint' ||
+                (typeof data === 'string' && /^[+-]?\d+$/.test(data)) ||
+                Number.isSafeInteger(data)
+            if (!valid) return `"${data}" is not an integer.`
+            const value = BigInt(data)
+            if (value < -(2n ** 63n) || value >= 2n ** 63n)
+                return `"${data}" is out of the range of 64 bit integers.`
+        },
+        bsonType: 'long',
+        format: 'string'
+    }
+)
+
+addType(
+    'timestamp',
+    (data, encoding, schema, registry) => {
+        if (data && data._bsontype === 'Timestamp') return data
+        checkType('timestamp', data, schema, registry)
+        return new Timestamp(data.i, data.t)
+    },
+    // Returns an object containing the time in seconds (t) and the increment (i).
+    (data) => ({ t: data.getHighBits() >>> 0, i: data.getLowBits() >>> 0 }),
+    {
+        check: (data) => {
+            const isUint32 = (v) =>
+                Number.isInteger(v) && v >= 0 && v <= 0xffffffff
+            if (!data || !isUint32(data.t) || !isUint32(data.i))
+                return 'A timestamp must be an object containing the "t" and "i" unsigned 32 bit integers.'
+        },
+        bsonType: 'timestamp'
+    }
+)
+
+addType(
+    'double',
+    (data, encoding, schema, registry) => {
+        if (data && data._bsontype === 'Double') return data
+        checkType('double', data, schema, registry)
+        return new Double(Number(data))
+    },
+    // The driver returns the doubles as numbers, unless its promoteValues option is false.
+    (data) => (typeof data === 'number' ? data : data.valueOf()),
+    {
+        check: (data) => {
+            const valid =
+                (typeof data === 'number' && !isNaN(data)) ||
+                (typeof data === 'string' &&
+                    data.trim() !== '' &&
+                    !isNaN(Number(data)))
+            if (!valid) return `"${data}" is not a number.`
+        },
+        bsonType: 'double',
+        format: 'number'
+    }
+)
+
+addType(
+    'regex',
+    (data, encoding, schema, registry) => {
+        if (data instanceof RegExp || (data && data._bsontype)) return data
+        checkType('regex', data, schema, registry)
+        return parseRegex(data)
+    },
+    // Returns a string like "/^abc/i"
+    (data) =>
+        data instanceof RegExp ? `${data}` : `/${data.pattern}/${data.options}`,
+    {
+        check: (data) => {
+            if (data instanceof RegExp) return
+            try {
+                if (typeof data === 'string') return void parseRegex(data)
+            } catch (e) {
+                // The error is returned below.
+            }
+            return `"${data}" is not a valid regular expression.`
+        },
+        bsonType: 'regex',
+        format: 'string'
+    }
 )
 
+addType(
+    'minKey',
+    (data, encoding, schema, registry) => {
+        if (data && data._bsontype === 'MinKey') return data
+        checkType('minKey', data, schema, registry)
+        return new MinKey()
+    },
+    () => 'minKey',
+    {
+        check: (data) => {
+            if (data !== 'minKey')
+                return 'The value of a minKey must be "minKey".'
+        },
+        bsonType: 'minKey',
+        format: 'string'
+    }
+)
+
+addType(
+    'maxKey',
+    (data, encoding, schema, registry) => {
+        if (data && data._bsontype === 'MaxKey') return data
+        checkType('maxKey', data, schema, registry)
+        return new MaxKey()
+    },
+    () => 'maxKey',
+    {
+        check: (data) => {
+            if (data !== 'maxKey')
+                return 'The value of a maxKey must be "maxKey".'
+        },
+        bsonType: 'maxKey',
+        format: 'string'
+    }
+)
+
+// GeoJSON geometries ('Point', 'LineString', 'Polygon' and 'MultiPolygon'), stored as is.
+for (const type of geometryTypes)
+    addType(
+        type,
+        (data, encoding, schema, registry) => {
+            checkType(type, data, schema, registry)
+            return data
+        },
+        (data) => data,
+        { check: (data) => checkGeometry(data, type), bsonType: 'object' }
+    )
+
 ////////////////////////////////////////////////////////////////////////////////
 // Exporting data
 ////////////////////////////////////////////////////////////////////////////////
 
-module.exports = { addType, valueToDbFormat, dbFormatToValue }
+module.exports = {
+    addType,
+    getTypeRegistry,
+    createTypeRegistry,
+    getTypeDefinition,
+    valueToDbFormat,
+    dbFormatToValue,
+    checkValue,
+    getFormats,
+    checkDecimal
+}
@@ -0,0 +1,140 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+
+const { FakeDb, fakeMongoClient } = require('./helpers')
+fakeMongoClient()
+
+const {
+    Collection,
+    ConnectionError,
+    connect,
+    disconnect,
+    getClient,
+    getConnectionStatus
+} = require('../mongodet')
+
+function nextTick() {
+    return new Promise((resolve) => setTimeout(resolve, 10))
+}
+
+describe('connections', () => {
+    it('closes the client of a connection connected again', async () => {
+        await connect('mongodb://localhost', {}, { name: 'connection1' })
+        const first = getClient('connection1')
+
+        await connect('mongodb://localhost', {}, { name: 'connection1' })
+        assert.ok(first.closed)
+        assert.notStrictEqual(getClient('connection1'), first)
+        assert.strictEqual(getConnectionStatus('connection1'), 'connected')
+
+        await disconnect('connection1')
+    })
+
+    it('initializes a collection again when its first initialization failed', async () => {
+        const collection = new Collection('connection2', {
+            connection: 'connection2',
+            indexes: { name: { name: 1 } }
+        })
+        let errors = []
+        collection.eventEmitter.on('collection-error', (e) => errors.push(e))
+
+        const collections = FakeDb.prototype.collections
+        FakeDb.prototype.collections = async () => {
+            throw new Error('Initialization failed')
+        }
+        try {
+            await connect('mongodb://localhost', {}, { name: 'connection2' })
+            await nextTick()
+        } finally {
+            FakeDb.prototype.collections = collections
+        }
+
+        assert.deepStrictEqual(
+            errors.map((e) => e.message),
+            ['Initialization failed']
+        )
+        assert.ok(!collection.collectionBound)
+
+        await disconnect('connection2')
+        await connect('mongodb://localhost', {}, { name: 'connection2' })
+        await nextTick()
+
+        assert.ok(collection.collectionBound)
+        const indexes = await collection.collection.indexes()
+        assert.deepStrictEqual(
+            indexes.map((i) => i.name),
+            ['_id_', 'name']
+        )
+    })
+
+    it('initializes a collection only once', async () => {
+        const collection = new Collection('connection3', {
+            connection: 'connection3',
+            indexes: { name: { name: 1 } }
+        })
+        await connect('mongodb://localhost', {}, { name: 'connection3' })
+        await nextTick()
+        const fake = collection.collection
+        assert.strictEqual(fake.calls.length, 1)
+
+        await connect('mongodb://localhost', {}, { name: 'connection3' })
+        await nextTick()
+        assert.ok(collection.collectionBound)
+        assert.strictEqual(collection.collection.calls.length, 0)
+    })
+    it('registers the collections by connection and name', async () => {
+        const users = new Collection('users', { connection: 'connection4' })
+        const otherUsers = new Collection('users', {
+            connection: 'connection5'
+        })
+        const posts = new Collection('posts', {
+            connection: 'connection5',
+            schema: {
+                type: 'object',
+                properties: { author: { type: 'integer', ref: 'users' } }
+            }
+        })
+        assert.notStrictEqual(otherUsers, users)
+        assert.strictEqual(
+            new Collection('users', { connection: 'connection4' }),
+            users
+        )
+        assert.strictEqual(
+            Collection.getCollections('connection4').users,
+            users
+        )
+        assert.deepStrictEqual(Collection.getCollections('connection5'), {
+            users: otherUsers,
+            posts
+        })
+
+        await connect('mongodb://localhost', {}, { name: 'connection4' })
+        await connect('mongodb://localhost', {}, { name: 'connection5' })
+        await nextTick()
+        await users.insertOne({ _id: 1, name: 'a' })
+        await otherUsers.insertOne({ _id: 1, name: 'b' })
+
+        assert.deepStrictEqual(await posts.populate({ author: 1 }, 'author'), {
+            author: { _id: 1, name: 'b' }
+        })
+
+        await disconnect('connection4')
+        await disconnect('connection5')
+    })
+    it('rejects the operations of a collection not bound yet', async () => {
+        const collection = new Collection('connection6', {
+            connection: 'connection6'
+        })
+
+        await assert.rejects(collection.findMany({}), ConnectionError)
+        await assert.rejects(collection.insertOne({ a: 1 }), ConnectionError)
+        const error = await new Promise((resolve) =>
+            collection.countDocuments({}, resolve)
+        )
+        assert.ok(error instanceof ConnectionError)
+        // The cursors are returned synchronously.
+        assert.throws(() => collection.find({}), ConnectionError)
+    })
+})
@@ -0,0 +1,332 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const { ObjectId, Long, Decimal128 } = require('mongodb')
+
+const { ConversionError, ValidationError } = require('../mongodet')
+const {
+    prepareDocument,
+    documentToDbFormat,
+    dbFormatToDocument
+} = require('../mongodet/conversion')
+const { createCollection } = require('./helpers')
+
+const id = new ObjectId()
+
+// Converts a document to db format and back, checking the db values.
+function roundTrip(doc, schema, check) {
+    const converted = documentToDbFormat(doc, schema)
+    check(converted)
+    assert.deepStrictEqual(dbFormatToDocument(converted, schema), doc)
+}
+
+describe('schema branches', () => {
+    it('convert the values with the matching branch of oneOf', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                payment: {
+                    oneOf: [
+                        {
+                            type: 'object',
+                            required: ['kind'],
+                            properties: {
+                                kind: { const: 'transfer' },
+                                ref: { mongoType: 'objectId' }
+                            }
+                        },
+                        {
+                            type: 'object',
+                            required: ['kind'],
+                            properties: {
+                                kind: { const: 'check' },
+                                ref: { mongoType: 'int64' }
+                            }
+                        }
+                    ]
+                }
+            }
+        }
+
+        roundTrip(
+            { payment: { kind: 'transfer', ref: id.toString() } },
+            schema,
+            (d) => assert.ok(d.payment.ref instanceof ObjectId)
+        )
+        roundTrip({ payment: { kind: 'check', ref: 5 } }, schema, (d) =>
+            assert.ok(d.payment.ref instanceof Long)
+        )
+        // No branch matches: the value is kept.
+        roundTrip({ payment: { kind: 'cash', ref: '5' } }, schema, (d) =>
+            assert.strictEqual(d.payment.ref, '5')
+        )
+    })
+
+    it('convert the values with all the matching branches of anyOf', () => {
+        const schema = {
+            type: 'object',
+            anyOf: [
+                { properties: { owner: { mongoType: 'objectId' } } },
+                {
+                    required: ['count'],
+                    properties: { count: { mongoType: 'int64' } }
+                },
+                {
+                    required: ['total'],
+                    properties: { count: { mongoType: 'decimal' } }
+                }
+            ]
+        }
+
+        roundTrip({ owner: id.toString(), count: 3 }, schema, (d) => {
+            assert.ok(d.owner instanceof ObjectId)
+            assert.ok(d.count instanceof Long)
+        })
+    })
+
+    it('convert the values of patternProperties and additionalProperties', () => {
+        const schema = {
+            type: 'object',
+            properties: { name: { type: 'string' } },
+            patternProperties: { '^id_': { mongoType: 'objectId' } },
+            additionalProperties: { mongoType: 'int64' }
+        }
+
+        roundTrip(
+            { name: 'a', id_owner: id.toString(), count: 2 },
+            schema,
+            (d) => {
+                assert.strictEqual(d.name, 'a')
+                assert.ok(d.id_owner instanceof ObjectId)
+                assert.ok(d.count instanceof Long)
+            }
+        )
+    })
+
+    it('convert the values with the then or else branch', () => {
+        const schema = {
+            type: 'object',
+            properties: { kind: { type: 'string' } },
+            if: { properties: { kind: { const: 'count' } } },
+            then: { properties: { value: { mongoType: 'int64' } } },
+            else: { properties: { value: { mongoType: 'decimal' } } }
+        }
+
+        roundTrip({ kind: 'count', value: 5 }, schema, (d) =>
+            assert.ok(d.value instanceof Long)
+        )
+        roundTrip({ kind: 'price', value: '1.5' }, schema, (d) =>
+            assert.ok(d.value instanceof Decimal128)
+        )
+    })
+
+    it('convert the values of the schema dependencies of the present properties', () => {
+        const schema = {
+            type: 'object',
+            properties: { currency: { type: 'string' } },
+            dependencies: {
+                currency: { properties: { amount: { mongoType: 'decimal' } } },
+                // The property dependencies do not change the conversion.
+                discount: ['amount']
+            }
+        }
+
+        roundTrip({ currency: 'EUR', amount: '1.5' }, schema, (d) =>
+            assert.ok(d.amount instanceof Decimal128)
+        )
+        roundTrip({ amount: '1.5', discount: 1 }, schema, (d) =>
+            assert.strictEqual(d.amount, '1.5')
+        )
+    })
+
+    it('resolve the references to the $id of a subschema', () => {
+        const schema = {
+            type: 'object',
+            definitions: {
+                money: { $id: 'money.json', mongoType: 'decimal' },
+                owner: { $id: '#owner', mongoType: 'objectId' },
+                address: {
+                    $id: 'http://example.com/schemas/address.json',
+                    type: 'object',
+                    properties: { cityId: { mongoType: 'objectId' } }
+                }
+            },
+            properties: {
+                price: { $ref: 'money.json' },
+                owner: { $ref: '#owner' },
+                address: { $ref: 'address.json' },
+                cityId: { $ref: 'address.json#/properties/cityId' }
+            }
+        }
+
+        roundTrip(
+            {
+                price: '2.5',
+                owner: id.toString(),
+                address: { cityId: id.toString() },
+                cityId: id.toString()
+            },
+            schema,
+            (d) => {
+                assert.ok(d.price instanceof Decimal128)
+                assert.ok(d.owner instanceof ObjectId)
+                assert.ok(d.address.cityId instanceof ObjectId)
+                assert.ok(d.cityId instanceof ObjectId)
+            }
+        )
+    })
+})
+
+describe('prepared documents', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            count: { type: 'integer' },
+            ratio: { type: 'number' },
+            name: { type: 'string' },
+            active: { type: 'boolean', default: true },
+            rank: { type: ['integer', 'null'] },
+            tags: { type: 'array', items: { type: 'integer' }, default: [] },
+            address: {
+                type: 'object',
+                properties: { zip: { type: 'string' } },
+                default: { zip: '00000' }
+            }
+        }
+    }
+
+    it('coerce the values to the type of their schema', () => {
+        assert.deepStrictEqual(
+            prepareDocument(
+                {
+                    count: '42',
+                    ratio: '1.5',
+                    name: 42,
+                    active: 'false',
+                    rank: null,
+                    tags: ['1', true],
+                    address: { zip: 75001 }
+                },
+                schema,
+                { coerceTypes: true }
+            ),
+            {
+                count: 42,
+                ratio: 1.5,
+                name: '42',
+                active: false,
+                rank: null,
+                tags: [1, 1],
+                address: { zip: '75001' }
+            }
+        )
+    })
+
+    it('keep the values that can not be coerced', () => {
+        const doc = {
+            // Not a safe integer: kept as a string to avoid any loss of precision.
+            count: '9007199254740993',
+            ratio: 'abc',
+            name: null,
+            active: 'yes',
+            tags: [' ']
+        }
+        assert.deepStrictEqual(
+            prepareDocument(doc, schema, { coerceTypes: true }),
+            doc
+        )
+        assert.deepStrictEqual(prepareDocument({ count: '1' }, schema), {
+            count: '1'
+        })
+    })
+
+    it('set the default values to the missing properties', () => {
+        const doc = prepareDocument(
+            { active: false, tags: undefined },
+            schema,
+            {
+                defaults: true
+            }
+        )
+        assert.deepStrictEqual(doc, {
+            active: false,
+            tags: [],
+            address: { zip: '00000' }
+        })
+        // The defaults are copied.
+        doc.address.zip = '1'
+        assert.deepStrictEqual(schema.properties.address.default, {
+            zip: '00000'
+        })
+    })
+
+    it('are coerced with coerceTypes and get the defaults on insert only', async () => {
+        const { collection, fake } = createCollection(
+            'conversion1',
+            { schema, coerceTypes: true },
+            [{ _id: 2, count: 1 }]
+        )
+
+        await collection.insertOne({ _id: 1, count: '3' })
+        assert.deepStrictEqual(fake.docs[1], {
+            _id: 1,
+            count: 3,
+            active: true,
+            tags: [],
+            address: { zip: '00000' }
+        })
+
+        await collection.replaceOne({ _id: 2 }, { count: '4' })
+        assert.deepStrictEqual(fake.docs[0], { _id: 2, count: 4 })
+        await assert.rejects(
+            collection.insertOne({ _id: 3, count: 'x' }),
+            ValidationError
+        )
+    })
+})
+
+describe('null and undefined values', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            owner: { mongoType: 'objectId' },
+            count: { type: ['integer', 'null'], mongoType: 'int64' },
+            total: { type: 'integer', mongoType: 'int64' },
+            items: { type: 'array', items: { mongoType: 'int64' } }
+        }
+    }
+
+    it('keep the null values allowed by the schema', () => {
+        const doc = { owner: null, count: null, other: null }
+        assert.deepStrictEqual(documentToDbFormat(doc, schema), doc)
+        assert.deepStrictEqual(dbFormatToDocument(doc, schema), doc)
+        // The stored values are read as is.
+        assert.deepStrictEqual(dbFormatToDocument({ total: null }, schema), {
+            total: null
+        })
+    })
+
+    it('reject the null values not allowed by the type of the schema', () => {
+        assert.throws(
+            () => documentToDbFormat({ total: null }, schema),
+            (e) => e instanceof ConversionError && e.path === 'total'
+        )
+    })
+
+    it('omit the undefined properties and set the undefined elements to null', () => {
+        // eslint-disable-next-line no-sparse-arrays
+        const items = [1, undefined, , 2]
+        assert.deepStrictEqual(
+            documentToDbFormat(
+                { owner: undefined, total: 1, items, sub: { a: undefined } },
+                schema
+            ),
+            {
+                total: Long.fromNumber(1),
+                items: [Long.fromNumber(1), null, null, Long.fromNumber(2)],
+                sub: {}
+            }
+        )
+    })
+})
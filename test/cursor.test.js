@@ -0,0 +1,112 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const { ObjectId, Long } = require('mongodb')
+
+const { MongodetCursor } = require('../mongodet/Collection/MongodetCursor')
+const { createCollection, FakeCollection } = require('./helpers')
+
+const a = new ObjectId()
+const b = new ObjectId()
+const parameters = {
+    schema: {
+        type: 'object',
+        properties: {
+            _id: { mongoType: 'objectId' },
+            rank: { type: 'integer' },
+            count: { mongoType: 'int64' }
+        }
+    }
+}
+const docs = [
+    { _id: a, rank: 1, count: Long.fromNumber(5) },
+    { _id: b, rank: 2, count: Long.fromNumber(7) }
+]
+
+describe('cursors', () => {
+    it('convert the documents returned by next() and toArray()', async () => {
+        const { collection } = createCollection('cursor1', parameters, docs)
+
+        const cursor = collection.find({ _id: a.toString() })
+        assert.ok(cursor instanceof MongodetCursor)
+        assert.ok(await cursor.hasNext())
+        assert.deepStrictEqual(await cursor.next(), {
+            _id: a.toString(),
+            rank: 1,
+            count: 5
+        })
+        assert.strictEqual(await cursor.next(), null)
+
+        assert.deepStrictEqual(
+            await collection.find({}).sort({ rank: -1 }).toArray(),
+            [
+                { _id: b.toString(), rank: 2, count: 7 },
+                { _id: a.toString(), rank: 1, count: 5 }
+            ]
+        )
+    })
+
+    it('convert the documents iterated with forEach() and for await', async () => {
+        const { collection } = createCollection('cursor2', parameters, docs)
+
+        let ids = []
+        await collection.find({}).forEach((doc) => ids.push(doc._id))
+        assert.deepStrictEqual(ids, [a.toString(), b.toString()])
+
+        let counts = []
+        for await (const doc of collection.find({}).skip(1)) {
+            counts.push(doc.count)
+        }
+        assert.deepStrictEqual(counts, [7])
+    })
+
+    it('apply the map() functions after the conversion', async () => {
+        const { collection } = createCollection('cursor3', parameters, docs)
+
+        const cursor = collection.find({}).map((doc) => doc._id)
+        assert.deepStrictEqual(await cursor.toArray(), [
+            a.toString(),
+            b.toString()
+        ])
+    })
+
+    it('are the cursors of the driver with the db output', async () => {
+        const { collection } = createCollection('cursor4', parameters, docs)
+
+        const cursor = collection.find({ _id: a.toString() }, { output: 'db' })
+        assert.ok(!(cursor instanceof MongodetCursor))
+        assert.deepStrictEqual(await cursor.toArray(), [docs[0]])
+    })
+
+    it('convert the documents of aggregate() only with an output schema', async () => {
+        const { collection } = createCollection('cursor5', parameters, docs)
+        const pipeline = [{ $match: { rank: 2 } }]
+
+        assert.deepStrictEqual(await collection.aggregate(pipeline).toArray(), [
+            docs[1]
+        ])
+        // The output of a pipeline does not match the schema of the collection.
+        const cursor = collection.aggregate(pipeline, {
+            outputSchema: {
+                type: 'object',
+                properties: { count: { mongoType: 'int64', output: 'string' } }
+            }
+        })
+        assert.ok(cursor instanceof MongodetCursor)
+        assert.deepStrictEqual(await cursor.toArray(), [
+            { _id: b, rank: 2, count: '7' }
+        ])
+    })
+
+    it('delegate the other methods to the cursor of the driver', async () => {
+        const fake = new FakeCollection('test.cursor6')
+        fake.docs.push({ _id: 1 }, { _id: 2 }, { _id: 3 })
+        const cursor = new MongodetCursor(fake.find({}), (d) => ({
+            id: d._id
+        }))
+
+        assert.strictEqual(cursor.limit(2), cursor)
+        assert.deepStrictEqual(await cursor.toArray(), [{ id: 1 }, { id: 2 }])
+    })
+})
@@ -0,0 +1,97 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+
+const {
+    MongolError,
+    ValidationError,
+    ConversionError,
+    ConfigurationError,
+    ConnectionError,
+    DuplicateKeyError,
+    VersionConflictError,
+    fromDriverError
+} = require('../mongodet')
+const { createCollection } = require('./helpers')
+
+describe('errors', () => {
+    it('extend MongolError and Error, with a stable code', () => {
+        const codes = [
+            [MongolError, 'MONGOL_ERROR'],
+            [ValidationError, 'VALIDATION_ERROR'],
+            [ConversionError, 'CONVERSION_ERROR'],
+            [ConfigurationError, 'CONFIGURATION_ERROR'],
+            [ConnectionError, 'CONNECTION_ERROR'],
+            [DuplicateKeyError, 'DUPLICATE_KEY'],
+            [VersionConflictError, 'VERSION_CONFLICT']
+        ]
+
+        for (const [ErrorClass, code] of codes) {
+            const e = new ErrorClass({ error: 'message', path: 'a' })
+            assert.ok(e instanceof Error)
+            assert.ok(e instanceof MongolError)
+            assert.strictEqual(e.code, code)
+            assert.strictEqual(e.name, ErrorClass.name)
+            assert.strictEqual(e.message, 'message')
+            assert.strictEqual(e.path, 'a')
+        }
+    })
+
+    it('accept a message, null or no parameter', () => {
+        assert.strictEqual(new MongolError('message').message, 'message')
+        assert.strictEqual(new MongolError(null).message, '')
+        assert.strictEqual(new MongolError().message, '')
+        assert.strictEqual(new ConfigurationError(null).error, null)
+        assert.strictEqual(
+            new MongolError(Object.create(null)).code,
+            'MONGOL_ERROR'
+        )
+    })
+
+    it('list the errors of a validation', () => {
+        const e = new ValidationError({
+            error: [
+                { dataPath: '.name', keyword: 'type', message: 'is wrong' }
+            ],
+            path: 'sub'
+        })
+        assert.strictEqual(e.message, '.name is wrong')
+        assert.deepStrictEqual(e.errors, [
+            {
+                path: 'sub.name',
+                keyword: 'type',
+                message: 'is wrong',
+                params: undefined
+            }
+        ])
+    })
+
+    it('map the duplicate key errors of the driver', async () => {
+        let driverError = new Error(
+            'E11000 duplicate key error collection: test.users index: name_1 dup key: { name: "a" }'
+        )
+        driverError.code = 11000
+        driverError.keyValue = { name: 'a' }
+
+        const e = fromDriverError(driverError)
+        assert.ok(e instanceof DuplicateKeyError)
+        assert.strictEqual(e.code, 'DUPLICATE_KEY')
+        assert.strictEqual(e.index, 'name_1')
+        assert.deepStrictEqual(e.keyValue, { name: 'a' })
+        assert.strictEqual(e.driverError, driverError)
+
+        const other = new Error('other')
+        other.code = 11001
+        assert.strictEqual(fromDriverError(other), other)
+
+        const { collection } = createCollection('errors1', {}, [{ _id: 1 }])
+        await assert.rejects(
+            collection.insertOne({ _id: 1 }),
+            (e) =>
+                e instanceof DuplicateKeyError &&
+                e.index === '_id_' &&
+                e.keyValue._id === 1
+        )
+    })
+})
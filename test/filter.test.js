@@ -0,0 +1,147 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const { ObjectId, Long } = require('mongodb')
+
+const { filterToDbFormat } = require('../mongodet/conversion')
+const { createCollection } = require('./helpers')
+
+const a = new ObjectId()
+const b = new ObjectId()
+const schema = {
+    type: 'object',
+    properties: {
+        _id: { mongoType: 'objectId' },
+        count: { mongoType: 'int64' },
+        owners: { type: 'array', items: { mongoType: 'objectId' } },
+        address: {
+            type: 'object',
+            properties: { cityId: { mongoType: 'objectId' } }
+        },
+        lines: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    productId: { mongoType: 'objectId' },
+                    quantity: { mongoType: 'int64' }
+                }
+            }
+        }
+    }
+}
+
+describe('filter conversion', () => {
+    it('converts the values compared with the fields', () => {
+        assert.deepStrictEqual(
+            filterToDbFormat(
+                { _id: a.toString(), count: { $gte: 1, $lt: '10' } },
+                schema
+            ),
+            {
+                _id: a,
+                count: { $gte: Long.fromNumber(1), $lt: Long.fromNumber(10) }
+            }
+        )
+    })
+
+    it('converts the values of $in and $nin', () => {
+        assert.deepStrictEqual(
+            filterToDbFormat(
+                {
+                    _id: { $in: [a.toString(), b.toString()] },
+                    count: { $nin: [1] }
+                },
+                schema
+            ),
+            {
+                _id: { $in: [a, b] },
+                count: { $nin: [Long.fromNumber(1)] }
+            }
+        )
+    })
+
+    it('converts the conditions of $not, $elemMatch and the logical operators', () => {
+        assert.deepStrictEqual(
+            filterToDbFormat(
+                {
+                    _id: { $not: { $eq: a.toString() } },
+                    lines: {
+                        $elemMatch: {
+                            productId: b.toString(),
+                            quantity: { $gt: 2 }
+                        }
+                    },
+                    $or: [{ owners: a.toString() }, { count: 3 }]
+                },
+                schema
+            ),
+            {
+                _id: { $not: { $eq: a } },
+                lines: {
+                    $elemMatch: {
+                        productId: b,
+                        quantity: { $gt: Long.fromNumber(2) }
+                    }
+                },
+                $or: [{ owners: a }, { count: Long.fromNumber(3) }]
+            }
+        )
+    })
+
+    it('converts the values of the dotted paths', () => {
+        assert.deepStrictEqual(
+            filterToDbFormat(
+                {
+                    'address.cityId': a.toString(),
+                    'lines.productId': { $in: [b.toString()] },
+                    'lines.0.quantity': 1
+                },
+                schema
+            ),
+            {
+                'address.cityId': a,
+                'lines.productId': { $in: [b] },
+                'lines.0.quantity': Long.fromNumber(1)
+            }
+        )
+    })
+
+    it('keeps the values of the undeclared fields and the db values', () => {
+        const filter = {
+            name: 'a',
+            _id: a,
+            count: { $exists: true },
+            $text: { $search: 'a' }
+        }
+        assert.deepStrictEqual(filterToDbFormat(filter, schema), filter)
+    })
+
+    it('is not applied with the db filterInput', async () => {
+        const { collection } = createCollection('filter1', { schema }, [
+            { _id: a, count: 1 }
+        ])
+
+        assert.strictEqual(
+            (await collection.findOne({ _id: a.toString() }))._id,
+            a.toString()
+        )
+        assert.strictEqual(
+            await collection.findOne(
+                { _id: a.toString() },
+                { filterInput: 'db' }
+            ),
+            null
+        )
+        // The stored count is a number, not a Long.
+        assert.strictEqual(await collection.countDocuments({ count: 1 }), 0)
+        assert.strictEqual(
+            await collection.countDocuments(
+                { count: 1 },
+                { filterInput: 'db' }
+            ),
+            1
+        )
+    })
+})
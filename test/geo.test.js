@@ -0,0 +1,177 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+
+const { ConfigurationError, ValidationError } = require('../mongodet')
+const { checkGeometry } = require('../mongodet/geojson')
+const { createCollection } = require('./helpers')
+
+const square = {
+    type: 'Polygon',
+    coordinates: [
+        [
+            [0, 0],
+            [1, 0],
+            [1, 1],
+            [0, 0]
+        ]
+    ]
+}
+
+const parameters = {
+    schema: {
+        type: 'object',
+        properties: {
+            _id: { type: 'integer' },
+            location: { mongoType: 'Point' }
+        }
+    },
+    indexes: { location: { location: '2dsphere' } }
+}
+const locations = [
+    {
+        _id: 1,
+        location: { type: 'Point', coordinates: [0.5, 0.5] },
+        distance: 12.5
+    }
+]
+
+// The in-memory collection does not evaluate the geospatial operators: the
+// queries are recorded, and the stored documents are returned.
+function recordQueries(fake) {
+    let queries = []
+    const find = fake.find
+    fake.find = (filter, options) => {
+        queries.push(filter)
+        return find.call(fake, {}, options)
+    }
+    fake.aggregate = (pipeline) => {
+        queries.push(pipeline)
+        return find.call(fake, {})
+    }
+    return queries
+}
+
+describe('geospatial', () => {
+    it('checks the GeoJSON geometries', () => {
+        assert.strictEqual(
+            checkGeometry({ type: 'Point', coordinates: [2.35, 48.85] }),
+            undefined
+        )
+        assert.strictEqual(checkGeometry(square, 'Polygon'), undefined)
+        assert.match(
+            checkGeometry({ type: 'Point', coordinates: [200, 0] }),
+            /longitude 200/
+        )
+        assert.match(
+            checkGeometry({
+                type: 'Polygon',
+                coordinates: [
+                    [
+                        [0, 0],
+                        [1, 0],
+                        [1, 1],
+                        [0, 1]
+                    ]
+                ]
+            }),
+            /must be closed/
+        )
+        assert.match(checkGeometry(square, 'Point'), /of type Point/)
+    })
+
+    it('validates the geometries of the documents', async () => {
+        const { collection } = createCollection('geo1', parameters, locations)
+
+        await assert.rejects(
+            async () =>
+                collection.insertOne({
+                    _id: 2,
+                    location: { type: 'Point', coordinates: [0, 100] }
+                }),
+            ValidationError
+        )
+    })
+
+    it('finds the documents near a point', async () => {
+        const { collection, fake } = createCollection(
+            'geo2',
+            parameters,
+            locations
+        )
+        const queries = recordQueries(fake)
+
+        const docs = await collection.findNear([0, 0], { maxDistance: 1000 })
+        assert.strictEqual(docs.length, 1)
+        assert.deepStrictEqual(queries[0], {
+            location: {
+                $near: {
+                    $geometry: { type: 'Point', coordinates: [0, 0] },
+                    $maxDistance: 1000
+                }
+            }
+        })
+
+        const [doc] = await collection.findNear([0, 0], {
+            distanceField: 'distance',
+            filter: { _id: 1 },
+            limit: 5
+        })
+        assert.strictEqual(doc.distance, 12.5)
+        assert.deepStrictEqual(queries[1], [
+            {
+                $geoNear: {
+                    near: { type: 'Point', coordinates: [0, 0] },
+                    key: 'location',
+                    distanceField: 'distance',
+                    spherical: true,
+                    query: { _id: 1 }
+                }
+            },
+            { $limit: 5 }
+        ])
+    })
+
+    it('finds the documents inside a polygon', async () => {
+        const { collection, fake } = createCollection(
+            'geo3',
+            parameters,
+            locations
+        )
+        const queries = recordQueries(fake)
+
+        await collection.findWithin(square, { filter: { _id: 1 } })
+        assert.deepStrictEqual(queries[0], {
+            _id: 1,
+            location: { $geoWithin: { $geometry: square } }
+        })
+        await assert.rejects(
+            collection.findWithin({ type: 'Point', coordinates: [0, 0] }),
+            ConfigurationError
+        )
+    })
+
+    it('requires a single 2dsphere index or the path option', async () => {
+        const { collection, fake } = createCollection(
+            'geo4',
+            {
+                ...parameters,
+                indexes: {
+                    location: { location: '2dsphere' },
+                    area: { area: '2dsphere' }
+                }
+            },
+            locations
+        )
+        recordQueries(fake)
+
+        await assert.rejects(collection.findNear([0, 0]), ConfigurationError)
+        const docs = await collection.findNear([0, 0], { path: 'area' })
+        assert.strictEqual(docs.length, 1)
+        await assert.rejects(
+            collection.findNear([0, 91], { path: 'area' }),
+            ConfigurationError
+        )
+    })
+})
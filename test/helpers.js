@@ -0,0 +1,727 @@
+'use strict'
+
+// In-memory stand-ins for the mongodb driver, used to test the behavior of the
+// library without a server. They support the filters, update operators and
+// update pipelines sent by mongodet, not the whole query language.
+
+const { MongoClient, ObjectId } = require('mongodb')
+const { Collection } = require('../mongodet')
+
+function isObject(value) {
+    return !!value && value.constructor.name === 'Object'
+}
+
+function clone(value) {
+    if (value instanceof Array) return value.map(clone)
+    if (value instanceof Date) return new Date(value.getTime())
+    if (isObject(value)) {
+        let ret = {}
+        for (const key in value) ret[key] = clone(value[key])
+        return ret
+    }
+    return value
+}
+
+function isEqual(a, b) {
+    if (a instanceof Date && b instanceof Date)
+        return a.getTime() === b.getTime()
+    if (a instanceof Array && b instanceof Array)
+        return a.length === b.length && a.every((v, i) => isEqual(v, b[i]))
+    if (isObject(a) && isObject(b)) {
+        const keys = Object.keys(a)
+        return (
+            keys.length === Object.keys(b).length &&
+            keys.every((k) => isEqual(a[k], b[k]))
+        )
+    }
+    if (a && b && a._bsontype && a._bsontype === b._bsontype)
+        return a.toString() === b.toString()
+    return a === b
+}
+
+function compare(a, b) {
+    const x = a instanceof Date ? a.getTime() : a
+    const y = b instanceof Date ? b.getTime() : b
+    return x < y ? -1 : x > y ? 1 : 0
+}
+
+function getPath(doc, path) {
+    return path
+        .split('.')
+        .reduce((v, p) => (v === null || v === undefined ? v : v[p]), doc)
+}
+
+function setPath(doc, path, value) {
+    const parts = path.split('.')
+    const last = parts.pop()
+    let target = doc
+    for (const p of parts) {
+        if (!isObject(target[p])) target[p] = {}
+        target = target[p]
+    }
+    target[last] = value
+}
+
+function unsetPath(doc, path) {
+    const parts = path.split('.')
+    const last = parts.pop()
+    const target = parts.length ? getPath(doc, parts.join('.')) : doc
+    if (target) delete target[last]
+}
+
+function matchValue(value, condition) {
+    // null matches the missing fields too.
+    if (condition === null) return value === null || value === undefined
+    if (value instanceof Array && !(condition instanceof Array))
+        return value.some((v) => matchValue(v, condition))
+    return isEqual(value, condition)
+}
+
+function matchCondition(value, condition) {
+    const keys = isObject(condition) ? Object.keys(condition) : []
+    if (!keys.length || !keys.every((k) => k.startsWith('$')))
+        return matchValue(value, condition)
+
+    return keys.every((op) => {
+        const operand = condition[op]
+        switch (op) {
+            case '$eq':
+                return matchValue(value, operand)
+            case '$ne':
+                return !matchValue(value, operand)
+            case '$in':
+                return operand.some((o) => matchValue(value, o))
+            case '$nin':
+                return !operand.some((o) => matchValue(value, o))
+            case '$exists':
+                return (value !== undefined) === !!operand
+            case '$gt':
+                return value !== undefined && compare(value, operand) > 0
+            case '$gte':
+                return value !== undefined && compare(value, operand) >= 0
+            case '$lt':
+                return value !== undefined && compare(value, operand) < 0
+            case '$lte':
+                return value !== undefined && compare(value, operand) <= 0
+            case '$not':
+                return !matchCondition(value, operand)
+            default:
+                throw new Error(`Unsupported query operator ${op}`)
+        }
+    })
+}
+
+function matches(doc, filter = {}) {
+    return Object.keys(filter).every((key) => {
+        switch (key) {
+            case '$and':
+                return filter[key].every((f) => matches(doc, f))
+            case '$or':
+                return filter[key].some((f) => matches(doc, f))
+            case '$nor':
+                return !filter[key].some((f) => matches(doc, f))
+            default:
+                return matchCondition(getPath(doc, key), filter[key])
+        }
+    })
+}
+
+// Evaluates an aggregation expression of an update pipeline.
+function evaluate(expr, doc) {
+    if (expr === '$$NOW') return new Date()
+    if (typeof expr === 'string' && expr.startsWith('$'))
+        return clone(getPath(doc, expr.slice(1)))
+    if (expr instanceof Array) return expr.map((e) => evaluate(e, doc))
+    if (!isObject(expr)) return expr
+
+    const keys = Object.keys(expr)
+    if (keys.length === 1 && keys[0].startsWith('$')) {
+        const operand = expr[keys[0]]
+        switch (keys[0]) {
+            case '$literal':
+                return clone(operand)
+            case '$ifNull': {
+                const value = evaluate(operand[0], doc)
+                return value === null || value === undefined
+                    ? evaluate(operand[1], doc)
+                    : value
+            }
+            case '$add':
+                return operand
+                    .map((e) => evaluate(e, doc))
+                    .reduce((a, b) => a + b)
+            case '$mergeObjects':
+                return Object.assign(
+                    {},
+                    ...[].concat(operand).map((e) => evaluate(e, doc))
+                )
+            default:
+                throw new Error(`Unsupported expression ${keys[0]}`)
+        }
+    }
+
+    let ret = {}
+    for (const key of keys) {
+        const value = evaluate(expr[key], doc)
+        if (value !== undefined) ret[key] = value
+    }
+    return ret
+}
+
+function applyPipeline(doc, pipeline) {
+    for (const stage of pipeline) {
+        const [name] = Object.keys(stage)
+        switch (name) {
+            case '$set':
+            case '$addFields':
+                for (const path in stage[name])
+                    setPath(doc, path, evaluate(stage[name][path], doc))
+                break
+            case '$unset':
+                for (const path of [].concat(stage[name])) unsetPath(doc, path)
+                break
+            case '$replaceWith':
+            case '$replaceRoot': {
+                const root =
+                    name === '$replaceRoot' ? stage[name].newRoot : stage[name]
+                doc = { _id: doc._id, ...evaluate(root, doc) }
+                break
+            }
+            default:
+                throw new Error(`Unsupported pipeline stage ${name}`)
+        }
+    }
+    return doc
+}
+
+function applyUpdate(doc, update, inserted) {
+    if (update instanceof Array) return applyPipeline(doc, update)
+
+    for (const op in update)
+        for (const path in update[op]) {
+            const value = update[op][path]
+            switch (op) {
+                case '$set':
+                    setPath(doc, path, clone(value))
+                    break
+                case '$setOnInsert':
+                    if (inserted) setPath(doc, path, clone(value))
+                    break
+                case '$unset':
+                    unsetPath(doc, path)
+                    break
+                case '$inc':
+                    setPath(doc, path, (getPath(doc, path) || 0) + value)
+                    break
+                case '$push': {
+                    const values =
+                        isObject(value) && value.$each ? value.$each : [value]
+                    setPath(
+                        doc,
+                        path,
+                        (getPath(doc, path) || []).concat(clone(values))
+                    )
+                    break
+                }
+                default:
+                    throw new Error(`Unsupported update operator ${op}`)
+            }
+        }
+    return doc
+}
+
+// Document inserted by an upsert: the equality conditions of the filter, then the update.
+function getUpsertDocument(filter) {
+    let doc = {}
+    for (const key in filter)
+        if (!key.startsWith('$') && !isObject(filter[key]))
+            setPath(doc, key, clone(filter[key]))
+    return doc
+}
+
+function project(doc, projection) {
+    if (!projection || !Object.keys(projection).length) return doc
+    const included = Object.keys(projection).filter((k) => projection[k])
+    if (!included.length) {
+        let ret = clone(doc)
+        for (const path in projection) unsetPath(ret, path)
+        return ret
+    }
+    let ret = { _id: doc._id }
+    for (const path of included) {
+        const value = getPath(doc, path)
+        if (value !== undefined) setPath(ret, path, clone(value))
+    }
+    if (projection._id === 0) delete ret._id
+    return ret
+}
+
+function duplicateKeyError(collection, id) {
+    let e = new Error(
+        `E11000 duplicate key error collection: ${collection} index: _id_ dup key: { _id: ${JSON.stringify(
+            id
+        )} }`
+    )
+    e.code = 11000
+    e.keyValue = { _id: id }
+    return e
+}
+
+class FakeCursor {
+    constructor(getDocs, options = {}) {
+        this.getDocs = getDocs
+        this.options = { ...options }
+        this.position = 0
+    }
+
+    sort(sort) {
+        this.options.sort = sort
+        return this
+    }
+
+    skip(skip) {
+        this.options.skip = skip
+        return this
+    }
+
+    limit(limit) {
+        this.options.limit = limit
+        return this
+    }
+
+    project(projection) {
+        this.options.projection = projection
+        return this
+    }
+
+    batchSize(size) {
+        this.options.batchSize = size
+        return this
+    }
+
+    getResults() {
+        if (!this.results) {
+            let docs = this.getDocs()
+            const sort = this.options.sort
+            if (sort)
+                docs = docs.slice().sort((a, b) => {
+                    for (const key in sort) {
+                        const c = compare(getPath(a, key), getPath(b, key))
+                        if (c) return c * sort[key]
+                    }
+                    return 0
+                })
+            if (this.options.skip) docs = docs.slice(this.options.skip)
+            if (this.options.limit) docs = docs.slice(0, this.options.limit)
+            this.results = docs.map((d) =>
+                project(clone(d), this.options.projection)
+            )
+        }
+        return this.results
+    }
+
+    async toArray() {
+        return this.getResults().slice(this.position)
+    }
+
+    async hasNext() {
+        return this.position < this.getResults().length
+    }
+
+    async next() {
+        const docs = this.getResults()
+        return this.position < docs.length ? docs[this.position++] : null
+    }
+
+    async forEach(iterator) {
+        for (const doc of await this.toArray()) iterator(doc)
+    }
+}
+
+class FakeCollection {
+    /**
+     * An in-memory collection, implementing the part of the driver API used by mongodet. All the write
+     * operations are recorded in the **calls** property, as [method, ...arguments].
+     * @param {string} namespace The namespace of the collection ('db.collection').
+     */
+    constructor(namespace) {
+        this.namespace = namespace
+        this.exists = false
+        this.docs = []
+        this.calls = []
+        this.indexList = [{ v: 2, key: { _id: 1 }, name: '_id_' }]
+    }
+
+    find(filter, options) {
+        return new FakeCursor(
+            () => this.docs.filter((d) => matches(d, filter)),
+            options
+        )
+    }
+
+    async findOne(filter, options = {}) {
+        const [doc] = await this.find(filter, {
+            ...options,
+            limit: 1
+        }).toArray()
+        return doc || null
+    }
+
+    async countDocuments(filter) {
+        return this.docs.filter((d) => matches(d, filter)).length
+    }
+
+    async insertOne(doc) {
+        this.calls.push(['insertOne', clone(doc)])
+        this.exists = true
+        if (doc._id === undefined) doc._id = new ObjectId()
+        if (this.docs.some((d) => isEqual(d._id, doc._id)))
+            throw duplicateKeyError(this.namespace, doc._id)
+        this.docs.push(clone(doc))
+        return {
+            insertedCount: 1,
+            insertedId: doc._id,
+            ops: [doc],
+            result: { n: 1, ok: 1 }
+        }
+    }
+
+    async insertMany(docs) {
+        this.calls.push(['insertMany', clone(docs)])
+        this.exists = true
+        let insertedIds = {}
+        for (let i = 0; i < docs.length; i++) {
+            if (docs[i]._id === undefined) docs[i]._id = new ObjectId()
+            this.docs.push(clone(docs[i]))
+            insertedIds[i] = docs[i]._id
+        }
+        return {
+            insertedCount: docs.length,
+            insertedIds,
+            ops: docs,
+            result: { n: docs.length, ok: 1 }
+        }
+    }
+
+    // Runs an update or a replacement on the first or all the matching documents.
+    modify(filter, fn, options = {}, many = false) {
+        const matched = this.docs.filter((d) => matches(d, filter))
+        const targets = many ? matched : matched.slice(0, 1)
+        let result = { n: targets.length, nModified: 0, ok: 1 }
+        let before = null,
+            after = null
+
+        for (const doc of targets) {
+            const i = this.docs.indexOf(doc)
+            const modified = fn(clone(doc), false)
+            if (!isEqual(doc, modified)) result.nModified++
+            before = before || clone(doc)
+            this.docs[i] = modified
+            after = clone(modified)
+        }
+
+        if (!targets.length && options.upsert) {
+            let doc = fn(getUpsertDocument(filter), true)
+            if (doc._id === undefined) doc._id = new ObjectId()
+            this.docs.push(doc)
+            this.exists = true
+            result.n = 1
+            result.upserted = [{ index: 0, _id: doc._id }]
+            after = clone(doc)
+        }
+        return { result, before, after }
+    }
+
+    async updateOne(filter, update, options) {
+        this.calls.push(['updateOne', filter, update, options])
+        return this.modify(
+            filter,
+            (d, inserted) => applyUpdate(d, update, inserted),
+            options
+        )
+    }
+
+    async updateMany(filter, update, options) {
+        this.calls.push(['updateMany', filter, update, options])
+        return this.modify(
+            filter,
+            (d, inserted) => applyUpdate(d, update, inserted),
+            options,
+            true
+        )
+    }
+
+    async replaceOne(filter, doc, options) {
+        this.calls.push(['replaceOne', filter, doc, options])
+        return this.modify(
+            filter,
+            (d) => ({ _id: d._id, ...clone(doc) }),
+            options
+        )
+    }
+
+    async deleteOne(filter) {
+        this.calls.push(['deleteOne', filter])
+        const i = this.docs.findIndex((d) => matches(d, filter))
+        if (i >= 0) this.docs.splice(i, 1)
+        const n = i >= 0 ? 1 : 0
+        return { deletedCount: n, result: { n, ok: 1 } }
+    }
+
+    async deleteMany(filter) {
+        this.calls.push(['deleteMany', filter])
+        const n = this.docs.length
+        this.docs = this.docs.filter((d) => !matches(d, filter))
+        const deleted = n - this.docs.length
+        return { deletedCount: deleted, result: { n: deleted, ok: 1 } }
+    }
+
+    findAndModify(filter, fn, options = {}) {
+        const { result, before, after } = this.modify(filter, fn, options)
+        return {
+            value: options.returnOriginal === false ? after : before,
+            lastErrorObject: {
+                n: result.n,
+                updatedExisting: !!before
+            },
+            ok: 1
+        }
+    }
+
+    async findOneAndUpdate(filter, update, options) {
+        this.calls.push(['findOneAndUpdate', filter, update, options])
+        return this.findAndModify(
+            filter,
+            (d, inserted) => applyUpdate(d, update, inserted),
+            options
+        )
+    }
+
+    async findOneAndReplace(filter, doc, options) {
+        this.calls.push(['findOneAndReplace', filter, doc, options])
+        return this.findAndModify(
+            filter,
+            (d) => ({ _id: d._id, ...clone(doc) }),
+            options
+        )
+    }
+
+    async findOneAndDelete(filter, options = {}) {
+        this.calls.push(['findOneAndDelete', filter, options])
+        const [doc] = await this.find(filter, {
+            sort: options.sort,
+            limit: 1
+        }).toArray()
+        if (doc) await this.deleteOne({ _id: doc._id })
+        return { value: doc || null, lastErrorObject: { n: doc ? 1 : 0 } }
+    }
+
+    // Runs the operations one by one, with the other methods.
+    async bulkWrite(operations, options) {
+        this.calls.push(['bulkWrite', operations, options])
+        let result = {
+            insertedCount: 0,
+            matchedCount: 0,
+            modifiedCount: 0,
+            deletedCount: 0
+        }
+        for (const op of operations) {
+            const type = Object.keys(op)[0]
+            const args = op[type]
+            let r
+            switch (type) {
+                case 'insertOne':
+                    await this.insertOne(args.document)
+                    result.insertedCount++
+                    break
+                case 'updateOne':
+                case 'updateMany':
+                    r = await this[type](args.filter, args.update, args)
+                    result.matchedCount += r.result.n
+                    result.modifiedCount += r.result.nModified
+                    break
+                case 'replaceOne':
+                    r = await this.replaceOne(
+                        args.filter,
+                        args.replacement,
+                        args
+                    )
+                    result.matchedCount += r.result.n
+                    result.modifiedCount += r.result.nModified
+                    break
+                case 'deleteOne':
+                case 'deleteMany':
+                    r = await this[type](args.filter)
+                    result.deletedCount += r.deletedCount
+                    break
+            }
+        }
+        return result
+    }
+
+    async distinct(key, filter) {
+        let values = []
+        for (const doc of this.docs.filter((d) => matches(d, filter)))
+            for (const value of [].concat(getPath(doc, key)))
+                if (
+                    value !== undefined &&
+                    !values.some((v) => isEqual(v, value))
+                )
+                    values.push(value)
+        return values
+    }
+
+    aggregate(pipeline) {
+        return new FakeCursor(() => {
+            let docs = this.docs
+            for (const stage of pipeline) {
+                if (stage.$match)
+                    docs = docs.filter((d) => matches(d, stage.$match))
+                else throw new Error('Unsupported aggregation stage')
+            }
+            return docs
+        })
+    }
+
+    async createIndex(key, options = {}) {
+        const name =
+            options.name ||
+            Object.keys(key)
+                .map((k) => `${k}_${key[k]}`)
+                .join('_')
+        this.calls.push(['createIndex', key, options])
+        this.exists = true
+        this.indexList = this.indexList
+            .filter((i) => i.name !== name)
+            .concat({ v: 2, ...options, key, name })
+        return name
+    }
+
+    async dropIndex(name) {
+        this.calls.push(['dropIndex', name])
+        this.indexList = this.indexList.filter((i) => i.name !== name)
+    }
+
+    async indexes() {
+        return clone(this.indexList)
+    }
+
+    listIndexes() {
+        return new FakeCursor(() => {
+            if (!this.exists) {
+                const e = new Error(`ns does not exist: ${this.namespace}`)
+                e.code = 26
+                throw e
+            }
+            return clone(this.indexList)
+        })
+    }
+}
+
+class FakeDb {
+    /**
+     * An in-memory database, whose collections are created on the first access.
+     * @param {string} [databaseName='test']
+     */
+    constructor(databaseName = 'test') {
+        this.databaseName = databaseName
+        this.fakeCollections = {}
+    }
+
+    collection(name) {
+        if (!this.fakeCollections[name])
+            this.fakeCollections[name] = new FakeCollection(
+                `${this.databaseName}.${name}`
+            )
+        return this.fakeCollections[name]
+    }
+
+    async collections() {
+        return Object.values(this.fakeCollections).filter((c) => c.exists)
+    }
+
+    async createCollection(name, options = {}) {
+        const collection = this.collection(name)
+        collection.exists = true
+        collection.options = options
+        return collection
+    }
+
+    listCollections(filter = {}) {
+        return new FakeCursor(() =>
+            Object.keys(this.fakeCollections)
+                .filter((name) => this.fakeCollections[name].exists)
+                .map((name) => ({
+                    name,
+                    options: this.fakeCollections[name].options || {}
+                }))
+                .filter((info) => matches(info, filter))
+        )
+    }
+
+    // Only the collMod command is supported.
+    async command(command) {
+        const { collMod, ...options } = command
+        const collection = this.collection(collMod)
+        collection.options = { ...collection.options, ...options }
+        return { ok: 1 }
+    }
+}
+
+/**
+ * This function binds a mongodet collection to an in-memory collection, without connection.
+ * @param {Collection} collection The mongodet collection.
+ * @param {FakeDb} [db] The database. A new one is created by default.
+ * @returns {FakeCollection} This function returns the in-memory collection.
+ */
+function bindFake(collection, db = new FakeDb()) {
+    collection.db = db
+    collection.dbName = db.databaseName
+    collection.collName = collection.name
+    Object.defineProperty(collection, 'collection', {
+        value: db.collection(collection.name),
+        configurable: true
+    })
+    return collection.collection
+}
+
+/**
+ * This function creates a mongodet collection bound to a new in-memory collection (see the bindFake() function).
+ * @param {string} name The name of the collection.
+ * @param {object} [parameters={}] The parameters of the collection. They are copied, so the same parameters can create several collections.
+ * @param {object[]} [docs=[]] The documents stored in the in-memory collection, in db format.
+ * @returns {object} This function returns the **collection** and the in-memory collection (**fake**).
+ */
+function createCollection(name, parameters = {}, docs = []) {
+    const collection = new Collection(name, clone(parameters))
+    const fake = bindFake(collection)
+    fake.docs.push(...clone(docs))
+    return { collection, fake }
+}
+
+/**
+ * This function replaces the methods of MongoClient used by the connect() function, so the connections use
+ * in-memory databases. Each client has its own database.
+ * @returns {void}
+ */
+function fakeMongoClient() {
+    MongoClient.prototype.connect = async function () {
+        if (!this.fakeDb) this.fakeDb = new FakeDb()
+        return this
+    }
+    MongoClient.prototype.close = async function () {
+        this.closed = true
+    }
+    MongoClient.prototype.db = function () {
+        if (!this.fakeDb) this.fakeDb = new FakeDb()
+        return this.fakeDb
+    }
+}
+
+module.exports = {
+    FakeDb,
+    FakeCollection,
+    bindFake,
+    createCollection,
+    fakeMongoClient
+}
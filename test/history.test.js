@@ -0,0 +1,150 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+
+const { ConfigurationError } = require('../mongodet')
+const { createCollection } = require('./helpers')
+
+const parameters = {
+    schema: {
+        type: 'object',
+        properties: {
+            _id: { type: 'integer' },
+            name: { type: 'string' },
+            count: { type: 'integer' }
+        }
+    },
+    history: true
+}
+
+describe('history', () => {
+    it('records the prior state of the modified documents', async () => {
+        const { collection } = createCollection('history1', parameters)
+        const history = collection.getHistoryCollection()
+        await collection.insertOne({ _id: 1, name: 'a', count: 1 })
+
+        await collection.updateOne(
+            { _id: 1 },
+            { $set: { name: 'b' } },
+            { actor: 'alice' }
+        )
+        await collection.deleteOne({ _id: 1 })
+        // Nothing is recorded when no document matches.
+        await collection.deleteOne({ _id: 1 })
+
+        const entries = await collection.history(1)
+        assert.deepStrictEqual(
+            entries.map((e) => [e.operation, e.actor, e.before.name]),
+            [
+                ['updateOne', 'alice', 'a'],
+                ['deleteOne', null, 'b']
+            ]
+        )
+        assert.strictEqual(entries[1].diff, null)
+        assert.ok(entries[0].diff.length)
+        assert.strictEqual(history.docs.length, 2)
+    })
+
+    it('does not record the operations that change nothing', async () => {
+        const { collection } = createCollection('history2', parameters)
+        const history = collection.getHistoryCollection()
+        await collection.insertOne({ _id: 1, name: 'a' })
+
+        await collection.updateOne({ _id: 1 }, { $set: { name: 'a' } })
+        assert.strictEqual(history.docs.length, 0)
+    })
+
+    it('keeps the filter of the caller for the single operations', async () => {
+        const { collection, fake } = createCollection('history3', parameters)
+        await collection.insertMany([
+            { _id: 1, name: 'a' },
+            { _id: 2, name: 'a' }
+        ])
+
+        await collection.updateOne(
+            { name: 'a' },
+            { $inc: { count: 1 } },
+            { sort: { _id: -1 } }
+        )
+        const [, filter] = fake.calls.find((c) => c[0] === 'updateOne')
+        assert.deepStrictEqual(filter, { $and: [{ name: 'a' }, { _id: 2 }] })
+        assert.deepStrictEqual(
+            fake.docs.map((d) => d.count),
+            [undefined, 1]
+        )
+    })
+
+    it('reconstructs the state of a document at a given date', async () => {
+        const { collection } = createCollection('history4', {
+            ...parameters,
+            timestamps: { updatedAt: false }
+        })
+        const history = collection.getHistoryCollection()
+        await collection.insertOne({ _id: 1, name: 'a' })
+        await collection.updateOne({ _id: 1 }, { $set: { name: 'b' } })
+        // The update is dated in one minute.
+        history.docs[0].date = new Date(Date.now() + 60000)
+
+        const createdAt = (await collection.findOne({ _id: 1 })).createdAt
+        const before = new Date(createdAt.getTime() - 1000)
+        assert.strictEqual(await collection.asOf(1, before), null)
+        assert.strictEqual((await collection.asOf(1, new Date())).name, 'a')
+        assert.strictEqual(
+            (await collection.asOf(1, new Date(Date.now() + 120000))).name,
+            'b'
+        )
+        assert.strictEqual(await collection.asOf(2, new Date()), null)
+    })
+    it('records the restorations and the purges of the deleted documents', async () => {
+        const { collection, fake } = createCollection(
+            'history5',
+            { ...parameters, softDelete: true },
+            [
+                { _id: 1, name: 'a' },
+                { _id: 2, name: 'b' }
+            ]
+        )
+        await collection.deleteMany({})
+
+        assert.strictEqual(
+            await collection.restoreOne({ _id: 1 }, { actor: 'alice' }),
+            1
+        )
+        assert.strictEqual(
+            await collection.purgeDeleted(null, { actor: 'bob' }),
+            1
+        )
+        assert.deepStrictEqual(fake.docs, [{ _id: 1, name: 'a' }])
+
+        assert.deepStrictEqual(
+            (await collection.history(1)).map((e) => [e.operation, e.actor]),
+            [
+                ['deleteMany', null],
+                ['restoreOne', 'alice']
+            ]
+        )
+        const entries = await collection.history(2)
+        assert.deepStrictEqual(
+            entries.map((e) => [e.operation, e.actor]),
+            [
+                ['deleteMany', null],
+                ['purgeDeleted', 'bob']
+            ]
+        )
+        assert.strictEqual(entries[1].diff, null)
+        assert.strictEqual(entries[1].before.name, 'b')
+        assert.ok(entries[1].before.deletedAt instanceof Date)
+    })
+
+    it('restricts bulkWrite() to the insertions', async () => {
+        const { collection, fake } = createCollection('history6', parameters)
+
+        await collection.bulkWrite([{ insertOne: { document: { _id: 1 } } }])
+        await assert.rejects(
+            collection.bulkWrite([{ deleteOne: { filter: { _id: 1 } } }]),
+            ConfigurationError
+        )
+        assert.deepStrictEqual(fake.docs, [{ _id: 1 }])
+    })
+})
@@ -0,0 +1,97 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+
+const {
+    Collection,
+    ConfigurationError,
+    ValidationError
+} = require('../mongodet')
+const { bindFake } = require('./helpers')
+
+describe('middlewares', () => {
+    it('run around the hooked operations', async () => {
+        const collection = new Collection('hooks1')
+        const fake = bindFake(collection)
+        fake.docs.push({ _id: 1, name: 'a' }, { _id: 2, name: 'b' })
+        const operations = []
+        collection.use('*', async (ctx, next) => {
+            operations.push(ctx.operation)
+            await next()
+        })
+        collection.post('findMany', (ctx) => {
+            ctx.result = ctx.result.map((doc) => doc.name)
+        })
+
+        assert.deepStrictEqual(await collection.findMany({}), ['a', 'b'])
+        await collection.findOne({ _id: 1 })
+        assert.deepStrictEqual(operations, ['findMany', 'findOne'])
+    })
+
+    it('are not run by find(), which returns its cursor synchronously', async () => {
+        const collection = new Collection('hooks2')
+        const fake = bindFake(collection)
+        fake.docs.push({ _id: 1, name: 'a' })
+        let called = false
+        collection.use('*', async (ctx, next) => {
+            called = true
+            await next()
+        })
+
+        const cursor = collection.find({})
+        assert.strictEqual(typeof cursor.toArray, 'function')
+        assert.deepStrictEqual(await cursor.toArray(), [{ _id: 1, name: 'a' }])
+        assert.ok(!called)
+    })
+
+    it('can not be added to find()', () => {
+        const collection = new Collection('hooks3')
+        assert.throws(
+            () => collection.use('find', async () => {}),
+            /can not be added to the operation "find"/
+        )
+    })
+    it('run around countDocuments() and distinct()', async () => {
+        const collection = new Collection('hooks4')
+        const fake = bindFake(collection)
+        fake.docs.push(
+            { _id: 1, name: 'a', tenant: 1 },
+            { _id: 2, name: 'b', tenant: 2 }
+        )
+        let operations = []
+        collection.pre(['countDocuments', 'distinct'], (ctx) => {
+            operations.push([ctx.operation, ctx.key])
+            ctx.filter = { ...ctx.filter, tenant: 1 }
+        })
+
+        assert.strictEqual(await collection.countDocuments({}), 1)
+        assert.deepStrictEqual(await collection.distinct('name', {}), ['a'])
+        assert.deepStrictEqual(operations, [
+            ['countDocuments', undefined],
+            ['distinct', 'name']
+        ])
+    })
+
+    it('do not change how the errors are sent', async () => {
+        const schema = {
+            type: 'object',
+            properties: { name: { type: 'string' } }
+        }
+        const collections = [
+            new Collection('hooks5', { schema }),
+            new Collection('hooks6', { schema }).use('*', (ctx, next) => next())
+        ]
+
+        for (const collection of collections) {
+            bindFake(collection)
+            const promise = collection.insertOne({ name: 1 })
+            assert.ok(promise instanceof Promise)
+            await assert.rejects(promise, ValidationError)
+            await assert.rejects(
+                collection.countDocuments({}, { filterInput: 'x' }),
+                ConfigurationError
+            )
+        }
+    })
+})
@@ -0,0 +1,124 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+
+const { Collection } = require('../mongodet')
+const { getIndexesPlan } = require('../mongodet/Collection/indexes')
+const { bindFake } = require('./helpers')
+
+const existingIndexes = [
+    { v: 2, key: { _id: 1 }, name: '_id_' },
+    { v: 2, key: { name: 1 }, name: 'name', unique: true },
+    { v: 2, key: { age: 1 }, name: 'age' },
+    {
+        v: 2,
+        key: { _fts: 'text', _ftsx: 1 },
+        name: 'text',
+        weights: { title: 1 },
+        default_language: 'english',
+        language_override: 'language',
+        textIndexVersion: 3
+    },
+    { v: 2, key: { legacy: 1 }, name: 'legacy' }
+]
+
+describe('index plan', () => {
+    it('compares the declared indexes by name, key and options', () => {
+        const plan = getIndexesPlan(
+            {
+                name: [{ name: 1 }, { unique: true, background: true }],
+                age: [{ age: -1 }, {}],
+                text: { title: 'text' },
+                email: [{ email: 1 }, { sparse: true }]
+            },
+            existingIndexes
+        )
+
+        assert.deepStrictEqual(plan.keep, ['name', 'text'])
+        assert.deepStrictEqual(
+            plan.rebuild.map((i) => i.name),
+            ['age']
+        )
+        assert.deepStrictEqual(plan.create, [
+            {
+                name: 'email',
+                key: { email: 1 },
+                options: { sparse: true, name: 'email' }
+            }
+        ])
+        assert.deepStrictEqual(plan.drop, [])
+        assert.deepStrictEqual(plan.unmanaged, ['legacy'])
+    })
+
+    it('rebuilds the indexes whose options have changed', () => {
+        const plan = getIndexesPlan(
+            {
+                name: { name: 1 },
+                text: [{ title: 'text' }, { weights: { title: 5 } }]
+            },
+            existingIndexes
+        )
+
+        assert.deepStrictEqual(
+            plan.rebuild.map((i) => i.name),
+            ['name', 'text']
+        )
+    })
+
+    it('drops the undeclared indexes, except _id_, only when requested', () => {
+        const plan = getIndexesPlan({}, existingIndexes, { dropRemoved: true })
+
+        assert.deepStrictEqual(plan.drop, ['name', 'age', 'text', 'legacy'])
+        assert.deepStrictEqual(plan.unmanaged, [])
+    })
+
+    it('applies the plan to the collection', async () => {
+        const collection = new Collection('indexes1', {
+            indexes: {
+                name: [{ name: 1 }, { unique: true }],
+                age: { age: -1 }
+            }
+        })
+        const fake = bindFake(collection)
+        fake.exists = true
+        fake.indexList = existingIndexes.slice(0, 3)
+
+        const dryRun = await collection.syncIndexes({ dryRun: true })
+        assert.deepStrictEqual(
+            dryRun.rebuild.map((i) => i.name),
+            ['age']
+        )
+        assert.strictEqual(fake.calls.length, 0)
+
+        await collection.syncIndexes()
+        assert.deepStrictEqual(
+            fake.calls.map(([method, arg]) => [method, arg]),
+            [
+                ['dropIndex', 'age'],
+                ['createIndex', { age: -1 }]
+            ]
+        )
+        assert.deepStrictEqual(
+            (await collection.syncIndexes({ dryRun: true })).keep,
+            ['name', 'age']
+        )
+    })
+
+    it('creates all the indexes of a collection that does not exist', async () => {
+        const collection = new Collection('indexes2', {
+            indexes: { name: { name: 1 } }
+        })
+        const fake = bindFake(collection)
+
+        const plan = await collection.syncIndexes()
+        assert.deepStrictEqual(
+            plan.create.map((i) => i.name),
+            ['name']
+        )
+        assert.deepStrictEqual(
+            fake.indexList.map((i) => i.name),
+            ['_id_', 'name']
+        )
+    })
+})
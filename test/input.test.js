@@ -0,0 +1,145 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const { ObjectId, Long } = require('mongodb')
+
+const { ConversionError, ValidationError } = require('../mongodet')
+const { createCollection } = require('./helpers')
+
+const id = new ObjectId()
+const parameters = {
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name'],
+        properties: {
+            _id: { type: 'integer' },
+            name: { type: 'string' },
+            owner: { mongoType: 'objectId' },
+            count: { mongoType: 'int64' }
+        }
+    }
+}
+
+describe('input option', () => {
+    it('validates and converts the inserted documents by default', async () => {
+        const { collection, fake } = createCollection('input1', parameters)
+
+        const doc = await collection.insertOne({
+            _id: 1,
+            name: 'a',
+            owner: id.toString(),
+            count: '5'
+        })
+        assert.deepStrictEqual(doc, {
+            _id: 1,
+            name: 'a',
+            owner: id.toString(),
+            count: 5
+        })
+        assert.ok(fake.docs[0].owner instanceof ObjectId)
+        assert.ok(fake.docs[0].count instanceof Long)
+
+        await collection.insertMany([
+            { _id: 2, name: 'b', owner: id.toString() },
+            { _id: 3, name: 'c' }
+        ])
+        assert.ok(fake.docs[1].owner instanceof ObjectId)
+
+        await assert.rejects(
+            async () => collection.insertOne({ _id: 4 }),
+            ValidationError
+        )
+        await assert.rejects(
+            async () =>
+                collection.insertMany([
+                    { _id: 4, name: 'd' },
+                    { _id: 5, name: 5 }
+                ]),
+            (e) => e instanceof ValidationError && e.index === 1
+        )
+        assert.strictEqual(fake.docs.length, 3)
+    })
+
+    it('writes the documents as is with the db input', async () => {
+        const { collection, fake } = createCollection('input2', parameters)
+
+        await collection.insertOne({ _id: 1, owner: id }, { input: 'db' })
+        await collection.insertMany([{ _id: 2, name: 5 }], { input: 'db' })
+        assert.deepStrictEqual(fake.docs, [
+            { _id: 1, owner: id },
+            { _id: 2, name: 5 }
+        ])
+    })
+
+    it('validates and converts the replacements by default', async () => {
+        const { collection, fake } = createCollection('input3', parameters, [
+            { _id: 1, name: 'a' },
+            { _id: 2, name: 'b' }
+        ])
+
+        assert.strictEqual(
+            await collection.replaceOne(
+                { _id: 1 },
+                { name: 'c', owner: id.toString() }
+            ),
+            1
+        )
+        assert.deepStrictEqual(fake.docs[0], { _id: 1, name: 'c', owner: id })
+
+        const before = await collection.findOneAndReplace(
+            { _id: 2 },
+            { name: 'd', count: 7 }
+        )
+        assert.deepStrictEqual(before, { _id: 2, name: 'b' })
+        assert.ok(fake.docs[1].count instanceof Long)
+
+        await assert.rejects(
+            async () => collection.replaceOne({ _id: 1 }, { owner: 'x' }),
+            ValidationError
+        )
+        await assert.rejects(
+            async () => collection.findOneAndReplace({ _id: 2 }, {}),
+            ValidationError
+        )
+    })
+
+    it('replaces the documents as is with the db input', async () => {
+        const { collection, fake } = createCollection('input4', parameters, [
+            { _id: 1, name: 'a' },
+            { _id: 2, name: 'b' }
+        ])
+
+        await collection.replaceOne({ _id: 1 }, { owner: id }, { input: 'db' })
+        await collection.findOneAndReplace(
+            { _id: 2 },
+            { count: 'x' },
+            { input: 'db' }
+        )
+        assert.deepStrictEqual(fake.docs, [
+            { _id: 1, owner: id },
+            { _id: 2, count: 'x' }
+        ])
+    })
+
+    it('rejects the values that are not ObjectIds', async () => {
+        const { collection, fake } = createCollection('input5', parameters)
+
+        for (const owner of [3, 'abc', 'aaaaaaaaaaaa'])
+            await assert.rejects(
+                async () => collection.insertOne({ _id: 1, name: 'a', owner }),
+                ValidationError
+            )
+        assert.strictEqual(fake.docs.length, 0)
+
+        assert.throws(
+            () => collection.filterToDbFormat({ owner: 3 }),
+            (e) => e instanceof ConversionError && e.path === 'owner'
+        )
+        assert.deepStrictEqual(
+            collection.filterToDbFormat({ owner: id.toString() }),
+            { owner: id }
+        )
+    })
+})
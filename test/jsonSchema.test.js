@@ -0,0 +1,127 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+
+const { Collection } = require('../mongodet')
+const {
+    getJsonSchema,
+    diffJsonSchemas
+} = require('../mongodet/Collection/jsonSchema')
+const { FakeDb, bindFake } = require('./helpers')
+
+describe('$jsonSchema translation', () => {
+    it('replaces the mongo types and the integer type by bson types', () => {
+        const jsonSchema = getJsonSchema({
+            type: 'object',
+            properties: {
+                _id: { mongoType: 'objectId' },
+                count: { type: 'integer', minimum: 0 },
+                ratio: { type: ['integer', 'null'] },
+                amount: { type: 'string', mongoType: 'decimal' }
+            }
+        })
+
+        assert.deepStrictEqual(jsonSchema.properties, {
+            _id: { bsonType: 'objectId' },
+            count: { bsonType: ['int', 'long', 'double'], minimum: 0 },
+            ratio: { bsonType: ['int', 'long', 'double', 'null'] },
+            amount: { bsonType: 'decimal' }
+        })
+    })
+
+    it('declares the _id property when the additional properties are forbidden', () => {
+        assert.deepStrictEqual(
+            getJsonSchema({
+                type: 'object',
+                additionalProperties: false,
+                properties: { name: { type: 'string' } }
+            }).properties,
+            { name: { type: 'string' }, _id: {} }
+        )
+        assert.deepStrictEqual(
+            getJsonSchema({
+                type: 'object',
+                additionalProperties: false,
+                properties: { _id: { type: 'integer' } }
+            }).properties,
+            { _id: { bsonType: ['int', 'long', 'double'] } }
+        )
+        assert.deepStrictEqual(
+            getJsonSchema({ type: 'object', properties: {} }).properties,
+            {}
+        )
+    })
+
+    it('resolves the references and removes the unsupported keywords', () => {
+        const jsonSchema = getJsonSchema({
+            type: 'object',
+            definitions: { name: { type: 'string', format: 'email' } },
+            unmodifiableProperties: ['name'],
+            properties: {
+                name: { $ref: '#/definitions/name' },
+                tags: {
+                    type: 'array',
+                    default: [],
+                    items: { $ref: '#/definitions/name' }
+                }
+            }
+        })
+
+        assert.deepStrictEqual(jsonSchema, {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                tags: { type: 'array', items: { type: 'string' } }
+            }
+        })
+    })
+
+    it('keeps only the properties required for inserts and updates', () => {
+        const jsonSchema = getJsonSchema({
+            type: 'object',
+            required: { insert: ['a', 'b'], update: ['b'], upsert: ['c'] },
+            properties: {
+                sub: { type: 'object', required: { insert: ['x'] } }
+            }
+        })
+
+        assert.deepStrictEqual(jsonSchema.required, ['c', 'b'])
+        assert.strictEqual(jsonSchema.properties.sub.required, undefined)
+    })
+
+    it('lists the differences between two schemas', () => {
+        assert.deepStrictEqual(
+            diffJsonSchemas(
+                { properties: { a: { bsonType: 'int' } }, required: ['a'] },
+                { properties: { a: { bsonType: 'long' } }, required: ['a'] }
+            ),
+            [{ path: 'properties.a.bsonType', local: 'int', server: 'long' }]
+        )
+        assert.deepStrictEqual(diffJsonSchemas({ a: [1] }, { a: [1] }), [])
+    })
+
+    it('applies the validator to the server and detects the drift', async () => {
+        const collection = new Collection('jsonSchema1', {
+            schema: {
+                type: 'object',
+                properties: { name: { type: 'string' } }
+            },
+            properties: {
+                serverValidation: { validationLevel: 'moderate' }
+            }
+        })
+        const db = new FakeDb()
+        const fake = bindFake(collection, db)
+
+        await db.createCollection('jsonSchema1')
+        assert.strictEqual((await collection.diffServerValidator()).length, 1)
+
+        await collection.updateServerValidator()
+        assert.deepStrictEqual(fake.options, {
+            validator: { $jsonSchema: collection.getJsonSchema() },
+            validationLevel: 'moderate'
+        })
+        assert.deepStrictEqual(await collection.diffServerValidator(), [])
+    })
+})
@@ -0,0 +1,252 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const { Decimal128 } = require('mongodb')
+
+const { fakeMongoClient } = require('./helpers')
+fakeMongoClient()
+
+const {
+    connect,
+    getClient,
+    runMigrations,
+    rollbackMigrations,
+    getMigrationsStatus,
+    MongolError,
+    ValidationError
+} = require('../mongodet')
+const { createCollection } = require('./helpers')
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+function getMigrations(log) {
+    return [
+        {
+            version: 1,
+            description: 'first',
+            up: async () => log.push('up 1'),
+            down: async () => log.push('down 1')
+        },
+        {
+            version: 2,
+            up: async () => log.push('up 2'),
+            down: async () => log.push('down 2')
+        }
+    ]
+}
+
+describe('migrations', () => {
+    it('apply the pending migrations in order, once', async () => {
+        await connect('mongodb://localhost', {}, { name: 'migrations1' })
+        const parameters = { connection: 'migrations1' }
+        let log = []
+        const migrations = getMigrations(log)
+
+        assert.deepStrictEqual(
+            await runMigrations(migrations, { ...parameters, dryRun: true }),
+            [1, 2]
+        )
+        assert.deepStrictEqual(log, [])
+
+        assert.deepStrictEqual(
+            await runMigrations(migrations, { ...parameters, to: 1 }),
+            [1]
+        )
+        assert.deepStrictEqual(await runMigrations(migrations, parameters), [2])
+        assert.deepStrictEqual(await runMigrations(migrations, parameters), [])
+        assert.deepStrictEqual(log, ['up 1', 'up 2'])
+
+        const status = await getMigrationsStatus(migrations, parameters)
+        assert.deepStrictEqual(
+            status.map((s) => [s.version, s.description, s.applied]),
+            [
+                [1, 'first', true],
+                [2, undefined, true]
+            ]
+        )
+    })
+
+    it('revert the last applied migrations', async () => {
+        await connect('mongodb://localhost', {}, { name: 'migrations2' })
+        const parameters = { connection: 'migrations2' }
+        let log = []
+        const migrations = getMigrations(log)
+        await runMigrations(migrations, parameters)
+
+        assert.deepStrictEqual(
+            await rollbackMigrations(migrations, parameters),
+            [2]
+        )
+        assert.deepStrictEqual(
+            await rollbackMigrations(migrations, { ...parameters, to: null }),
+            [1]
+        )
+        assert.deepStrictEqual(log, ['up 1', 'up 2', 'down 2', 'down 1'])
+    })
+
+    it('are locked while another process migrates', async () => {
+        await connect('mongodb://localhost', {}, { name: 'migrations3' })
+        const parameters = { connection: 'migrations3' }
+        const lockCollection = getClient('migrations3')
+            .db()
+            .collection('mongodetMigrationsLock')
+        const migrations = getMigrations([])
+
+        await lockCollection.insertOne({
+            _id: 'lock',
+            owner: 'other',
+            lockedAt: new Date()
+        })
+        await assert.rejects(
+            async () => runMigrations(migrations, parameters),
+            (e) => e instanceof MongolError && e.owner === 'other'
+        )
+
+        // An expired lock is taken.
+        lockCollection.docs[0].lockedAt = new Date(Date.now() - 601000)
+        const applied = await runMigrations(migrations, parameters)
+        assert.deepStrictEqual(applied, [1, 2])
+        assert.deepStrictEqual(lockCollection.docs, [])
+    })
+
+    it('refresh their lock during a long migration', async () => {
+        await connect('mongodb://localhost', {}, { name: 'migrations4' })
+        const parameters = { connection: 'migrations4', lockTimeout: 0.03 }
+        const lockCollection = getClient('migrations4')
+            .db()
+            .collection('mongodetMigrationsLock')
+        let lockedAt = []
+        const migrations = [
+            {
+                version: 1,
+                up: async () => {
+                    lockedAt.push(lockCollection.docs[0].lockedAt)
+                    await sleep(60)
+                    lockedAt.push(lockCollection.docs[0].lockedAt)
+                }
+            }
+        ]
+
+        assert.deepStrictEqual(await runMigrations(migrations, parameters), [1])
+        assert.ok(lockedAt[1] - lockedAt[0] >= 30)
+    })
+
+    it('are not recorded when their lock has been taken', async () => {
+        await connect('mongodb://localhost', {}, { name: 'migrations5' })
+        const parameters = { connection: 'migrations5' }
+        const db = getClient('migrations5').db()
+        const migrations = [
+            {
+                version: 1,
+                up: async () => {
+                    db.collection('mongodetMigrationsLock').docs[0].owner =
+                        'other'
+                }
+            }
+        ]
+
+        await assert.rejects(
+            async () => runMigrations(migrations, parameters),
+            (e) => e instanceof MongolError && /has been taken/.test(e.message)
+        )
+        assert.deepStrictEqual(db.collection('mongodetMigrations').docs, [])
+        assert.strictEqual(
+            db.collection('mongodetMigrationsLock').docs[0].owner,
+            'other'
+        )
+    })
+})
+
+describe('schema version', () => {
+    const parameters = {
+        schema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                _id: { type: 'integer' },
+                fullName: { type: 'string' }
+            }
+        },
+        schemaVersion: {
+            version: 2,
+            upgrades: {
+                1: (doc) => ({
+                    _id: doc._id,
+                    schemaVersion: doc.schemaVersion,
+                    fullName: `${doc.firstName} ${doc.lastName}`
+                }),
+                2: (doc) => {
+                    doc.fullName = doc.fullName.toUpperCase()
+                }
+            }
+        }
+    }
+
+    it('stores the version of the schema and declares its field', async () => {
+        const { collection, fake } = createCollection(
+            'schemaVersion1',
+            parameters
+        )
+
+        await collection.insertOne({ _id: 1, fullName: 'A' })
+        assert.deepStrictEqual(fake.docs[0], {
+            _id: 1,
+            fullName: 'A',
+            schemaVersion: 2
+        })
+
+        const doc = await collection.findOne({ _id: 1 })
+        await collection.replaceOne({ _id: 1 }, doc)
+        await assert.rejects(
+            async () => collection.insertOne({ _id: 2, schemaVersion: 'x' }),
+            ValidationError
+        )
+    })
+
+    it('upgrades the old documents when they are read', async () => {
+        const { collection, fake } = createCollection(
+            'schemaVersion2',
+            parameters
+        )
+        fake.docs.push({ _id: 1, firstName: 'a', lastName: 'b' })
+
+        assert.deepStrictEqual(await collection.findOne({ _id: 1 }), {
+            _id: 1,
+            fullName: 'A B',
+            schemaVersion: 2
+        })
+        assert.deepStrictEqual(fake.docs[0], {
+            _id: 1,
+            firstName: 'a',
+            lastName: 'b'
+        })
+    })
+
+    it('upgrades the old documents before their conversion', async () => {
+        const { collection, fake } = createCollection('schemaVersion3', {
+            schema: {
+                type: 'object',
+                properties: { price: { mongoType: 'decimal' } }
+            },
+            schemaVersion: {
+                version: 1,
+                upgrades: {
+                    1: (doc) => {
+                        doc.price = doc.amount
+                        delete doc.amount
+                    }
+                }
+            }
+        })
+        fake.docs.push({ _id: 1, amount: Decimal128.fromString('1.5') })
+
+        assert.deepStrictEqual(await collection.findOne({ _id: 1 }), {
+            _id: 1,
+            price: '1.5',
+            schemaVersion: 1
+        })
+    })
+})
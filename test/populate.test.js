@@ -0,0 +1,183 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const { ObjectId } = require('mongodb')
+
+const { Collection, ConfigurationError } = require('../mongodet')
+const { FakeDb, bindFake } = require('./helpers')
+
+const alice = new ObjectId()
+const bob = new ObjectId()
+const unknown = new ObjectId()
+
+const db = new FakeDb()
+const users = new Collection('populateUsers', {
+    schema: {
+        type: 'object',
+        properties: {
+            _id: { mongoType: 'objectId' },
+            name: { type: 'string' },
+            email: { type: 'string' }
+        }
+    }
+})
+bindFake(users, db).docs.push(
+    { _id: alice, name: 'alice', email: 'alice@example.com' },
+    { _id: bob, name: 'bob', email: 'bob@example.com' }
+)
+
+const userRef = { mongoType: 'objectId', ref: 'populateUsers' }
+const posts = new Collection('populatePosts', {
+    schema: {
+        type: 'object',
+        properties: {
+            _id: { type: 'integer' },
+            author: userRef,
+            readers: { type: 'array', items: userRef },
+            comments: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: { author: userRef, text: { type: 'string' } }
+                }
+            },
+            title: { type: 'string' }
+        }
+    }
+})
+const postsFake = bindFake(posts, db)
+postsFake.docs.push(
+    {
+        _id: 1,
+        author: alice,
+        readers: [bob, unknown],
+        comments: [{ author: bob, text: 'hi' }]
+    },
+    { _id: 2, author: bob, readers: [] }
+)
+
+describe('populate', () => {
+    it('replaces the references by the referenced documents', async () => {
+        const [post] = await posts.findMany(
+            { _id: 1 },
+            { populate: ['author', 'readers', 'comments.author'] }
+        )
+
+        assert.strictEqual(post.author.name, 'alice')
+        assert.deepStrictEqual(
+            post.readers.map((r) => r && r.name),
+            ['bob', null]
+        )
+        assert.strictEqual(post.comments[0].author.name, 'bob')
+        assert.strictEqual(post.comments[0].text, 'hi')
+    })
+
+    it('reads the referenced documents once per path, with a projection', async () => {
+        const calls = []
+        const findMany = users.findMany
+        users.findMany = function (...args) {
+            calls.push(args[0])
+            return findMany.apply(this, args)
+        }
+        try {
+            const docs = await posts.findMany(
+                {},
+                { sort: { _id: 1 }, populate: { author: { name: 1 } } }
+            )
+            assert.deepStrictEqual(
+                docs.map((d) => d.author),
+                [
+                    { _id: alice.toString(), name: 'alice' },
+                    { _id: bob.toString(), name: 'bob' }
+                ]
+            )
+        } finally {
+            delete users.findMany
+        }
+        assert.strictEqual(calls.length, 1)
+        assert.strictEqual(calls[0]._id.$in.length, 2)
+    })
+
+    it('reads the referenced documents once per batch of a cursor', async () => {
+        const batchPosts = new Collection('populatePosts2', {
+            schema: {
+                type: 'object',
+                properties: { _id: { type: 'integer' }, author: userRef }
+            }
+        })
+        bindFake(batchPosts, db).docs.push(
+            ...[1, 2, 3, 4, 5].map((_id) => ({
+                _id,
+                author: _id % 2 ? alice : bob
+            }))
+        )
+        let calls = 0
+        const findMany = users.findMany
+        users.findMany = function (...args) {
+            calls++
+            return findMany.apply(this, args)
+        }
+        try {
+            let names = []
+            await batchPosts
+                .find({}, { populate: 'author' })
+                .batchSize(2)
+                .forEach((doc) => names.push(doc.author.name))
+            assert.deepStrictEqual(names, [
+                'alice',
+                'bob',
+                'alice',
+                'bob',
+                'alice'
+            ])
+            assert.strictEqual(calls, 3)
+
+            calls = 0
+            let ids = []
+            const cursor = batchPosts
+                .find({}, { populate: 'author' })
+                .batchSize(2)
+            for await (const doc of cursor) ids.push(doc._id)
+            assert.deepStrictEqual(ids, [1, 2, 3, 4, 5])
+            assert.strictEqual(calls, 3)
+
+            // The documents populated by next() are returned by toArray().
+            calls = 0
+            const other = batchPosts.find({}, { populate: 'author' })
+            assert.strictEqual((await other.next())._id, 1)
+            assert.ok(await other.hasNext())
+            assert.deepStrictEqual(
+                (await other.toArray()).map((d) => d._id),
+                [2, 3, 4, 5]
+            )
+            assert.strictEqual(calls, 1)
+        } finally {
+            delete users.findMany
+        }
+    })
+
+    it('populates documents already read', async () => {
+        const post = await posts.findOne({ _id: 2 })
+        assert.strictEqual(
+            (await posts.populate(post, 'author')).author.name,
+            'bob'
+        )
+    })
+
+    it('rejects the paths without reference and the other outputs', async () => {
+        await assert.rejects(
+            async () => posts.findMany({}, { populate: 'title' }),
+            /its schema has no "ref" keyword/
+        )
+        await assert.rejects(
+            async () =>
+                posts.findMany({}, { populate: 'author', output: 'db' }),
+            ConfigurationError
+        )
+        await assert.rejects(
+            async () => posts.findMany({}, { populate: [1] }),
+            ConfigurationError
+        )
+    })
+})
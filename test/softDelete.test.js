@@ -0,0 +1,132 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+
+const { ConfigurationError } = require('../mongodet')
+const { createCollection } = require('./helpers')
+
+const parameters = {
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            _id: { type: 'integer' },
+            name: { type: 'string' }
+        }
+    },
+    softDelete: true
+}
+const docs = [
+    { _id: 1, name: 'a' },
+    { _id: 2, name: 'b' }
+]
+
+describe('soft delete', () => {
+    it('marks the documents as deleted instead of removing them', async () => {
+        const { collection, fake } = createCollection(
+            'softDelete1',
+            parameters,
+            docs
+        )
+
+        assert.strictEqual(
+            await collection.deleteOne({ _id: 1 }, { deletedBy: 'admin' }),
+            1
+        )
+        assert.strictEqual(fake.docs.length, 2)
+        assert.ok(fake.docs[0].deletedAt instanceof Date)
+        assert.strictEqual(fake.docs[0].deletedBy, 'admin')
+
+        // A deleted document can not be deleted again.
+        assert.strictEqual(await collection.deleteOne({ _id: 1 }), 0)
+    })
+
+    it('hides the deleted documents, unless requested', async () => {
+        const { collection } = createCollection('softDelete2', parameters, docs)
+        await collection.deleteOne({ _id: 1 })
+
+        const names = (docs) => docs.map((d) => d.name)
+        assert.deepStrictEqual(names(await collection.findMany({})), ['b'])
+        assert.strictEqual(await collection.findOne({ _id: 1 }), null)
+        assert.strictEqual(await collection.countDocuments({}), 1)
+        assert.deepStrictEqual(
+            names(await collection.findMany({}, { withDeleted: true })),
+            ['a', 'b']
+        )
+        assert.deepStrictEqual(
+            names(await collection.findMany({}, { onlyDeleted: true })),
+            ['a']
+        )
+        assert.strictEqual(
+            await collection.updateOne({ _id: 1 }, { $set: { name: 'c' } }),
+            0
+        )
+    })
+
+    it('restores and purges the deleted documents', async () => {
+        const { collection, fake } = createCollection(
+            'softDelete3',
+            parameters,
+            docs
+        )
+        await collection.deleteMany({})
+
+        assert.strictEqual(await collection.restoreOne({ _id: 2 }), 1)
+        assert.deepStrictEqual(fake.docs[1], { _id: 2, name: 'b' })
+
+        // Only the documents deleted before the date are purged.
+        assert.strictEqual(await collection.purgeDeleted(new Date(0)), 0)
+        assert.strictEqual(await collection.purgeDeleted(), 1)
+        assert.deepStrictEqual(fake.docs, [{ _id: 2, name: 'b' }])
+    })
+
+    it('applies to the operations of bulkWrite()', async () => {
+        const { collection, fake } = createCollection(
+            'softDelete5',
+            parameters,
+            [...docs, { _id: 3, name: 'c', deletedAt: new Date(0) }]
+        )
+
+        const result = await collection.bulkWrite(
+            [
+                { deleteOne: { filter: { _id: 1 } } },
+                { deleteMany: { filter: { _id: { $gte: 2 } } } },
+                { updateOne: { filter: {}, update: { $set: { name: 'd' } } } },
+                { insertOne: { document: { _id: 4, name: 'e' } } }
+            ],
+            { deletedBy: 'admin' }
+        )
+        assert.strictEqual(result.deletedCount, 0)
+        // The document 3 was already deleted, and no document is left to update.
+        assert.strictEqual(result.matchedCount, 2)
+        assert.deepStrictEqual(
+            fake.docs.map((d) => [d._id, d.name, d.deletedBy]),
+            [
+                [1, 'a', 'admin'],
+                [2, 'b', 'admin'],
+                [3, 'c', undefined],
+                [4, 'e', undefined]
+            ]
+        )
+        assert.strictEqual(fake.docs[2].deletedAt.getTime(), 0)
+
+        await collection.bulkWrite(
+            [{ updateMany: { filter: {}, update: { $set: { name: 'f' } } } }],
+            { onlyDeleted: true }
+        )
+        assert.deepStrictEqual(
+            fake.docs.map((d) => d.name),
+            ['f', 'f', 'f', 'e']
+        )
+    })
+
+    it('requires the softDelete parameter to restore documents', async () => {
+        const { collection } = createCollection('softDelete4')
+
+        await assert.rejects(
+            async () => collection.restoreOne({ _id: 1 }),
+            ConfigurationError
+        )
+    })
+})
@@ -0,0 +1,68 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+
+const { createCollection } = require('./helpers')
+
+const parameters = {
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name'],
+        unmodifiableProperties: { update: ['createdAt'] },
+        properties: {
+            _id: { type: 'integer' },
+            name: { type: 'string' }
+        }
+    },
+    timestamps: true
+}
+
+describe('timestamps', () => {
+    it('are set by the inserts and the updates', async () => {
+        const { collection, fake } = createCollection('timestamps1', parameters)
+
+        await collection.insertOne({ _id: 1, name: 'a' })
+        const { createdAt, updatedAt } = fake.docs[0]
+        assert.ok(createdAt instanceof Date)
+        assert.strictEqual(createdAt.getTime(), updatedAt.getTime())
+
+        await collection.updateOne({ _id: 1 }, { $set: { name: 'b' } })
+        assert.deepStrictEqual(fake.docs[0].createdAt, createdAt)
+        assert.ok(fake.docs[0].updatedAt >= updatedAt)
+        assert.strictEqual(fake.docs[0].name, 'b')
+    })
+
+    it('keep the stored creation date when a document is replaced', async () => {
+        const { collection, fake } = createCollection('timestamps2', parameters)
+        const createdAt = new Date('2020-01-01')
+        fake.docs.push({ _id: 1, name: 'a', createdAt, updatedAt: createdAt })
+
+        // The document read contains createdAt, which can not be modified.
+        const doc = await collection.findOne({ _id: 1 })
+        assert.strictEqual(
+            await collection.replaceOne({ _id: 1 }, { ...doc, name: 'b' }),
+            1
+        )
+        assert.deepStrictEqual(fake.docs[0].createdAt, createdAt)
+        assert.strictEqual(fake.docs[0].name, 'b')
+        assert.ok(fake.docs[0].updatedAt > createdAt)
+
+        const replaced = await collection.findOneAndReplace(
+            { _id: 1 },
+            { name: 'c', createdAt: new Date().toISOString() },
+            { returnOriginal: false }
+        )
+        assert.strictEqual(replaced.name, 'c')
+        assert.deepStrictEqual(fake.docs[0].createdAt, createdAt)
+    })
+
+    it('set the creation date of the documents upserted by a replacement', async () => {
+        const { collection, fake } = createCollection('timestamps3', parameters)
+
+        await collection.replaceOne({ _id: 1 }, { name: 'a' }, { upsert: true })
+        assert.strictEqual(fake.docs[0]._id, 1)
+        assert.ok(fake.docs[0].createdAt instanceof Date)
+    })
+})
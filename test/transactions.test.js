@@ -0,0 +1,248 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+
+const { FakeCollection, fakeMongoClient } = require('./helpers')
+fakeMongoClient()
+
+const {
+    Collection,
+    ConnectionError,
+    connect,
+    getClient,
+    getAmbientSession,
+    withTransaction
+} = require('../mongodet')
+
+function nextTick() {
+    return new Promise((resolve) => setTimeout(resolve, 10))
+}
+
+// A session whose commits throw the errors passed, one per commit.
+class FakeSession {
+    constructor(commitErrors = []) {
+        this.commitErrors = commitErrors
+        this.log = []
+        this.active = false
+    }
+
+    startTransaction() {
+        this.log.push('start')
+        this.active = true
+    }
+
+    inTransaction() {
+        return this.active
+    }
+
+    async abortTransaction() {
+        this.log.push('abort')
+        this.active = false
+    }
+
+    async commitTransaction() {
+        this.log.push('commit')
+        const e = this.commitErrors.shift()
+        if (e) throw e
+        this.active = false
+    }
+
+    endSession() {
+        this.log.push('end')
+    }
+}
+
+function labeledError(label, codeName) {
+    let e = new Error(label)
+    e.codeName = codeName
+    e.hasErrorLabel = (l) => l === label
+    return e
+}
+
+async function connectWithSession(name, session) {
+    await connect('mongodb://localhost', {}, { name })
+    let started = 0
+    getClient(name).startSession = () => {
+        started++
+        return session
+    }
+    return () => started
+}
+
+describe('transactions', () => {
+    it('are committed when the function is resolved', async () => {
+        const session = new FakeSession()
+        await connectWithSession('transactions1', session)
+
+        const result = await withTransaction(
+            async (s) => {
+                assert.strictEqual(s, session)
+                assert.strictEqual(getAmbientSession('transactions1'), session)
+                assert.strictEqual(getAmbientSession(), undefined)
+                return 'result'
+            },
+            { name: 'transactions1' }
+        )
+        assert.strictEqual(result, 'result')
+        assert.deepStrictEqual(session.log, ['start', 'commit', 'end'])
+        assert.strictEqual(getAmbientSession('transactions1'), undefined)
+    })
+
+    it('are aborted and retried on TransientTransactionError errors', async () => {
+        const session = new FakeSession()
+        await connectWithSession('transactions2', session)
+        let calls = 0
+
+        await withTransaction(
+            async () => {
+                if (++calls === 1)
+                    throw labeledError('TransientTransactionError')
+            },
+            { name: 'transactions2' }
+        )
+        assert.strictEqual(calls, 2)
+        assert.deepStrictEqual(session.log, [
+            'start',
+            'abort',
+            'start',
+            'commit',
+            'end'
+        ])
+
+        const error = new Error('other')
+        await assert.rejects(
+            withTransaction(
+                async () => {
+                    throw error
+                },
+                { name: 'transactions2' }
+            ),
+            (e) => e === error
+        )
+        assert.deepStrictEqual(session.log.slice(5), ['start', 'abort', 'end'])
+    })
+
+    it('retry the commit on UnknownTransactionCommitResult errors', async () => {
+        const session = new FakeSession([
+            labeledError('UnknownTransactionCommitResult'),
+            labeledError('TransientTransactionError')
+        ])
+        await connectWithSession('transactions3', session)
+        let calls = 0
+
+        await withTransaction(async () => calls++, { name: 'transactions3' })
+        // The commit is retried, then the whole transaction.
+        assert.strictEqual(calls, 2)
+        assert.deepStrictEqual(session.log, [
+            'start',
+            'commit',
+            'commit',
+            'start',
+            'commit',
+            'end'
+        ])
+
+        const timeout = labeledError(
+            'UnknownTransactionCommitResult',
+            'MaxTimeMSExpired'
+        )
+        session.commitErrors.push(timeout)
+        await assert.rejects(
+            withTransaction(async () => {}, { name: 'transactions3' }),
+            (e) => e === timeout
+        )
+    })
+
+    it('stop retrying after the timeout', async () => {
+        const session = new FakeSession()
+        await connectWithSession('transactions4', session)
+        let calls = 0
+
+        await assert.rejects(
+            withTransaction(
+                async () => {
+                    calls++
+                    throw labeledError('TransientTransactionError')
+                },
+                { name: 'transactions4', timeout: 0 }
+            ),
+            /TransientTransactionError/
+        )
+        assert.strictEqual(calls, 1)
+    })
+
+    it('join the transaction they are nested in', async () => {
+        const session = new FakeSession()
+        const started = await connectWithSession('transactions5', session)
+
+        await withTransaction(
+            async () => {
+                const inner = await withTransaction(async (s) => s, {
+                    name: 'transactions5'
+                })
+                assert.strictEqual(inner, session)
+            },
+            { name: 'transactions5' }
+        )
+        assert.strictEqual(started(), 1)
+        assert.deepStrictEqual(session.log, ['start', 'commit', 'end'])
+    })
+
+    it('pass their session to the operations and the history', async () => {
+        const collection = new Collection('transactions6', {
+            connection: 'transactions6',
+            history: true
+        })
+        const session = new FakeSession()
+        await connectWithSession('transactions6', session)
+        await nextTick()
+
+        let sessions = []
+        const methods = ['insertOne', 'updateOne', 'insertMany']
+        const originals = methods.map((m) => FakeCollection.prototype[m])
+        methods.forEach((m, i) => {
+            FakeCollection.prototype[m] = function (...args) {
+                const options = args[m === 'updateOne' ? 2 : 1]
+                sessions.push([this.namespace, m, options && options.session])
+                return originals[i].apply(this, args)
+            }
+        })
+        try {
+            await withTransaction(
+                async () => {
+                    await collection.insertOne({ _id: 1, name: 'a' })
+                    await collection.updateOne(
+                        { _id: 1 },
+                        { $set: { name: 'b' } }
+                    )
+                },
+                { name: 'transactions6' }
+            )
+        } finally {
+            methods.forEach(
+                (m, i) => (FakeCollection.prototype[m] = originals[i])
+            )
+        }
+
+        assert.deepStrictEqual(
+            sessions.map(([namespace, method]) => [
+                namespace.split('.').pop(),
+                method
+            ]),
+            [
+                ['transactions6', 'insertOne'],
+                ['transactions6', 'updateOne'],
+                ['transactions6_history', 'insertMany']
+            ]
+        )
+        assert.ok(sessions.every(([, , s]) => s === session))
+    })
+
+    it('require an established connection', async () => {
+        await assert.rejects(
+            withTransaction(async () => {}, { name: 'transactions7' }),
+            ConnectionError
+        )
+    })
+})
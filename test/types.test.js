@@ -0,0 +1,212 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const { Decimal128, Long } = require('mongodb')
+
+const { Collection, ConversionError, ValidationError } = require('../mongodet')
+const {
+    getFormats,
+    getTypeDefinition,
+    valueToDbFormat: toDb,
+    dbFormatToValue: fromDb
+} = require('../mongodet/types')
+
+describe('types', () => {
+    it('define the Ajv formats of their values', () => {
+        const formats = getFormats()
+
+        assert.strictEqual(formats.mongoDate.type, 'string')
+        assert.ok(formats.mongoDate.validate('2020-01-01T10:00:00.000Z'))
+        assert.ok(!formats.mongoDate.validate('yesterday'))
+        assert.ok(formats.uuid.validate('f81d4fae-7dec-11d0-a765-00a0c91e6bf6'))
+        assert.strictEqual(formats.date, undefined)
+    })
+
+    it('validate the values with the formats', () => {
+        const collection = new Collection('types1', {
+            schema: {
+                type: 'object',
+                properties: {
+                    day: { type: 'string', format: 'date' },
+                    at: { type: 'string', format: 'mongoDate' }
+                }
+            }
+        })
+
+        collection.validateDocument(
+            { day: '2020-01-01', at: '2020-01-01T10:00:00Z' },
+            'insert'
+        )
+        assert.throws(
+            () =>
+                collection.validateDocument(
+                    { day: '2020-01-01T10:00:00Z' },
+                    'insert'
+                ),
+            ValidationError
+        )
+        assert.throws(
+            () => collection.validateDocument({ at: 'yesterday' }, 'insert'),
+            ValidationError
+        )
+    })
+
+    it('store the int128 values as before the output keyword', () => {
+        assert.strictEqual(
+            toDb('123', 'int128').toString(),
+            Decimal128.fromString('123').toString()
+        )
+        assert.strictEqual(fromDb(toDb('0x1ff', 'int128'), 'int128'), '0x01ff')
+    })
+
+    it('store the int128 numbers in two complement on 128 bits', () => {
+        const bytes = Buffer.alloc(16, 0xff)
+        bytes.writeBigInt64LE(-5n)
+        assert.deepStrictEqual(toDb(-5, 'int128').bytes, bytes)
+
+        bytes.fill(0)
+        bytes.writeBigInt64LE(5n)
+        assert.deepStrictEqual(toDb(5, 'int128').bytes, bytes)
+    })
+
+    it('read the int128 values with the output keyword', () => {
+        const read = (value, output) =>
+            fromDb(toDb(value, 'int128'), 'int128', undefined, { output })
+
+        assert.strictEqual(read('123', 'number'), 123)
+        assert.strictEqual(read('-123', 'string'), '-123')
+        assert.strictEqual(read(-5, 'number'), -5)
+        assert.strictEqual(read('0x1ff', 'bigint'), 511n)
+        assert.strictEqual(read(-255, 'hex'), '-0xff')
+        assert.strictEqual(
+            read('0xffffffffffffffffffffffffffffffff', 'hex'),
+            '-0x1'
+        )
+        // The values whose high bytes are 0 are positive.
+        assert.strictEqual(
+            read('0xffffffffffffffff', 'string'),
+            '18446744073709551615'
+        )
+        assert.strictEqual(read(-(2 ** 53), 'string'), '-9007199254740992')
+    })
+
+    it('read the int64 values with the output keyword', () => {
+        const read = (value, output) =>
+            fromDb(value, 'int64', undefined, output && { output })
+        const large = Long.fromString('9007199254740993')
+
+        // By default, the values are numbers only if they are safe integers.
+        assert.strictEqual(read(5), 5)
+        assert.strictEqual(read(Long.fromNumber(-5)), -5)
+        assert.strictEqual(read(large), '9007199254740993')
+        assert.strictEqual(read(large.negate()), '-9007199254740993')
+
+        assert.strictEqual(read(5, 'string'), '5')
+        assert.strictEqual(read(large, 'string'), '9007199254740993')
+        assert.strictEqual(read(large, 'bigint'), 9007199254740993n)
+        assert.strictEqual(read(Long.fromNumber(7), 'number'), 7)
+        assert.strictEqual(read(Long.fromNumber(-255), 'hex'), '-0xff')
+        assert.strictEqual(read(Long.MAX_VALUE, 'hex'), '0x7fffffffffffffff')
+
+        assert.throws(
+            () => read(large, 'number'),
+            (e) => e instanceof ConversionError && e.mongoType === 'int64'
+        )
+        assert.throws(
+            () => read(5, 'octal'),
+            (e) =>
+                e instanceof ConversionError && /Incorrect output/.test(e.error)
+        )
+    })
+
+    it('check the precision and the scale of the decimal numbers', () => {
+        const schema = { mongoType: 'decimal', precision: 5, scale: 2 }
+        const rejects = (value, error) =>
+            assert.throws(
+                () => toDb(value, 'decimal', undefined, schema),
+                (e) =>
+                    e instanceof ConversionError &&
+                    e.mongoType === 'decimal' &&
+                    e.error === error
+            )
+
+        for (const value of ['123.45', '-123.4', 0.5, '1.2e2', '12345e-2'])
+            assert.ok(toDb(value, 'decimal', undefined, schema))
+        const scaleError =
+            '"1.234" has more than 2 digits after the decimal point.'
+        rejects('1.234', scaleError)
+        rejects(1.234, scaleError)
+        // The integer part has at most precision - scale digits.
+        rejects('1234.5', '"1234.5" has more than 5 digits.')
+        rejects('1e3', '"1e3" has more than 5 digits.')
+        rejects('12.3.4', '"12.3.4" is not a decimal number.')
+        rejects('.', '"." is not a decimal number.')
+        rejects(null, '"null" is not a decimal number.')
+    })
+
+    it('read the decimal numbers as strings without exponent', () => {
+        const roundTrip = (value) => fromDb(toDb(value, 'decimal'), 'decimal')
+
+        assert.strictEqual(roundTrip('1234.56'), '1234.56')
+        assert.strictEqual(roundTrip(1234.56), '1234.56')
+        assert.strictEqual(roundTrip('-2.50'), '-2.50')
+        assert.strictEqual(roundTrip('1e3'), '1000')
+        assert.strictEqual(roundTrip(1e21), '1000000000000000000000')
+        assert.strictEqual(roundTrip('1.5e-7'), '0.00000015')
+        assert.strictEqual(roundTrip(-1.5e-7), '-0.00000015')
+        assert.strictEqual(roundTrip('0e3'), '0')
+        assert.strictEqual(
+            fromDb(Decimal128.fromString('NaN'), 'decimal'),
+            'NaN'
+        )
+    })
+
+    it('can be added by the plugins to each collection', () => {
+        const money = (collection, { scale }) => {
+            collection.parameters.types.money = {
+                toDb: (v) => Decimal128.fromString(Number(v).toFixed(scale)),
+                fromDb: (v) => v.toString()
+            }
+        }
+        const schema = { properties: { price: { mongoType: 'money' } } }
+        const a = new Collection('types2', {
+            schema,
+            plugins: [[money, { scale: 2 }]]
+        })
+        const b = new Collection('types3', {
+            schema,
+            plugins: [[money, { scale: 0 }]]
+        })
+
+        assert.strictEqual(
+            a.documentToDbFormat({ price: 1.5 }).price.toString(),
+            '1.50'
+        )
+        assert.strictEqual(
+            b.documentToDbFormat({ price: 1.5 }).price.toString(),
+            '2'
+        )
+        assert.strictEqual(getTypeDefinition('money'), undefined)
+    })
+
+    it('check the values with the registry of the collection', () => {
+        const date = getTypeDefinition('date')
+        const collection = new Collection('types4', {
+            schema: { properties: { at: { mongoType: 'date' } } },
+            types: {
+                date: {
+                    ...date,
+                    check: (v) =>
+                        typeof v === 'number' ? 'No timestamps.' : undefined
+                }
+            }
+        })
+
+        assert.throws(
+            () => collection.documentToDbFormat({ at: 0 }),
+            (e) => e instanceof ConversionError && e.error === 'No timestamps.'
+        )
+        assert.ok(collection.documentToDbFormat({ at: '2020-01-01' }).at)
+    })
+})
@@ -0,0 +1,173 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+const { Long, ObjectId } = require('mongodb')
+
+const { ValidationError } = require('../mongodet')
+const { createCollection } = require('./helpers')
+
+const parameters = {
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name'],
+        unmodifiableProperties: { update: ['createdBy', 'meta'] },
+        properties: {
+            _id: { mongoType: 'objectId' },
+            name: { type: 'string', minLength: 1 },
+            count: { mongoType: 'int64' },
+            tags: { type: 'array', items: { type: 'string' } },
+            address: {
+                type: 'object',
+                properties: { zip: { type: 'string', pattern: '^\\d+$' } }
+            },
+            createdBy: { type: 'string' },
+            meta: {
+                type: 'object',
+                additionalProperties: false,
+                properties: { source: { type: 'string' } }
+            },
+            options: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    color: { type: 'string' },
+                    size: { type: 'object' }
+                }
+            }
+        }
+    }
+}
+
+describe('update validation and conversion', () => {
+    it('validates the values of $set against the schema of their path', async () => {
+        const { collection, fake } = createCollection(
+            'updateValidation1',
+            parameters
+        )
+
+        await assert.rejects(
+            async () => collection.updateOne({}, { $set: { name: '' } }),
+            ValidationError
+        )
+        await assert.rejects(
+            async () =>
+                collection.updateOne({}, { $set: { 'address.zip': 'abc' } }),
+            (e) => e instanceof ValidationError && e.path === 'address.zip'
+        )
+        assert.strictEqual(fake.calls.length, 0)
+    })
+
+    it('rejects the undeclared and unmodifiable paths', async () => {
+        const { collection } = createCollection('updateValidation2', parameters)
+
+        await assert.rejects(
+            async () => collection.updateOne({}, { $set: { other: 1 } }),
+            /is not declared in the schema/
+        )
+        await assert.rejects(
+            async () => collection.updateOne({}, { $set: { createdBy: 'x' } }),
+            /can not be modified/
+        )
+    })
+
+    it('rejects the paths under an unmodifiable or undeclared property', async () => {
+        const { collection } = createCollection('updateValidation7', parameters)
+
+        await assert.rejects(
+            async () =>
+                collection.updateOne({}, { $set: { 'createdBy.x': 1 } }),
+            /"createdBy" is not modifiable/
+        )
+        await assert.rejects(
+            async () => collection.updateOne({}, { $set: { 'meta.zz': 'x' } }),
+            /"meta" is not modifiable/
+        )
+        await assert.rejects(
+            async () =>
+                collection.updateOne({}, { $unset: { 'meta.source': '' } }),
+            /"meta" is not modifiable/
+        )
+        await assert.rejects(
+            async () =>
+                collection.updateOne({}, { $set: { 'options.other.x': 1 } }),
+            /"options.other" is not declared/
+        )
+        await assert.rejects(
+            async () => collection.updateOne({}, { $set: { 'name.x': 1 } }),
+            /"name" is not an object/
+        )
+        await assert.rejects(
+            async () =>
+                collection.updateOne({}, { $set: { 'options.color.x': 1 } }),
+            /"options.color" is not an object/
+        )
+
+        // The objects without declared properties accept any path.
+        await collection.updateOne({}, { $set: { 'options.size.x.y': 1 } })
+        await collection.updateOne({}, { $set: { 'tags.0': 'x' } })
+    })
+
+    it('rejects the removal of the required properties', async () => {
+        const { collection } = createCollection('updateValidation3', parameters)
+
+        await assert.rejects(
+            async () => collection.updateOne({}, { $unset: { name: '' } }),
+            /is required and can not be removed/
+        )
+    })
+
+    it('validates the elements added to arrays and the operands of $inc', async () => {
+        const { collection } = createCollection('updateValidation4', parameters)
+
+        await assert.rejects(
+            async () =>
+                collection.updateOne({}, { $push: { tags: { $each: [1] } } }),
+            ValidationError
+        )
+        await assert.rejects(
+            async () => collection.updateOne({}, { $push: { name: 'a' } }),
+            /is not an array/
+        )
+        await assert.rejects(
+            async () => collection.updateOne({}, { $inc: { count: '1' } }),
+            /must be a number/
+        )
+    })
+
+    it('converts the values and the filter to the database format', async () => {
+        const { collection, fake } = createCollection(
+            'updateValidation5',
+            parameters
+        )
+        const id = new ObjectId()
+        fake.docs.push({ _id: id, name: 'a' })
+
+        const nb = await collection.updateOne(
+            { _id: id.toString() },
+            { $set: { count: '9007199254740993' }, $push: { tags: 'x' } }
+        )
+
+        assert.strictEqual(nb, 1)
+        const [, filter, update] = fake.calls[0]
+        assert.ok(filter._id instanceof ObjectId)
+        assert.ok(update.$set.count instanceof Long)
+        assert.strictEqual(update.$set.count.toString(), '9007199254740993')
+        assert.deepStrictEqual(fake.docs[0].tags, ['x'])
+    })
+
+    it('sends the update as is with the db input', async () => {
+        const { collection, fake } = createCollection(
+            'updateValidation6',
+            parameters
+        )
+
+        await collection.updateMany(
+            {},
+            { $set: { other: 1 } },
+            { input: 'db', filterInput: 'db' }
+        )
+        assert.deepStrictEqual(fake.calls[0][2], { $set: { other: 1 } })
+    })
+})
@@ -0,0 +1,90 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('assert')
+
+const { VersionConflictError } = require('../mongodet')
+const { createCollection } = require('./helpers')
+
+const parameters = {
+    schema: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            _id: { type: 'integer' },
+            name: { type: 'string' }
+        }
+    },
+    versionKey: true
+}
+
+describe('versionKey', () => {
+    it('is set by the inserts and incremented by the updates', async () => {
+        const { collection, fake } = createCollection('versionKey1', parameters)
+
+        await collection.insertOne({ _id: 1, name: 'a' })
+        assert.strictEqual(fake.docs[0].__v, 0)
+
+        await collection.updateOne({ _id: 1 }, { $set: { name: 'b' } })
+        await collection.updateOne({ _id: 1 }, [{ $set: { name: 'c' } }], {
+            input: 'db'
+        })
+        assert.strictEqual(fake.docs[0].__v, 2)
+    })
+
+    it('checks the expected version', async () => {
+        const { collection, fake } = createCollection('versionKey2', parameters)
+        fake.docs.push({ _id: 1, name: 'a', __v: 3 })
+
+        await assert.rejects(
+            async () =>
+                collection.updateOne(
+                    { _id: 1 },
+                    { $set: { name: 'b' } },
+                    { version: 2 }
+                ),
+            (e) =>
+                e instanceof VersionConflictError &&
+                e.expectedVersion === 2 &&
+                e.currentVersion === 3
+        )
+        assert.strictEqual(fake.docs[0].name, 'a')
+
+        // The version of the replacement is the expected one.
+        const doc = await collection.findOne({ _id: 1 })
+        assert.strictEqual(
+            await collection.replaceOne({ _id: 1 }, { ...doc, name: 'b' }),
+            1
+        )
+        assert.deepStrictEqual(fake.docs[0], { _id: 1, name: 'b', __v: 4 })
+        await assert.rejects(
+            async () => collection.replaceOne({ _id: 1 }, doc),
+            VersionConflictError
+        )
+
+        // No error is thrown when the document does not exist.
+        assert.strictEqual(
+            await collection.updateOne(
+                { _id: 2 },
+                { $set: {} },
+                { version: 0 }
+            ),
+            0
+        )
+    })
+
+    it('is kept and incremented by the unconditional replacements', async () => {
+        const { collection, fake } = createCollection('versionKey3', parameters)
+        fake.docs.push({ _id: 1, name: 'a', __v: 3 })
+
+        await collection.replaceOne({ _id: 1 }, { name: 'b' })
+        assert.deepStrictEqual(fake.docs[0], { _id: 1, name: 'b', __v: 4 })
+
+        const doc = await collection.findOneAndReplace(
+            { _id: 1 },
+            { name: 'c' },
+            { returnOriginal: false }
+        )
+        assert.deepStrictEqual(doc, { _id: 1, name: 'c', __v: 5 })
+    })
+})